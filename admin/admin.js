@@ -52,7 +52,10 @@ const networkOptions = {
 
 const savedSettings = [
     'port', 'panID', 'channel', 'disableLed', 'countDown', 'groups', 'extPanID', 'precfgkey', 'transmitPower',
-    'adapterType', 'debugHerdsman', 'disableBackup', 'disablePing', 'external', 'startWithInconsistent', 'warnOnDeviceAnnouncement', 'baudRate', 'flowCTRL'
+    'adapterType', 'debugHerdsman', 'disableBackup', 'disablePing', 'external', 'startWithInconsistent', 'warnOnDeviceAnnouncement', 'baudRate', 'flowCTRL',
+    'mapCollectInterval', 'mapCollectDelay', 'mapLqiThreshold', 'backupSchedule', 'backupKeep', 'backupMaxAge', 'backupTarget',
+    'energyScanInterval', 'energyThreshold', 'otaConcurrency', 'otaWindowFrom', 'otaWindowTo', 'otaOffline',
+    'otaCheckInterval', 'otaCheckDelay', 'groupStateRule', 'groupBrightnessRule'
 ];
 
 function getDeviceByID(ID) {
@@ -301,6 +304,12 @@ function getCard(dev) {
                                 <button name="reconfigure" class="right btn-flat btn-small tooltipped" title="Reconfigure">
                                     <i class="material-icons icon-red">sync</i>
                                 </button>
+                                <button name="reporting" class="right btn-flat btn-small tooltipped" title="Reporting">
+                                    <i class="material-icons icon-black">timer</i>
+                                </button>
+                                <button name="stateoverrides" class="right btn-flat btn-small tooltipped" title="State overrides">
+                                    <i class="material-icons icon-black">tune</i>
+                                </button>
                                 ${deactBtn}
                                 ${debugBtn}
                             </div>
@@ -680,6 +689,14 @@ function showDevices() {
         const dev_block = $(this).parents('div.device');
         reconfigureDlg(getDevId(dev_block));
     });
+    $('.card-reveal-buttons button[name=\'reporting\']').click(function () {
+        const dev_block = $(this).parents('div.device');
+        showReporting(getDevId(dev_block));
+    });
+    $('.card-reveal-buttons button[name=\'stateoverrides\']').click(function () {
+        const dev_block = $(this).parents('div.device');
+        showStateOverrides(getDevId(dev_block));
+    });
     $('.card-reveal-buttons button[name=\'swapactive\']').click(function () {
         const dev_block = $(this).parents('div.device');
         swapActive(getDevId(dev_block));
@@ -982,6 +999,45 @@ function load(settings, onChange) {
     if (settings.baudRate === undefined) {
         settings.baudRate = 115200;
     }
+    if (settings.mapCollectInterval === undefined) {
+        settings.mapCollectInterval = 0;
+    }
+    if (settings.mapCollectDelay === undefined) {
+        settings.mapCollectDelay = 2;
+    }
+    if (settings.mapLqiThreshold === undefined) {
+        settings.mapLqiThreshold = 50;
+    }
+    if (settings.backupSchedule === undefined) {
+        settings.backupSchedule = 'none';
+    }
+    if (settings.backupKeep === undefined) {
+        settings.backupKeep = 10;
+    }
+    if (settings.energyScanInterval === undefined) {
+        settings.energyScanInterval = 0;
+    }
+    if (settings.energyThreshold === undefined) {
+        settings.energyThreshold = 60;
+    }
+    if (settings.otaConcurrency === undefined) {
+        settings.otaConcurrency = 1;
+    }
+    if (settings.otaOffline === undefined) {
+        settings.otaOffline = false;
+    }
+    if (settings.otaCheckInterval === undefined) {
+        settings.otaCheckInterval = 0;
+    }
+    if (settings.otaCheckDelay === undefined) {
+        settings.otaCheckDelay = 10;
+    }
+    if (settings.groupStateRule === undefined) {
+        settings.groupStateRule = 'any';
+    }
+    if (settings.groupBrightnessRule === undefined) {
+        settings.groupBrightnessRule = 'average';
+    }
 
     // example: select elements with id=key and class=value and insert value
     for (const key in settings) {
@@ -1043,6 +1099,10 @@ function load(settings, onChange) {
         resetConfirmation();
     });
 
+    $('#migration-btn').click(function () {
+        showNetworkMigration();
+    });
+
     $('#viewconfig').click(function () {
         showViewConfig();
     });
@@ -1120,6 +1180,9 @@ function load(settings, onChange) {
     $('#add_binding').click(function () {
         addBindingDialog();
     });
+    $('#audit_binding').click(function () {
+        auditBindings();
+    });
 
     sendTo(namespace, 'getLibData', {key: 'cidList'}, function (data) {
         cidList = data.list;
@@ -2179,6 +2242,43 @@ function resetConfirmation() {
     });
 }
 
+function showNetworkMigration() {
+    sendTo(namespace, 'getNetworkMigration', {}, function (msg) {
+        if (!msg || msg.error) {
+            showMessage(msg ? msg.error : 'no response', _('Error'));
+            return;
+        }
+        const sources = ['config', 'coordinator', 'backup'];
+        let info = `<table><thead><tr><th></th>${sources.map(source => `<th>${_(source)}</th>`).join('')}</tr></thead><tbody>`;
+        for (const key of ['panID', 'extPanID', 'channel', 'precfgkey']) {
+            info += `<tr><td>${key}</td>`;
+            for (const source of sources) {
+                const value = msg[source] && msg[source][key] !== undefined ? msg[source][key] : '-';
+                const differs = source !== 'config' && msg.differences[source].includes(key);
+                info += `<td${differs ? ' style="color: red"' : ''}>${value}</td>`;
+            }
+            info += '</tr>';
+        }
+        info += '</tbody></table>';
+        if (!msg.mismatch) {
+            info += `<p>${_('Network parameters match')}</p>`;
+        }
+        $('#migrationinfo').html(info);
+        $('#modalmigration #coordinator').toggleClass('disabled', !msg.coordinator);
+        $('#modalmigration #backup').toggleClass('disabled', !msg.backup);
+        const btn = $('#modalmigration .modal-footer a.btn');
+        btn.unbind('click');
+        btn.click(function (e) {
+            sendTo(namespace, 'applyNetworkMigration', {source: e.target.id}, function (msg) {
+                if (msg && msg.error) {
+                    showMessage(msg.error, _('Error'));
+                }
+            });
+        });
+        $('#modalmigration').modal('open');
+    });
+}
+
 function showViewConfig() {
     $('#modalviewconfig').modal('open');
 }
@@ -2189,9 +2289,7 @@ function prepareBindingDialog(bindObj) {
     const bind_source = (bindObj) ? [bindObj.bind_source] : [''];
     const bind_target = (bindObj) ? [bindObj.bind_target] : [''];
 
-    // 5 - genScenes, 6 - genOnOff, 8 - genLevelCtrl, 768 - lightingColorCtrl
-    const allowClusters = [5, 6, 8, 768];
-    const allowClustersName = {5: 'genScenes', 6: 'genOnOff', 8: 'genLevelCtrl', 768: 'lightingColorCtrl'};
+    // any output cluster of the source can be bound to a target with the same input cluster
     // fill device selector
     list2select('#bind_source', binddevices, bind_source,
         function (key, device) {
@@ -2203,18 +2301,7 @@ function prepareBindingDialog(bindObj) {
                     return null;
                 }
                 // check for output clusters
-                let allow = false;
-                for (const cluster of allowClusters) {
-                    for (const ep of device.info.endpoints) {
-                        if (ep.outputClusters.includes(cluster)) {
-                            allow = true;
-                            break;
-                        }
-                    }
-                    if (allow) {
-                        break;
-                    }
-                }
+                const allow = device.info.endpoints.some(ep => ep.outputClusters.length > 0);
                 if (!allow) {
                     return null;
                 }
@@ -2250,22 +2337,12 @@ function prepareBindingDialog(bindObj) {
                 return 'Select target device';
             }
             if (device.hasOwnProperty('info')) {
+                // the coordinator accepts bindings of all clusters
                 if (device.info.device._type === 'Coordinator') {
-                    return null;
+                    return device.common.name;
                 }
                 // check for input clusters
-                let allow = false;
-                for (const cluster of allowClusters) {
-                    for (const ep of device.info.endpoints) {
-                        if (ep.inputClusters.includes(cluster)) {
-                            allow = true;
-                            break;
-                        }
-                    }
-                    if (allow) {
-                        break;
-                    }
-                }
+                const allow = device.info.endpoints.some(ep => ep.inputClusters.length > 0);
                 if (!allow) {
                     return null;
                 }
@@ -2302,7 +2379,7 @@ function prepareBindingDialog(bindObj) {
         const epList = device ? device.info.endpoints : [];
         const sClusterList = epList.map((ep) => {
             const clusters = ep.outputClusters.map((cl) => {
-                return allowClusters.includes(cl) ? {ID: ep.ID + '_' + cl, name: allowClustersName[cl]} : null;
+                return {ID: ep.ID + '_' + cl, name: findClName(cl)};
             }).filter((i) => {
                 return i != null;
             });
@@ -2326,16 +2403,19 @@ function prepareBindingDialog(bindObj) {
         });
 
         const epList = device ? device.info.endpoints : [];
+        const isCoordinator = device && device.info.device._type === 'Coordinator';
         const tClusterList = epList.map((ep) => {
-            const clusters = ep.inputClusters.map((cl) => {
-                return (allowClusters.includes(cl) && (!sourceCl || sourceCl == cl)) ? {
+            // the coordinator does not list its input clusters, it takes whatever the source sends
+            const inputClusters = isCoordinator ? (sourceCl ? [sourceCl] : []) : ep.inputClusters;
+            const clusters = inputClusters.map((cl) => {
+                return (!sourceCl || sourceCl == cl) ? {
                     ID: ep.ID + '_' + cl,
-                    name: allowClustersName[cl]
+                    name: findClName(cl)
                 } : null;
             }).filter((i) => {
                 return i != null;
             });
-            return !clusters.length ? null : [{ID: ep.ID, name: 'all'}, clusters];
+            return !clusters.length && !isCoordinator ? null : [{ID: ep.ID, name: 'all'}, clusters];
         }).flat(2).filter(i => {
             return i != null;
         });
@@ -2459,7 +2539,8 @@ function showBinding() {
             bind_source = b.bind_source,
             bind_source_ep = b.bind_source_ep,
             bind_target = b.bind_target,
-            bind_target_ep = b.bind_target_ep;
+            bind_target_ep = b.bind_target_ep,
+            audit = b.audit;
         const source_dev = devices.find((d) => d._id == bind_source) || {common: {name: bind_source}},
             target_dev = devices.find((d) => d._id == bind_target) || {common: {name: bind_target}},
             target_icon = (target_dev.icon) ? `<img src="${target_dev.icon}" width="64px">` : '';
@@ -2476,6 +2557,7 @@ function showBinding() {
                                         <li><span class="label">endpoint:</span><span>${bind_source_ep}</span></li>
                                         <li><span class="label">target:</span><span>0x${bind_target.replace(namespace + '.', '')}</span></li>
                                         <li><span class="label">endpoint:</span><span>${bind_target_ep}</span></li>
+                                        ${audit ? `<li><span class="label">audit:</span><span class="${audit.status === 'ok' ? '' : 'red-text'}">${audit.status}${audit.missing && audit.missing.length ? ` (${audit.missing.join(', ')})` : ''}</span></li>` : ''}
                                     </ul>
                                 </div>
                             </div>
@@ -2488,6 +2570,9 @@ function showBinding() {
                                         <button name="edit" class="right btn-flat btn-small">
                                             <i class="material-icons icon-green">edit</i>
                                         </button>
+                                        ${audit && audit.status !== 'ok' ? `<button name="repair" class="right btn-flat btn-small" title="${translateWord('Bind again')}">
+                                            <i class="material-icons icon-red">build</i>
+                                        </button>` : ''}
                                     </span>
                                 </div>
                             </div>
@@ -2500,6 +2585,10 @@ function showBinding() {
         const bind_id = $(this).parents('.binding')[0].id;
         deleteBindingConfirmation(bind_id);
     });
+    $('#binding button[name=\'repair\']').click(function () {
+        const bind_id = $(this).parents('.binding')[0].id;
+        repairBinding(bind_id);
+    });
     $('#binding button[name=\'edit\']').click(function () {
         const bind_id = $(this).parents('.binding')[0].id;
         const bindObj = binding.find((b) => b.id == bind_id);
@@ -2522,6 +2611,39 @@ function getBinding() {
     });
 }
 
+function auditBindings() {
+    sendTo(namespace, 'auditBindings', {}, function (msg) {
+        closeWaitingDialog();
+        if (msg) {
+            if (msg.error) {
+                showMessage(msg.error, _('Error'));
+            } else if (msg.report) {
+                const report = msg.report;
+                const text = [
+                    `${translateWord('Stored bindings which differ from the devices')}: ${report.bindings.filter(b => b.status !== 'ok').length}`,
+                    `${translateWord('Imported bindings')}: ${report.unknown.filter(b => b.imported).length}`,
+                ].concat(report.errors.map(e => `${e.device}: ${e.error}`));
+                showMessage(text.join('<br>'), _('Binding audit'));
+            }
+        }
+        getBinding();
+    });
+    showWaitingDialog('Binding tables are being read', 60);
+}
+
+function repairBinding(id) {
+    sendTo(namespace, 'repairBinding', id, (msg) => {
+        closeWaitingDialog();
+        if (msg) {
+            if (msg.error) {
+                showMessage(msg.error, _('Error'));
+            }
+        }
+        getBinding();
+    });
+    showWaitingDialog('Device binding is being added', 10);
+}
+
 function deleteBindingConfirmation(id) {
     const text = translateWord('Do you really want to delete binding?');
     $('#modaldelete').find('p').text(text);
@@ -2628,6 +2750,7 @@ function genDevInfo(device) {
                     ${genRow('configured', (dev.meta.configured === 1), true)}
                 </ul>
             </div>
+            ${genAvailabilityInfo(device.availability, genRow)}
         </div>
         <div class="col s12 m6 l6 xl6">
         ${epInfo}
@@ -2635,6 +2758,21 @@ function genDevInfo(device) {
     return info;
 }
 
+function genAvailabilityInfo(availability, genRow) {
+    if (!availability) return '';
+    const policy = Object.keys(availability.policy).map(key => `${key}: ${availability.policy[key]}`).join(', ');
+    const reason = availability.reason ? `${availability.reason.reason} (${new Date(availability.reason.ts).toLocaleString()})` : undefined;
+    return `<div class="divider"></div>
+            <div style="font-size: 0.9em" class="truncate">
+                <ul>
+                    ${genRow('availability policy', `${availability.source}${policy ? ` (${policy})` : ''}`)}
+                    ${genRow('availability check', availability.pingable ? `ping every ${availability.timeout}s` : 'last seen')}
+                    ${genRow('expected interval', availability.expectedInterval ? `${Math.round(availability.expectedInterval.interval / 1000)}s (${availability.expectedInterval.source})` : undefined)}
+                    ${genRow('unavailable because', reason)}
+                </ul>
+            </div>`;
+}
+
 function showDevInfo(id) {
     const info = genDevInfo(getDeviceByID(id));
     $('#devinfo').html(info);
@@ -2730,12 +2868,49 @@ function showChannels() {
                 }
 
                 $('#channelsinfo').html(info);
+                $('#channelresult').html('');
+                $('#recommendchannel').unbind('click').click(recommendChannel);
+                $('#changechannel').unbind('click').click(changeChannel);
             }
         }
     });
     showWaitingDialog('Scanning channels', 10);
 }
 
+function recommendChannel() {
+    const wifiChannels = $('#wifichannels').val().split(',').map(ch => ch.trim()).filter(ch => ch);
+    sendTo(namespace, 'recommendChannel', {wifiChannels}, function (msg) {
+        closeWaitingDialog();
+        if (msg.error) {
+            showMessage(msg.error, _('Error'));
+            return;
+        }
+        if (msg.recommended) {
+            $('#newchannel').val(msg.recommended);
+            Materialize.updateTextFields();
+        }
+        const list = msg.candidates.slice(0, 4).map(c => `№ ${c.channel}: ${c.energy}%${c.overlaps.length ? ` (Wi-Fi ${c.overlaps.join(', ')})` : ''}`);
+        $('#channelresult').html(`<p>${_('Recommended channel')}: ${msg.recommended || '-'}</p><p>${list.join('<br>')}</p>`);
+    });
+    showWaitingDialog('Scanning channels', 10);
+}
+
+function changeChannel() {
+    const channel = $('#newchannel').val();
+    sendTo(namespace, 'changeChannel', {channel}, function (msg) {
+        closeWaitingDialog();
+        if (msg.error) {
+            showMessage(msg.error, _('Error'));
+            return;
+        }
+        const names = list => list.map(dev => dev.model || dev.ieeeAddr).join(', ') || '-';
+        $('#channelresult').html(`<p>${_('Channel changed')} ${msg.from} → ${msg.to}</p>` +
+            `<p>${_('Followed')}: ${names(msg.followed)}</p><p>${_('Not responding')}: ${names(msg.failed)}</p>` +
+            `<p>${_('Not verified (sleeping devices)')}: ${names(msg.unverified)}</p>`);
+    });
+    showWaitingDialog('Changing channel', 60);
+}
+
 function onlyOne(devs) {
 
     let devTypes = [];
@@ -3189,6 +3364,146 @@ function swapActive(id) {
     }
 }
 
+function showReporting(id) {
+    sendTo(namespace, 'getReportingConfig', {target: id}, function (msg) {
+        closeWaitingDialog();
+        if (msg) {
+            if (msg.error) {
+                showMessage(msg.error, _('Error'));
+            } else {
+                showReportingTable(id, msg.reporting || []);
+                $('#modalreporting').modal('open');
+            }
+        }
+    });
+    showWaitingDialog('Reporting configuration is being read', 30);
+}
+
+function showReportingTable(id, reporting) {
+    const value = (v) => (v === undefined ? '' : v);
+    const rows = reporting.map((r, index) => {
+        const o = r.override || {};
+        const current = r.error ? r.error : (r.min !== undefined ? `${r.min} - ${r.max}s (${value(r.change)})` : value(r.status));
+        return `<tr data-index="${index}">
+                    <td>${r.endpoint}</td>
+                    <td>${r.cluster}</td>
+                    <td>${r.attribute}</td>
+                    <td>${current}</td>
+                    <td><input name="min" type="number" min="0" max="65535" value="${value(o.min)}"/></td>
+                    <td><input name="max" type="number" min="0" max="65535" value="${value(o.max)}"/></td>
+                    <td><input name="change" type="number" min="0" value="${value(o.change)}"/></td>
+                    <td><label><input name="global" type="checkbox" class="filled-in" ${o.source === 'model' ? 'checked' : ''}/><span></span></label></td>
+                    <td>
+                        <button name="save" class="btn-flat btn-small"><i class="material-icons icon-green">save</i></button>
+                        ${r.override ? '<button name="remove" class="btn-flat btn-small"><i class="material-icons icon-red">delete</i></button>' : ''}
+                    </td>
+                </tr>`;
+    });
+    const head = ['Endpoint', 'Cluster', 'Attribute', 'Current reporting', 'Min interval', 'Max interval', 'Reportable change', 'For the model']
+        .map(title => `<th>${translateWord(title)}</th>`).join('');
+    $('#reportinginfo').html(`<table><thead><tr>${head}<th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`);
+    const getEntry = (row) => {
+        const r = reporting[row.data('index')];
+        return {cluster: r.cluster, attribute: r.attribute, global: row.find('input[name="global"]').prop('checked')};
+    };
+    $('#reportinginfo button[name="save"]').click(function () {
+        const row = $(this).parents('tr');
+        setReporting(id, Object.assign(getEntry(row), {
+            min: row.find('input[name="min"]').val(),
+            max: row.find('input[name="max"]').val(),
+            change: row.find('input[name="change"]').val(),
+        }));
+    });
+    $('#reportinginfo button[name="remove"]').click(function () {
+        setReporting(id, getEntry($(this).parents('tr')));
+    });
+}
+
+function setReporting(id, entry) {
+    sendTo(namespace, 'setReportingConfig', Object.assign({target: id}, entry), function (msg) {
+        closeWaitingDialog();
+        if (msg) {
+            if (msg.error) {
+                showMessage(msg.error, _('Error'));
+            } else if (msg.errors && msg.errors.length) {
+                showMessage(msg.errors.join('<br>'), _('Error'));
+            }
+        }
+        showReporting(id);
+    });
+    showWaitingDialog('Reporting configuration is being written', 30);
+}
+
+function showStateOverrides(id) {
+    sendTo(namespace, 'getStateOverrides', {target: id}, function (msg) {
+        if (msg) {
+            if (msg.error) {
+                showMessage(msg.error, _('Error'));
+            } else {
+                showStateOverridesTable(id, msg.states || [], msg.units || {});
+                $('#modalstateoverrides').modal('open');
+            }
+        }
+    });
+}
+
+function showStateOverridesTable(id, states, units) {
+    const value = (v) => (v === undefined ? '' : v);
+    const rows = states.map((st, index) => {
+        const o = st.override || {};
+        const isNumber = st.type === 'number';
+        const unitOptions = [st.unit].concat(units[st.unit] || []).filter(unit => unit)
+            .map(unit => `<option value="${unit}" ${(o.unit || st.unit) === unit ? 'selected' : ''}>${unit}</option>`).join('');
+        return `<tr data-index="${index}">
+                    <td>${st.id}</td>
+                    <td><input name="alias" type="text" value="${value(o.alias)}"/></td>
+                    <td><input name="name" type="text" value="${value(o.name)}" placeholder="${value(st.name)}"/></td>
+                    <td>${isNumber && unitOptions ? `<select name="unit" class="browser-default">${unitOptions}</select>` : value(st.unit)}</td>
+                    <td>${isNumber ? `<input name="scale" type="number" value="${value(o.scale)}"/>` : ''}</td>
+                    <td>${isNumber ? `<input name="offset" type="number" value="${value(o.offset)}"/>` : ''}</td>
+                    <td>${isNumber ? `<input name="round" type="number" min="0" max="10" value="${value(o.round)}"/>` : ''}</td>
+                    <td>${st.type === 'boolean' ? `<label><input name="invert" type="checkbox" class="filled-in" ${o.invert ? 'checked' : ''}/><span></span></label>` : ''}</td>
+                    <td><label><input name="hide" type="checkbox" class="filled-in" ${o.hide ? 'checked' : ''}/><span></span></label></td>
+                    <td><label><input name="global" type="checkbox" class="filled-in" ${st.model && !st.device ? 'checked' : ''}/><span></span></label></td>
+                    <td>
+                        <button name="save" class="btn-flat btn-small"><i class="material-icons icon-green">save</i></button>
+                        ${st.override ? '<button name="remove" class="btn-flat btn-small"><i class="material-icons icon-red">delete</i></button>' : ''}
+                    </td>
+                </tr>`;
+    });
+    const head = ['State', 'Alias', 'Name', 'Unit', 'Scale', 'Offset', 'Round', 'Invert', 'Hide', 'For the model']
+        .map(title => `<th>${translateWord(title)}</th>`).join('');
+    $('#stateoverridesinfo').html(`<table><thead><tr>${head}<th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`);
+    $('#stateoverridesinfo button[name="save"]').click(function () {
+        const row = $(this).parents('tr');
+        const st = states[row.data('index')];
+        const unit = row.find('select[name="unit"]').val();
+        setStateOverride(id, st.id, row.find('input[name="global"]').prop('checked'), {
+            alias: row.find('input[name="alias"]').val(),
+            name: row.find('input[name="name"]').val(),
+            unit: unit && unit !== st.unit ? unit : undefined,
+            scale: row.find('input[name="scale"]').val(),
+            offset: row.find('input[name="offset"]').val(),
+            round: row.find('input[name="round"]').val(),
+            invert: row.find('input[name="invert"]').prop('checked'),
+            hide: row.find('input[name="hide"]').prop('checked'),
+        });
+    });
+    $('#stateoverridesinfo button[name="remove"]').click(function () {
+        const row = $(this).parents('tr');
+        setStateOverride(id, states[row.data('index')].id, row.find('input[name="global"]').prop('checked'), {});
+    });
+}
+
+function setStateOverride(id, state, global, override) {
+    sendTo(namespace, 'setStateOverride', {target: id, state, global, override}, function (msg) {
+        if (msg && msg.error) {
+            showMessage(msg.error, _('Error'));
+        }
+        showStateOverrides(id);
+    });
+}
+
 function reconfigureDlg(id) {
     const text = translateWord(`Do you really want to reconfigure device?`);
     $('#modalreconfigure').find('p').text(text);
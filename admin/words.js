@@ -108,4 +108,75 @@ systemDictionary = {
     "The value to send to your device (use douple-quotes if a number is a string).": {"uk": "Значення, яке потрібно надіслати на ваш пристрій (використовуйте подвійні лапки, якщо число є строкою).", "en": "The value to send to your device (use double-quotes if a number is a string).", "de": "Der Wert der an Ihr Gerät gesendet werden soll (verwenden Sie doppelte Anführungszeichen wenn eine Zahl als Zeichenfolge gesendet werden soll).", "ru": "Значение для отправки на ваше устройство (используйте двойные кавычки, если число является строкой).", "pt": "O valor a ser enviado ao seu dispositivo (use aspas duplas se um número for uma string).", "nl": "De waarde die naar uw apparaat moet worden verzonden (gebruik dubbele aanhalingstekens als een getal een tekenreeks is).", "fr": "La valeur à envoyer à votre appareil (utilisez des guillemets doubles si un nombre est une chaîne).", "it": "Il valore da inviare al tuo dispositivo (usa virgolette doppie se un numero è una stringa).", "es": "El valor para enviar a su dispositivo (use comillas dobles si un número es una cadena).", "pl": "Wartość do wysłania do urządzenia (użyj podwójnych cudzysłowów, jeśli liczba jest łańcuchem).", "zh-cn": "要发送到设备的值（如果数字是字符串，请使用双引号）。"},
     "This page is needed only for advanced users that like to extend adapter functionalities!": {"uk": "Ця сторінка потрібна лише досвідченим користувачам, які хочуть розширити функціональність адаптера!", "en": "This page is needed only for advanced users that like to extend adapter functionalities!", "de": "Diese Seite ist nur für fortgeschrittene Benutzer gedacht, die den Adapter erweitern möchten!", "ru": "Эта страница нужна только опытным пользователям, которые хотят расширить функциональные возможности адаптера!", "pt": "Esta página é necessária apenas para usuários avançados que gostam de estender as funcionalidades do adaptador!", "nl": "Deze pagina is alleen bedoeld voor gevorderden welke de adapter functionaliteit uit willen breiden!", "fr": "Cette page n'est nécessaire que pour les utilisateurs avancés souhaitant étendre les fonctionnalités de l'adaptateur !", "it": "Questa pagina è necessaria solo per utenti avanzati che desiderano estendere le funzionalità dell'adattatore!", "es": "Esta página es necesaria solo para usuarios avanzados que deseen ampliar las funcionalidades del adaptador.", "pl": "Ta strona jest potrzebna tylko zaawansowanym użytkownikom, którzy lubią rozszerzać funkcje adaptera!", "zh-cn": "只有喜欢扩展适配器功能的高级用户才需要此页面！"},
     "Transport Key Text": {                          "uk": "Транспортний ключ – це ключ шифрування мережі. Будь ласка, виберіть випадкову послідовність символів, перш ніж приєднувати пристрої. Просто введіть 32 випадкових шістнадцяткових символи (a-f і 0-9). Якщо ви зміните ключ пізніше, вам доведеться переприєднати свої пристрої.", "en": "Transport Key is the network encryption key. Please choose a random key sequence before  you pair your devices. Just enter 32 random hex character (a-f and 0-9). If you change the key later, you will have to repair your devices.", "de": "Transportschlüssel ist der Netzwerkverschlüsselungsschlüssel. Bitte wähle eine zufällige Schlüsselsequenz <b>bevor</b> du Geräte koppelst. Gib einfach 32 zufällige Hex-Zeichen ein (a-f und 0-9). Wenn du den Schlüssel später änderst, musst du alle Geräte neu koppeln.", "ru": "Транспортный ключ - это сетевой ключ шифрования. Пожалуйста, выберите случайную последовательность <b>перед</b> подключением устройств. Просто введите 32 случайных шестнадцатеричных символа (a-f и 0-9). Если вы поменяете ключ позже, вам придется снова спаривать свои устройства.", "pt": "Chave de transporte é a chave de criptografia da rede. ", "nl": "Transportsleutel is de netwerkversleutelingssleutel. Kies een willekeurige toetsenreeks <b> voordat </b> u uw apparaten koppelt. Voer gewoon 32 willekeurige hexadecimale tekens in (a-f en 0-9). Als u de sleutel later wijzigt, moet u alle apparaten opnieuw aanleren.", "fr": "La clé de transport est la clé de chiffrement du réseau.  Choisissez s.v.p. une chaîne <b>avant</b> de coupler vos dispositifs. Entrez simplement 32 caractères hexadécimaux aléatoires (a-f et 0-9). Si vous changez la clé plus tard, vous devez re-coupler vos  dispositifs.", "it": "La chiave di trasporto è la chiave di crittografia della rete. ", "es": "Transport Key es la clave de cifrado de red. ",   "pl": "Klucz transportowy to sieciowy klucz szyfrowania.", "zh-cn": "传输密钥是网络加密密钥。"},
+    "Collect map every (min, 0 = off)":               {"en": "Collect map every (min, 0 = off)", "de": "Karte sammeln alle (Min., 0 = aus)"},
+    "Delay between router queries (sec)":             {"en": "Delay between router queries (sec)", "de": "Pause zwischen Router-Abfragen (Sek.)"},
+    "Alert below average neighbor LQI":               {"en": "Alert below average neighbor LQI", "de": "Warnung unter durchschnittlicher Nachbar-LQI"},
+    "Backup":                                         {"en": "Backup", "de": "Sicherung"},
+    "only at start":                                  {"en": "only at start", "de": "nur beim Start"},
+    "daily":                                          {"en": "daily", "de": "täglich"},
+    "weekly":                                         {"en": "weekly", "de": "wöchentlich"},
+    "Backup schedule":                                {"en": "Backup schedule", "de": "Sicherungsintervall"},
+    "Number of backups to keep":                      {"en": "Number of backups to keep", "de": "Anzahl aufzubewahrender Sicherungen"},
+    "Delete backups older than (days, 0 = never)":    {"en": "Delete backups older than (days, 0 = never)", "de": "Sicherungen löschen älter als (Tage, 0 = nie)"},
+    "Additional backup directory":                    {"en": "Additional backup directory", "de": "Zusätzliches Sicherungsverzeichnis"},
+    "Network migration...":                           {"en": "Network migration...", "de": "Netzwerk-Migration..."},
+    "Network migration":                              {"en": "Network migration", "de": "Netzwerk-Migration"},
+    "Migration Info":                                 {"en": "Network parameters of the instance config, the coordinator and nvbackup.json. Differences are marked red. Adopting values writes them into the config and restarts the adapter.", "de": "Netzwerkparameter aus der Instanzkonfiguration, dem Koordinator und nvbackup.json. Unterschiede sind rot markiert. Das Übernehmen schreibt die Werte in die Konfiguration und startet den Adapter neu."},
+    "Adopt coordinator values":                       {"en": "Adopt coordinator values", "de": "Werte des Koordinators übernehmen"},
+    "Adopt backup values":                            {"en": "Adopt backup values", "de": "Werte der Sicherung übernehmen"},
+    "Network parameters match":                       {"en": "Network parameters match", "de": "Netzwerkparameter stimmen überein"},
+    "config":                                         {"en": "config", "de": "Konfiguration"},
+    "coordinator":                                    {"en": "coordinator", "de": "Koordinator"},
+    "backup":                                         {"en": "backup", "de": "Sicherung"},
+    "Used Wi-Fi channels, comma separated":           {"en": "Used Wi-Fi channels, comma separated", "de": "Verwendete WLAN-Kanäle, durch Komma getrennt"},
+    "Recommend channel":                              {"en": "Recommend channel", "de": "Kanal empfehlen"},
+    "New channel":                                    {"en": "New channel", "de": "Neuer Kanal"},
+    "Change channel":                                 {"en": "Change channel", "de": "Kanal wechseln"},
+    "Recommended channel":                            {"en": "Recommended channel", "de": "Empfohlener Kanal"},
+    "Channel changed":                                {"en": "Channel changed", "de": "Kanal gewechselt"},
+    "Followed":                                       {"en": "Followed", "de": "Gefolgt"},
+    "Not responding":                                 {"en": "Not responding", "de": "Keine Antwort"},
+    "Not verified (sleeping devices)":                {"en": "Not verified (sleeping devices)", "de": "Nicht geprüft (schlafende Geräte)"},
+    "Changing channel":                               {"en": "Changing channel", "de": "Kanal wird gewechselt"},
+    "Scan channel energy every (min, 0 = off, min. 10)": {"en": "Scan channel energy every (min, 0 = off, min. 10)", "de": "Kanalenergie messen alle (Min., 0 = aus, min. 10)"},
+    "Interference above energy (%)":                  {"en": "Interference above energy (%)", "de": "Störung oberhalb Energie (%)"},
+    "OTA campaigns":                                  {"en": "OTA campaigns", "de": "OTA-Kampagnen"},
+    "Parallel updates":                               {"en": "Parallel updates", "de": "Parallele Updates"},
+    "Update window from (HH:MM)":                     {"en": "Update window from (HH:MM)", "de": "Update-Zeitfenster von (HH:MM)"},
+    "Update window to (HH:MM)":                       {"en": "Update window to (HH:MM)", "de": "Update-Zeitfenster bis (HH:MM)"},
+    "Use only the images of the local OTA folder":    {"en": "Use only the images of the local OTA folder", "de": "Nur die Images aus dem lokalen OTA-Ordner verwenden"},
+    "Check for firmware updates every (h, 0 = off)":  {"en": "Check for firmware updates every (h, 0 = off)", "de": "Auf Firmware-Updates prüfen alle (h, 0 = aus)"},
+    "Pause between devices (s)":                      {"en": "Pause between devices (s)", "de": "Pause zwischen den Geräten (s)"},
+    "Group states":                                   {"en": "Group states", "de": "Gruppenzustände"},
+    "on if any member is on":                         {"en": "on if any member is on", "de": "an, wenn ein Mitglied an ist"},
+    "on if all members are on":                       {"en": "on if all members are on", "de": "an, wenn alle Mitglieder an sind"},
+    "no aggregation":                                 {"en": "no aggregation", "de": "keine Zusammenfassung"},
+    "Group state from members":                       {"en": "Group state from members", "de": "Gruppenzustand aus den Mitgliedern"},
+    "average":                                        {"en": "average", "de": "Durchschnitt"},
+    "maximum":                                        {"en": "maximum", "de": "Maximum"},
+    "Group brightness from members":                  {"en": "Group brightness from members", "de": "Gruppenhelligkeit aus den Mitgliedern"},
+    "Read binding tables":                            {"en": "Read binding tables", "de": "Binding-Tabellen lesen"},
+    "Bind again":                                     {"en": "Bind again", "de": "Erneut binden"},
+    "Stored bindings which differ from the devices":  {"en": "Stored bindings which differ from the devices", "de": "Gespeicherte Bindings, die von den Geräten abweichen"},
+    "Imported bindings":                              {"en": "Imported bindings", "de": "Importierte Bindings"},
+    "Binding audit":                                  {"en": "Binding audit", "de": "Binding-Prüfung"},
+    "Reporting":                                      {"en": "Reporting", "de": "Reporting"},
+    "Close":                                          {"en": "Close", "de": "Schließen"},
+    "Cluster":                                        {"en": "Cluster", "de": "Cluster"},
+    "Attribute":                                      {"en": "Attribute", "de": "Attribut"},
+    "Current reporting":                              {"en": "Current reporting", "de": "Aktuelles Reporting"},
+    "Min interval":                                   {"en": "Min interval", "de": "Min. Intervall"},
+    "Max interval":                                   {"en": "Max interval", "de": "Max. Intervall"},
+    "Reportable change":                              {"en": "Reportable change", "de": "Meldeschwelle"},
+    "For the model":                                  {"en": "For the model", "de": "Für das Modell"},
+    "Overrides of the reporting are kept and applied again after a reconfigure or interview": {"en": "Overrides of the reporting are kept and applied again after a reconfigure or interview", "de": "Geänderte Reporting-Einstellungen bleiben erhalten und werden nach einer Neukonfiguration oder einem Interview erneut gesetzt"},
+    "State overrides":                                {"en": "State overrides", "de": "Zustandsanpassungen"},
+    "Replaced or hidden states are marked as orphaned and can be removed with the state cleanup": {"en": "Replaced or hidden states are marked as orphaned and can be removed with the state cleanup", "de": "Ersetzte oder ausgeblendete Zustände werden als verwaist markiert und können mit der Bereinigung entfernt werden"},
+    "State":                                          {"en": "State", "de": "Zustand"},
+    "Alias":                                          {"en": "Alias", "de": "Alias"},
+    "Unit":                                           {"en": "Unit", "de": "Einheit"},
+    "Scale":                                          {"en": "Scale", "de": "Faktor"},
+    "Offset":                                         {"en": "Offset", "de": "Versatz"},
+    "Round":                                          {"en": "Round", "de": "Runden"},
+    "Invert":                                         {"en": "Invert", "de": "Invertieren"},
 };
\ No newline at end of file
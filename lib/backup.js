@@ -2,20 +2,108 @@
 
 const fs = require('fs');
 const pathLib = require('path');
+const getNvBackupNetwork = require('./utils').getNvBackupNetwork;
+
+// format version of the configuration bundle created by exportConfig
+const bundleVersion = 1;
+const bundleFormat = 'iobroker.zigbee-config';
+const exportFolder = 'export';
+// settings which describe the coordinator hardware, only imported on request
+const hardwareSettings = ['port', 'adapterType', 'baudRate', 'flowCTRL'];
+const backupIntervals = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// uploaded bundles which were only previewed are removed after this time
+const importMaxAge = 24 * 60 * 60 * 1000;
+const bindingIdPattern = /^info\.bind_[a-zA-Z0-9_]+$/;
+
+/**
+ * Returns the target of a file of a bundle in dir. Only the file name of the entry is used,
+ * an entry which would still leave dir (e.g. '..') returns undefined.
+ */
+function getBundleTarget(dir, name) {
+    if (typeof name !== 'string') {
+        return undefined;
+    }
+    const base = pathLib.resolve(dir);
+    const target = pathLib.resolve(base, pathLib.basename(name));
+    if (pathLib.dirname(target) !== base) {
+        return undefined;
+    }
+    return target;
+}
+
+// the target of a file of a checked manifest
+function checkedBundleTarget(dir, name) {
+    const target = getBundleTarget(dir, name);
+    if (!target) {
+        throw new Error(`invalid file name ${name} in manifest`);
+    }
+    return target;
+}
+
+/**
+ * Checks the entries of a bundle manifest which are used as file names or object ids, throws on the first invalid entry.
+ */
+function checkManifest(manifest) {
+    for (const key of ['files', 'icons', 'external']) {
+        if (!Array.isArray(manifest[key])) {
+            throw new Error(`manifest entry ${key} is not a list`);
+        }
+    }
+    for (const file of [...manifest.files, ...manifest.icons]) {
+        if (typeof file !== 'string' || file !== pathLib.basename(file) || !getBundleTarget('.', file)) {
+            throw new Error(`invalid file name ${file} in manifest`);
+        }
+    }
+    for (const external of manifest.external) {
+        if (!external || typeof external.file !== 'string' || external.file !== pathLib.basename(external.file) ||
+            !getBundleTarget('.', external.file) || !getBundleTarget('.', external.path)) {
+            throw new Error(`invalid external converter ${external && external.name} in manifest`);
+        }
+    }
+    if (manifest.bindings !== undefined && (typeof manifest.bindings !== 'object' || manifest.bindings === null)) {
+        throw new Error('manifest entry bindings is not an object');
+    }
+    for (const id in manifest.bindings || {}) {
+        if (!bindingIdPattern.test(id)) {
+            throw new Error(`invalid binding ${id} in manifest`);
+        }
+    }
+}
+
+/**
+ * Targets of the external converters of a bundle in dir. A converter keeps its file name,
+ * converters with the same file name from different folders keep the unique name of the bundle.
+ */
+function getExternalTargets(dir, manifest) {
+    const names = manifest.external.map(external => pathLib.basename(external.path));
+    return manifest.external.map((external, index) =>
+        getBundleTarget(dir, names.indexOf(names[index]) === names.lastIndexOf(names[index]) ? external.path : external.file));
+}
 
 class Backup {
     constructor(adapter) {
         this.adapter = adapter;
         this.adapter.on('message', this.onMessage.bind(this));
+        // export, import, restore and backups share the folders and stop herdsman, only one of them runs at a time
         this.inProgress = new Set();
+        this.backupTimer = null;
+        this.backupRunning = undefined;
     }
 
     start(zbController, stController) {
         this.zbController = zbController;
         this.stController = stController;
+        this.scheduleBackup();
     }
 
     stop() {
+        if (this.backupTimer) {
+            clearTimeout(this.backupTimer);
+            this.backupTimer = null;
+        }
         delete this.zbController;
         delete this.stController;
     }
@@ -25,7 +113,7 @@ class Backup {
     }
 
     warn(msg) {
-        this.adapter.log.info(msg);
+        this.adapter.log.warn(msg);
     }
 
     error(msg) {
@@ -43,51 +131,142 @@ class Backup {
                     this.listbackups(obj);
                     break;
                 case 'restore':
-                    this.restore(obj);
+                    this.runExclusive('restore', obj, () => this.restore(obj));
+                    break;
+                case 'exportConfig':
+                    this.runExclusive('export', obj, () => this.exportConfig(obj.from, obj.command, obj.message, obj.callback));
+                    break;
+                case 'importConfig':
+                    if (obj && obj.message && typeof obj.message === 'object') {
+                        this.runExclusive('import', obj, () => this.importConfig(obj.from, obj.command, obj.message, obj.callback));
+                    }
                     break;
             }
         }
     }
 
+    // runs a message handler, unless another export, import, restore or backup is running
+    async runExclusive(operation, obj, handler) {
+        if (this.inProgress.size) {
+            this.warn(`${operation} refused, ${[...this.inProgress].join(', ')} in progress`);
+            this.adapter.sendTo(obj.from, obj.command, {error: 'busy'}, obj.callback);
+            return;
+        }
+        this.inProgress.add(operation);
+        try {
+            await handler();
+        } catch (/** @type {any} */ error) {
+            this.error(`${operation} failed: ${error && error.message ? error.message : 'no error message'}`);
+            this.adapter.sendTo(obj.from, obj.command, {error: `${operation} failed: ${error && error.message ? error.message : 'no error message'}`}, obj.callback);
+        } finally {
+            this.inProgress.delete(operation);
+        }
+    }
+
     async configure(zigbeeOptions) {
         this.zigbeeOptions = zigbeeOptions;
-        this.backup(zigbeeOptions);
-        const allBackupFiles = this.listBackupsFiles(zigbeeOptions);
-        this.delBackupsFiles(zigbeeOptions, allBackupFiles);
+        await this.createBackup('start');
     }
 
-    backup(options) {
-        // backup prior database and nv data before start adapter
-        const files = [];
-        if (options.disableBackup) {
+    scheduleBackup() {
+        const interval = backupIntervals[this.adapter.config.backupSchedule];
+        if (!interval || this.zigbeeOptions.disableBackup) {
+            return;
+        }
+        if (this.backupTimer) {
+            clearTimeout(this.backupTimer);
+        }
+        this.backupTimer = setTimeout(async () => {
+            this.backupTimer = null;
+            await this.createBackup(this.adapter.config.backupSchedule);
+            if (this.zbController) {
+                this.scheduleBackup();
+            }
+        }, interval);
+    }
+
+    /**
+     * Creates a backup, used at start, by the schedule and by other plugins before risky operations
+     * (e.g. this.adapter.callPluginMethod('createBackup', ['OTA'])). Never throws.
+     */
+    async createBackup(reason) {
+        if (!this.zigbeeOptions) {
+            return;
+        }
+        if (this.zigbeeOptions.disableBackup) {
             this.info(`internal Backups are disabled`);
-        } else {
-            if (fs.existsSync(pathLib.join(options.dbDir, options.backupPath))) files.push(options.backupPath);
-            if (fs.existsSync(pathLib.join(options.dbDir, options.dbPath))) files.push(options.dbPath);
-            if (files.length == 0) return;
-
-            const d = new Date();
-            const backup_name = `${d.getFullYear()}_${('0' + (d.getMonth() + 1)).slice(-2)}_${('0' + d.getDate()).slice(-2)}-` +
-                `${('0' + d.getHours()).slice(-2)}_${('0' + d.getMinutes()).slice(-2)}_${('0' + d.getSeconds()).slice(-2)}`;
-            const tar = require('tar');
-            const name = pathLib.join(options.dbDir, `backup_${backup_name}.tar.gz`);
-            const f = fs.createWriteStream(name);
-            f.on('finish', () => {
-                this.debug(`Backup ${name} success`);
-            });
-            f.on('error', err => {
-                this.error(`Cannot pack backup ${name}: ` + err);
-            });
+            return;
+        }
+        if (!this.backupRunning) {
+            if (this.inProgress.size) {
+                this.info(`Backup (${reason}) skipped, ${[...this.inProgress].join(', ')} in progress`);
+                return;
+            }
+            this.inProgress.add('backup');
+            this.backupRunning = this.backup(this.zigbeeOptions, reason).finally(() => this.inProgress.delete('backup'));
+        }
+        try {
+            await this.backupRunning;
+        } catch (/** @type {any} */ error) {
+            this.error(`Backup failed: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.backupRunning = undefined;
+    }
+
+    async backup(options, reason) {
+        const files = [];
+        const result = {ts: Date.now(), reason, success: false};
+        if (this.zbController && this.zbController.herdsmanStarted) {
+            // let herdsman write the current database and nv data first
             try {
-                tar.create({gzip: true, p: false, cwd: options.dbDir}, files).pipe(f);
-            } catch (err) {
-                this.error(`Cannot pack backup ${name}: ` + err);
+                await this.zbController.herdsman.backup();
+            } catch (/** @type {any} */ error) {
+                this.warn(`Herdsman backup failed, using the last saved files: ${error && error.message ? error.message : 'no error message'}`);
             }
         }
+        if (fs.existsSync(pathLib.join(options.dbDir, options.backupPath))) files.push(options.backupPath);
+        if (fs.existsSync(pathLib.join(options.dbDir, options.dbPath))) files.push(options.dbPath);
+        if (files.length == 0) return;
+
+        const tar = require('tar');
+        const name = pathLib.join(options.dbDir, `backup_${this.getTimeStamp()}.tar.gz`);
+        result.name = pathLib.basename(name);
+        try {
+            await tar.create({gzip: true, p: false, cwd: options.dbDir, file: name}, files);
+            this.debug(`Backup ${name} success`);
+            result.success = true;
+        } catch (/** @type {any} */ err) {
+            this.error(`Cannot pack backup ${name}: ` + err);
+            result.error = `Cannot pack backup: ${err && err.message ? err.message : err}`;
+        }
+        this.delBackupsFiles(options.dbDir, this.listBackupsFiles(options.dbDir));
+
+        const targetDir = this.getBackupTarget();
+        if (result.success && targetDir) {
+            try {
+                fs.mkdirSync(targetDir, {recursive: true});
+                fs.copyFileSync(name, pathLib.join(targetDir, result.name));
+                result.target = targetDir;
+                this.delBackupsFiles(targetDir, this.listBackupsFiles(targetDir));
+            } catch (/** @type {any} */ error) {
+                this.error(`Cannot copy backup ${name} to ${targetDir}: ${error && error.message ? error.message : 'no error message'}`);
+                result.success = false;
+                result.error = `Cannot copy backup to ${targetDir}: ${error && error.message ? error.message : 'no error message'}`;
+            }
+        }
+        await this.adapter.setStateAsync('info.lastBackup', JSON.stringify(result), true);
+    }
+
+    // the additional backup directory, one sub folder per instance
+    getBackupTarget() {
+        const target = this.adapter.config.backupTarget;
+        if (typeof target !== 'string' || !target.trim()) {
+            return undefined;
+        }
+        return pathLib.join(target.trim(), this.adapter.namespace);
     }
 
-    listBackupsFiles(options) {
-        const dir = options.dbDir;
+    listBackupsFiles(dir) {
         const result = [];
 
         if (fs.existsSync(dir)) {
@@ -107,7 +286,7 @@ class Backup {
             });
 
             for (let i = 0; i < files.length; i++) {
-                if (files[i].match(/\.tar\.gz$/i)) {     // safety first
+                if (files[i].match(/^backup_.+\.tar\.gz$/i)) {     // safety first
                     result.push(files[i]);
                 }
             }
@@ -117,54 +296,461 @@ class Backup {
         }
     }
 
-    delBackupsFiles(options, files) {
-        const arr = files.length;
-        if (arr > 10) {
-            this.info('delete old Backup files. keep only last 10');
+    // files are sorted newest first
+    delBackupsFiles(dir, files) {
+        const keep = this.adapter.config.backupKeep > 0 ? Number(this.adapter.config.backupKeep) : 10;
+        const maxAge = Number(this.adapter.config.backupMaxAge) > 0 ? Number(this.adapter.config.backupMaxAge) * 24 * 60 * 60 * 1000 : 0;
+        const now = Date.now();
+        if (files.length > keep) {
+            this.info(`delete old Backup files. keep only last ${keep}`);
         }
 
-        for (let i = 10; i < files.length; i++) {
-            const name = options.dbDir + '/' + files[i];
+        for (let i = 0; i < files.length; i++) {
+            const name = pathLib.join(dir, files[i]);
             try {
-                require('fs').unlinkSync(name);
+                // the newest backup is kept in any case
+                if (i >= keep || (i > 0 && maxAge && now - fs.statSync(name).mtime.getTime() > maxAge)) {
+                    fs.unlinkSync(name);
+                }
             } catch (error) {
                 this.error(error);
             }
         }
     }
 
+    getTimeStamp() {
+        const d = new Date();
+        return `${d.getFullYear()}_${('0' + (d.getMonth() + 1)).slice(-2)}_${('0' + d.getDate()).slice(-2)}-` +
+            `${('0' + d.getHours()).slice(-2)}_${('0' + d.getMinutes()).slice(-2)}_${('0' + d.getSeconds()).slice(-2)}`;
+    }
 
-    async listbackups(obj) {
+    // resolves the configured external converter files the same way the external converter loader does
+    getExternalFiles() {
+        const result = [];
+        const external = this.adapter.config.external;
+        if (typeof external !== 'string') {
+            return result;
+        }
+        for (const moduleName of external.split(';')) {
+            if (!moduleName) continue;
+            const mN = (fs.existsSync(moduleName) ? moduleName : this.adapter.expandFileName(moduleName).replace('.', '_'));
+            result.push({name: moduleName, path: mN});
+        }
+        return result;
+    }
+
+    async getBindings() {
+        const bindings = {};
+        const states = await this.adapter.getStatesAsync('info.bind_*');
+        for (const id in states) {
+            if (states[id] && states[id].val) {
+                bindings[id.replace(`${this.adapter.namespace}.`, '')] = states[id].val;
+            }
+        }
+        return bindings;
+    }
+
+    /**
+     * Creates one archive with everything needed to move the installation to new hardware:
+     * herdsman database and nv backup, local overrides (names, icons, excludes, group names), the referenced
+     * icons, bindings, external converters and the adapter settings.
+     * result: {file: archive name, size: bytes, data: base64 content}
+     */
+    async exportConfig(from, command, message, callback) {
+        const options = this.zigbeeOptions;
+        const tar = require('tar');
+        const name = `config_${this.getTimeStamp()}`;
+        const exportDir = pathLib.join(options.dbDir, exportFolder);
+        const stagingDir = pathLib.join(exportDir, name);
+        const archive = pathLib.join(exportDir, `${name}.tar.gz`);
+        try {
+            fs.mkdirSync(stagingDir, {recursive: true});
+            const manifest = {
+                format: bundleFormat,
+                version: bundleVersion,
+                adapterVersion: this.adapter.version,
+                created: Date.now(),
+                files: /** @type {string[]} */ ([]),
+                external: /** @type {{name: string, path: string, file: string}[]} */ ([]),
+                icons: /** @type {string[]} */ ([]),
+                bindings: await this.getBindings(),
+                native: this.adapter.config,
+            };
+            for (const file of [options.dbPath, options.backupPath]) {
+                if (fs.existsSync(pathLib.join(options.dbDir, file))) {
+                    fs.copyFileSync(pathLib.join(options.dbDir, file), pathLib.join(stagingDir, file));
+                    manifest.files.push(file);
+                }
+            }
+            const localConfig = this.stController.localConfig;
+            await localConfig.retainData();
+            fs.writeFileSync(pathLib.join(stagingDir, 'LocalOverrides.json'), JSON.stringify(localConfig.localData, null, 2));
+            fs.mkdirSync(pathLib.join(stagingDir, 'img'));
+            for (const icon of [...localConfig.getOverridesWithKey('icon', false), ...localConfig.getOverridesWithKey('icon', true)]) {
+                if (typeof icon.value !== 'string' || icon.value.startsWith('http')) continue;
+                const src = pathLib.resolve(localConfig.basefolder, icon.value);
+                const iconName = pathLib.basename(src);
+                if (fs.existsSync(src) && !manifest.icons.includes(iconName)) {
+                    fs.copyFileSync(src, pathLib.join(stagingDir, 'img', iconName));
+                    manifest.icons.push(iconName);
+                }
+            }
+            fs.mkdirSync(pathLib.join(stagingDir, 'external'));
+            for (const [index, external] of this.getExternalFiles().entries()) {
+                if (!fs.existsSync(external.path)) {
+                    this.warn(`exportConfig: external converter ${external.name} not found`);
+                    continue;
+                }
+                const file = `${index}_${pathLib.basename(external.path)}`;
+                fs.copyFileSync(external.path, pathLib.join(stagingDir, 'external', file));
+                manifest.external.push({name: external.name, path: external.path, file});
+            }
+            fs.writeFileSync(pathLib.join(stagingDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+            await tar.create({gzip: true, portable: true, cwd: stagingDir, file: archive}, fs.readdirSync(stagingDir));
+            const data = fs.readFileSync(archive);
+            this.info(`Configuration ${name}.tar.gz exported`);
+            this.adapter.sendTo(from, command, {file: `${name}.tar.gz`, size: data.length, data: data.toString('base64')}, callback);
+        } catch (/** @type {any} */ error) {
+            this.error(`exportConfig failed: ${error && error.message ? error.message : 'no error message'}`);
+            this.adapter.sendTo(from, command, {error: `exportConfig failed: ${error && error.message ? error.message : 'no error message'}`}, callback);
+        }
+        // the archive contains the network key, it is only handed out and not kept
+        fs.rmSync(stagingDir, {recursive: true, force: true});
+        fs.rmSync(archive, {force: true});
+    }
 
+    // extracts and checks a configuration bundle into targetDir, returns the manifest
+    async extractBundle(message, targetDir) {
+        const tar = require('tar');
+        const exportDir = pathLib.join(this.zigbeeOptions.dbDir, exportFolder);
+        let archive;
+        this.removeStaleImports(exportDir);
+        if (message.data) {
+            fs.mkdirSync(exportDir, {recursive: true});
+            archive = pathLib.join(exportDir, `import_${this.getTimeStamp()}.tar.gz`);
+            fs.writeFileSync(archive, Buffer.from(message.data, 'base64'));
+        } else if (message.file) {
+            archive = pathLib.join(exportDir, pathLib.basename(message.file));
+        }
+        if (!archive || !fs.existsSync(archive)) {
+            throw new Error('no configuration bundle given');
+        }
+        fs.mkdirSync(targetDir, {recursive: true});
+        await tar.extract({file: archive, cwd: targetDir});
+        const manifestFile = pathLib.join(targetDir, 'manifest.json');
+        if (!fs.existsSync(manifestFile)) {
+            throw new Error('archive contains no manifest - not a configuration bundle');
+        }
+        const manifest = JSON.parse(fs.readFileSync(manifestFile, {encoding: 'utf8'}));
+        manifest.archive = pathLib.basename(archive);
+        if (manifest.format !== bundleFormat) {
+            throw new Error(`unknown bundle format ${manifest.format}`);
+        }
+        if (!(manifest.version <= bundleVersion)) {
+            throw new Error(`bundle version ${manifest.version} is not supported (max. ${bundleVersion})`);
+        }
+        checkManifest(manifest);
+        for (const file of [...manifest.files, 'LocalOverrides.json']) {
+            if (!fs.existsSync(pathLib.join(targetDir, file))) {
+                throw new Error(`bundle is incomplete, ${file} is missing`);
+            }
+        }
+        return manifest;
     }
 
-    async restore(options, name) {
-        if (fs.existsSync(pathLib.join(options.dbDir, name))) {
+    // uploaded bundles contain the network key, the ones not applied are not kept for long
+    removeStaleImports(exportDir) {
+        if (!fs.existsSync(exportDir)) {
+            return;
+        }
+        const now = Date.now();
+        for (const file of fs.readdirSync(exportDir).filter(file => /^import_.+\.tar\.gz$/.test(file))) {
             try {
-                this.log.info('Stop herdsman');
-                if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
-                this.callPluginMethod('stop');
-                if (this.zbController) {
-                    await this.zbController.stop();
+                if (now - fs.statSync(pathLib.join(exportDir, file)).mtime.getTime() > importMaxAge) {
+                    fs.unlinkSync(pathLib.join(exportDir, file));
                 }
-                const tar = require('tar');
-                try {
-                    tar.extract({file: name, cwd: options.dbDir}, err => {
-                        if (err) {
-                            this.log.error(`Cannot extract from file ${name}: ${err}`);
-                        } else {
-                            this.log.info(`Extract from file ${name} success`);
-                        }
-                        this.doConnect();
-                    });
-                } catch (err) {
-                    this.log.error(`Cannot extrack backup ${name}: ${err}`);
+            } catch (/** @type {any} */ error) {
+                this.warn(`Cannot delete uploaded bundle ${file}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+    }
+
+    fileStatus(src, dst) {
+        if (!fs.existsSync(dst)) {
+            return 'new';
+        }
+        return fs.readFileSync(src).equals(fs.readFileSync(dst)) ? 'unchanged' : 'changed';
+    }
+
+    // compares the bundle with the current installation
+    async compareBundle(manifest, bundleDir, includeHardware) {
+        const options = this.zigbeeOptions;
+        /** @type {Record<'files' | 'overrides' | 'bindings' | 'settings' | 'external' | 'icons', object[]>} */
+        const changes = {files: [], overrides: [], bindings: [], settings: [], external: [], icons: []};
+        for (const file of manifest.files) {
+            changes.files.push({name: file, status: this.fileStatus(pathLib.join(bundleDir, file), getBundleTarget(options.dbDir, file))});
+        }
+        const current = this.stController.localConfig.localData;
+        const imported = JSON.parse(fs.readFileSync(pathLib.join(bundleDir, 'LocalOverrides.json'), {encoding: 'utf8'}));
+        for (const base of ['by_id', 'by_model']) {
+            const ids = new Set([...Object.keys(current[base] || {}), ...Object.keys(imported[base] || {})]);
+            for (const id of ids) {
+                const before = (current[base] || {})[id];
+                const after = (imported[base] || {})[id];
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    changes.overrides.push({id, global: base === 'by_model', from: before, to: after});
                 }
-            } catch (error) {
-                this.log.error(`Stop herdsman error (${error.stack})`);
             }
         }
+        const bindings = await this.getBindings();
+        for (const id of new Set([...Object.keys(bindings), ...Object.keys(manifest.bindings || {})])) {
+            if (bindings[id] !== (manifest.bindings || {})[id]) {
+                changes.bindings.push({id, status: !bindings[id] ? 'new' : !(manifest.bindings || {})[id] ? 'removed' : 'changed'});
+            }
+        }
+        for (const key in manifest.native) {
+            if (!includeHardware && hardwareSettings.includes(key)) continue;
+            if (JSON.stringify(manifest.native[key]) !== JSON.stringify(this.adapter.config[key])) {
+                changes.settings.push({key, from: this.adapter.config[key], to: manifest.native[key]});
+            }
+        }
+        const externalTargets = getExternalTargets(options.dbDir, manifest);
+        for (const [index, external] of manifest.external.entries()) {
+            changes.external.push({name: external.name, target: pathLib.basename(externalTargets[index]),
+                status: this.fileStatus(pathLib.join(bundleDir, 'external', external.file), externalTargets[index])});
+        }
+        for (const icon of manifest.icons) {
+            changes.icons.push({name: icon, status: this.fileStatus(pathLib.join(bundleDir, 'img', icon), getBundleTarget(this.stController.localConfig.basefolder, icon))});
+        }
+        return changes;
+    }
+
+    /**
+     * Checks a bundle created by exportConfig and shows what would change. With apply: true the bundle is restored
+     * and the adapter restarts. An uploaded bundle is kept in the export folder for a day, so the returned file name
+     * can be used to apply it after the preview.
+     * message: {data: base64 archive | file: archive name in the export folder, apply: bool, includeHardware: bool}
+     */
+    async importConfig(from, command, message, callback) {
+        const exportDir = pathLib.join(this.zigbeeOptions.dbDir, exportFolder);
+        const bundleDir = pathLib.join(exportDir, `tmp_${Date.now()}`);
+        /** @type {any} */
+        let result;
+        let manifest;
+        try {
+            manifest = await this.extractBundle(message, bundleDir);
+            const changes = await this.compareBundle(manifest, bundleDir, message.includeHardware);
+            result = {file: manifest.archive, created: manifest.created, adapterVersion: manifest.adapterVersion, version: manifest.version, changes};
+        } catch (/** @type {any} */ error) {
+            this.error(`importConfig failed: ${error && error.message ? error.message : 'no error message'}`);
+            result = result || {};
+            result.error = `importConfig failed: ${error && error.message ? error.message : 'no error message'}`;
+        }
+        if (!message.apply || result.error) {
+            fs.rmSync(bundleDir, {recursive: true, force: true});
+            this.adapter.sendTo(from, command, result, callback);
+            return;
+        }
+        // herdsman is stopped while the bundle is applied, so the adapter is restarted in any case
+        let native = undefined;
+        try {
+            native = await this.applyBundle(manifest, bundleDir, message.includeHardware);
+            result.applied = true;
+        } catch (/** @type {any} */ error) {
+            this.error(`Configuration bundle not completely imported, restarting adapter: ${error && error.message ? error.message : 'no error message'}`);
+            result.error = `importConfig failed: ${error && error.message ? error.message : 'no error message'}`;
+            await this.adapter.setStateAsync('info.connection', false, true);
+        }
+        fs.rmSync(bundleDir, {recursive: true, force: true});
+        fs.rmSync(pathLib.join(exportDir, manifest.archive), {force: true});
+        this.adapter.sendTo(from, command, result, callback);
+        await this.restartWithSettings(native);
+    }
+
+    // changing the instance object restarts the adapter with the new settings
+    async restartWithSettings(native) {
+        try {
+            if (native && Object.keys(native).some(key => JSON.stringify(native[key]) !== JSON.stringify(this.adapter.config[key]))) {
+                await this.adapter.extendForeignObjectAsync(`system.adapter.${this.adapter.namespace}`, {native});
+                return;
+            }
+        } catch (/** @type {any} */ error) {
+            this.error(`Cannot store the imported settings: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.adapter.restart();
+    }
+
+    // restores the bundle, returns the settings for the instance object
+    async applyBundle(manifest, bundleDir, includeHardware) {
+        const options = this.zigbeeOptions;
+        const localConfig = this.stController.localConfig;
+        this.info(`Importing configuration bundle created ${new Date(manifest.created).toISOString()}`);
+        await this.stopHerdsman();
+        for (const file of manifest.files) {
+            fs.copyFileSync(pathLib.join(bundleDir, file), checkedBundleTarget(options.dbDir, file));
+        }
+        localConfig.localData = JSON.parse(fs.readFileSync(pathLib.join(bundleDir, 'LocalOverrides.json'), {encoding: 'utf8'}));
+        await localConfig.retainData();
+        for (const icon of manifest.icons) {
+            fs.copyFileSync(pathLib.join(bundleDir, 'img', icon), checkedBundleTarget(localConfig.basefolder, icon));
+        }
+        const native = {};
+        // external converters are always restored to the instance data dir, never to the path in the bundle
+        const externals = getExternalTargets(options.dbDir, manifest);
+        for (const [index, external] of manifest.external.entries()) {
+            fs.copyFileSync(pathLib.join(bundleDir, 'external', external.file), externals[index]);
+        }
+        const bindings = await this.getBindings();
+        const bundleBindings = manifest.bindings || {};
+        for (const id in bindings) {
+            if (!bundleBindings[id]) {
+                await this.adapter.delObjectAsync(id);
+            }
+        }
+        for (const id in bundleBindings) {
+            await this.adapter.setObjectNotExistsAsync(id, {type: 'state', common: {name: id.replace('info.', '')}, native: {}});
+            await this.adapter.setStateAsync(id, bundleBindings[id], true);
+        }
+        for (const key in manifest.native) {
+            if (!includeHardware && hardwareSettings.includes(key)) continue;
+            native[key] = manifest.native[key];
+        }
+        if (manifest.external.length) {
+            native.external = externals.join(';');
+        }
+        this.info('Configuration bundle imported, restarting adapter');
+        return native;
+    }
+
+    // stops herdsman and detaches the controller, so the database is not written again on unload
+    async stopHerdsman() {
+        const zbController = this.zbController;
+        if (this.adapter.reconnectTimer) clearTimeout(this.adapter.reconnectTimer);
+        await this.adapter.callPluginMethod('stop');
+        if (zbController) {
+            this.info('Stop herdsman');
+            await zbController.stop();
+            this.adapter.zbController = undefined;
+        }
+    }
+
+    // reads the network parameters from the nv backup inside a backup file
+    async readBackupNetwork(name) {
+        const options = this.zigbeeOptions;
+        const tar = require('tar');
+        const tmpDir = pathLib.join(options.dbDir, `tmp_${Date.now()}`);
+        let network = undefined;
+        try {
+            fs.mkdirSync(tmpDir);
+            await tar.extract({file: pathLib.join(options.dbDir, name), cwd: tmpDir, filter: path => path === options.backupPath});
+            const nvFile = pathLib.join(tmpDir, options.backupPath);
+            if (fs.existsSync(nvFile)) {
+                // the network key is not sent to the admin
+                const {precfgkey, ...nvNetwork} = getNvBackupNetwork(JSON.parse(fs.readFileSync(nvFile, {encoding: 'utf8'})));
+                network = nvNetwork;
+            }
+        } catch (/** @type {any} */ error) {
+            this.warn(`Cannot read network parameters from ${name}: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+        return network;
+    }
+
+    async getRunningNetwork() {
+        const config = this.adapter.config;
+        const running = {
+            config: {
+                panID: parseInt(config.panID ? config.panID : 0x1a62),
+                extPanID: (config.extPanID ? config.extPanID : 'dddddddddddddddd').toLowerCase(),
+                channel: parseInt(config.channel ? config.channel : 11),
+            },
+        };
+        if (this.zbController && this.zbController.herdsmanStarted) {
+            try {
+                const params = await this.zbController.herdsman.getNetworkParameters();
+                running.network = {panID: params.panID, extPanID: String(params.extendedPanID).replace('0x', '').toLowerCase(), channel: params.channel};
+            } catch (/** @type {any} */ error) {
+                this.debug(`getNetworkParameters failed: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+        return running;
+    }
+
+    /**
+     * Lists the backup files, newest first.
+     * result: {backups: [{name, size, date, network: {panID, extPanID, channel, coordinator}}], running: {config, network}}
+     */
+    async listbackups(obj) {
+        /** @type {{backups: object[], running?: object, error?: string}} */
+        const result = {backups: []};
+        try {
+            for (const name of this.listBackupsFiles(this.zigbeeOptions.dbDir)) {
+                const stat = fs.statSync(pathLib.join(this.zigbeeOptions.dbDir, name));
+                result.backups.push({name, size: stat.size, date: stat.mtime.getTime(), network: await this.readBackupNetwork(name)});
+            }
+            result.running = await this.getRunningNetwork();
+        } catch (/** @type {any} */ error) {
+            this.error(`listbackups failed: ${error && error.message ? error.message : 'no error message'}`);
+            result.error = `listbackups failed: ${error && error.message ? error.message : 'no error message'}`;
+        }
+        this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+    }
+
+    /**
+     * Restores a backup file and restarts the adapter.
+     * message: {name: backup file name, dryRun: only compare the network parameters of the backup with the running ones}
+     * result: {name, network, running, differences: [keys of the backup network other than the running one]}
+     */
+    async restore(obj) {
+        const message = obj.message || {};
+        const options = this.zigbeeOptions;
+        const name = pathLib.basename(typeof message === 'string' ? message : message.name || '');
+        if (!name.match(/\.tar\.gz$/i) || !fs.existsSync(pathLib.join(options.dbDir, name))) {
+            this.adapter.sendTo(obj.from, obj.command, {error: `backup ${name} not found`}, obj.callback);
+            return;
+        }
+        const result = {name, network: await this.readBackupNetwork(name), running: await this.getRunningNetwork()};
+        const current = result.running.network || result.running.config;
+        result.differences = ['panID', 'extPanID', 'channel'].filter(key => result.network && result.network[key] !== current[key]);
+        if (message.dryRun) {
+            this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+            return;
+        }
+        const tar = require('tar');
+        const files = [options.dbPath, options.backupPath];
+        const tmpDir = pathLib.join(options.dbDir, `restore_${Date.now()}`);
+        try {
+            // the archive is extracted before herdsman is stopped, so a broken backup leaves the adapter running
+            fs.mkdirSync(tmpDir);
+            await tar.extract({file: pathLib.join(options.dbDir, name), cwd: tmpDir, filter: path => files.includes(path)});
+            if (!fs.existsSync(pathLib.join(tmpDir, options.dbPath))) {
+                throw new Error(`${options.dbPath} is missing in the backup`);
+            }
+        } catch (/** @type {any} */ error) {
+            fs.rmSync(tmpDir, {recursive: true, force: true});
+            this.error(`Cannot restore backup ${name}: ${error && error.message ? error.message : 'no error message'}`);
+            this.adapter.sendTo(obj.from, obj.command, Object.assign({error: `Cannot restore backup ${name}: ${error && error.message ? error.message : 'no error message'}`}, result), obj.callback);
+            return;
+        }
+        try {
+            await this.stopHerdsman();
+            for (const path of files.filter(path => fs.existsSync(pathLib.join(tmpDir, path)))) {
+                fs.renameSync(pathLib.join(tmpDir, path), pathLib.join(options.dbDir, path));
+            }
+            this.info(`Restored backup ${name}, restarting adapter`);
+            this.adapter.sendTo(obj.from, obj.command, Object.assign({restored: true}, result), obj.callback);
+        } catch (/** @type {any} */ error) {
+            this.error(`Cannot restore backup ${name}: ${error && error.message ? error.message : 'no error message'}`);
+            this.adapter.sendTo(obj.from, obj.command, Object.assign({error: `Cannot restore backup ${name}: ${error && error.message ? error.message : 'no error message'}`}, result), obj.callback);
+        }
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+        // herdsman is stopped, a restart creates a new controller with the restored or the former files
+        this.adapter.restart();
     }
 }
 
+Backup.getBundleTarget = getBundleTarget;
+Backup.checkManifest = checkManifest;
+Backup.getExternalTargets = getExternalTargets;
+
 module.exports = Backup;
@@ -0,0 +1,98 @@
+'use strict';
+
+const path = require('path');
+const {expect} = require('chai');
+const Backup = require('./backup');
+
+const dbDir = path.resolve('/opt/iobroker/iobroker-data/zigbee_0');
+
+function manifest(entries) {
+    return Object.assign({files: ['nvbackup.json'], icons: ['lamp.png'], external: [{name: 'conv.js', file: 'conv.js', path: 'conv.js'}], bindings: {}}, entries);
+}
+
+describe('backup', () => {
+    describe('getBundleTarget', () => {
+        it('resolves a name inside the folder', () => {
+            expect(Backup.getBundleTarget(dbDir, 'nvbackup.json')).to.equal(path.join(dbDir, 'nvbackup.json'));
+        });
+
+        it('keeps only the base name of a path', () => {
+            expect(Backup.getBundleTarget(dbDir, '../../etc/passwd')).to.equal(path.join(dbDir, 'passwd'));
+            expect(Backup.getBundleTarget(dbDir, '/etc/passwd')).to.equal(path.join(dbDir, 'passwd'));
+        });
+
+        it('refuses names which leave the folder', () => {
+            expect(Backup.getBundleTarget(dbDir, '..')).to.be.undefined;
+            expect(Backup.getBundleTarget(dbDir, '')).to.be.undefined;
+            expect(Backup.getBundleTarget(dbDir, undefined)).to.be.undefined;
+        });
+    });
+
+    describe('getExternalTargets', () => {
+        it('keeps the file names of the converters in the data dir', () => {
+            const targets = Backup.getExternalTargets(dbDir, manifest({external: [
+                {name: 'a.js', file: '0_a.js', path: '/opt/converters/a.js'},
+                {name: 'b.mjs', file: '1_b.mjs', path: 'b.mjs'},
+            ]}));
+            expect(targets).to.deep.equal([path.join(dbDir, 'a.js'), path.join(dbDir, 'b.mjs')]);
+        });
+
+        it('keeps the unique names of converters with the same file name', () => {
+            const targets = Backup.getExternalTargets(dbDir, manifest({external: [
+                {name: 'one/conv.js', file: '0_conv.js', path: '/opt/one/conv.js'},
+                {name: 'two/conv.js', file: '1_conv.js', path: '/opt/two/conv.js'},
+                {name: 'other.js', file: '2_other.js', path: '/opt/other.js'},
+            ]}));
+            expect(targets).to.deep.equal([path.join(dbDir, '0_conv.js'), path.join(dbDir, '1_conv.js'), path.join(dbDir, 'other.js')]);
+        });
+    });
+
+    describe('runExclusive', () => {
+        it('refuses an operation while another one is running', async () => {
+            const replies = [];
+            const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+            const backup = new Backup({on: () => {}, log, sendTo: (from, command, result) => replies.push(result)});
+            let finish = () => {};
+            const running = backup.runExclusive('import', {command: 'importConfig'}, () => new Promise(resolve => finish = () => resolve(undefined)));
+            await backup.runExclusive('restore', {command: 'restore'}, () => replies.push('restored'));
+            backup.zigbeeOptions = {dbDir};
+            await backup.createBackup('OTA');
+            expect(replies).to.deep.equal([{error: 'busy'}]);
+            finish();
+            await running;
+            await backup.runExclusive('restore', {command: 'restore'}, () => replies.push('restored'));
+            expect(replies).to.deep.equal([{error: 'busy'}, 'restored']);
+        });
+    });
+
+    describe('checkManifest', () => {
+        it('accepts a valid manifest', () => {
+            expect(() => Backup.checkManifest(manifest({bindings: {'info.bind_0x1234_1': {}}}))).not.to.throw();
+            expect(() => Backup.checkManifest(manifest({bindings: undefined}))).not.to.throw();
+        });
+
+        it('refuses missing lists', () => {
+            expect(() => Backup.checkManifest(manifest({icons: undefined}))).to.throw('manifest entry icons is not a list');
+        });
+
+        it('refuses file and icon names with a path', () => {
+            expect(() => Backup.checkManifest(manifest({files: ['../zigbee.db']}))).to.throw('invalid file name ../zigbee.db in manifest');
+            expect(() => Backup.checkManifest(manifest({icons: ['/etc/passwd']}))).to.throw('invalid file name /etc/passwd in manifest');
+            expect(() => Backup.checkManifest(manifest({icons: ['..']}))).to.throw('invalid file name .. in manifest');
+        });
+
+        it('refuses invalid external converters', () => {
+            expect(() => Backup.checkManifest(manifest({external: [{name: 'conv.js', file: 'sub/conv.js', path: 'conv.js'}]})))
+                .to.throw('invalid external converter conv.js in manifest');
+            expect(() => Backup.checkManifest(manifest({external: [{name: 'conv.js', file: 'conv.js', path: '..'}]})))
+                .to.throw('invalid external converter conv.js in manifest');
+            expect(() => Backup.checkManifest(manifest({external: [null]}))).to.throw('invalid external converter null in manifest');
+        });
+
+        it('refuses bindings which are no binding states', () => {
+            expect(() => Backup.checkManifest(manifest({bindings: 'info.bind_1'}))).to.throw('manifest entry bindings is not an object');
+            expect(() => Backup.checkManifest(manifest({bindings: {'system.adapter.zigbee.0': {}}}))).to.throw('invalid binding system.adapter.zigbee.0 in manifest');
+            expect(() => Backup.checkManifest(manifest({bindings: {'info.bind_1.x': {}}}))).to.throw('invalid binding info.bind_1.x in manifest');
+        });
+    });
+});
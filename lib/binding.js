@@ -1,10 +1,10 @@
 'use strict';
 
 const safeJsonStringify = require('./json');
+const ZigbeeHerdsman = require('zigbee-herdsman');
 
-// 5 - genScenes, 6 - genOnOff, 8 - genLevelCtrl, 768 - lightingColorCtrl
-const allowClusters = [5, 6, 8, 768];
-const allowClustersName = {5: 'genScenes', 6: 'genOnOff', 8: 'genLevelCtrl', 768: 'lightingColorCtrl'};
+// clusters bound when no cluster is selected: 5 - genScenes, 6 - genOnOff, 8 - genLevelCtrl, 768 - lightingColorCtrl
+const defaultClusters = [5, 6, 8, 768];
 
 
 class Binding {
@@ -70,6 +70,18 @@ class Binding {
                                 this.adapter.sendTo(obj.from, obj.command, err, obj.callback));
                         }
                         break;
+                    case 'auditBindings':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.auditBindings(obj.message).then(result =>
+                                this.adapter.sendTo(obj.from, obj.command, result, obj.callback));
+                        }
+                        break;
+                    case 'repairBinding':
+                        if (obj.message) {
+                            this.repairBinding(obj.message, err =>
+                                this.adapter.sendTo(obj.from, obj.command, err, obj.callback));
+                        }
+                        break;
                 }
             }
         }
@@ -103,22 +115,48 @@ class Binding {
         return ep.indexOf('_') > 0 ? ep.split('_')[1] : null;
     }
 
+    /**
+     * Cluster names come from the ZCL definitions of herdsman, unknown ids and names are returned as they are.
+     * @returns {string}
+     */
+    getClusterName(clID) {
+        const key = isNaN(clID) ? clID : Number(clID);
+        try {
+            return ZigbeeHerdsman.Zcl.Utils.getCluster(key, undefined, {}).name;
+        } catch (error) {
+            return String(clID);
+        }
+    }
+
+    async resolveBindingEntities(bind_source, bind_source_ep, bind_target, bind_target_ep) {
+        const source = await this.zbController.resolveEntity(`0x${this.extractDeviceId(bind_source)}`, this.getBindEp(bind_source_ep));
+        this.debug(`source: ${safeJsonStringify(source)}`);
+        let target = await this.zbController.resolveEntity(`0x${this.extractDeviceId(bind_target)}`, this.getBindEp(bind_target_ep));
+        this.debug(`target: ${safeJsonStringify(target)}`);
+        if (!target) {
+            if (bind_target === 'coordinator') {
+                target = await this.zbController.resolveEntity(bind_target);
+                this.debug(`Coordinator target: ${safeJsonStringify(target)}`);
+            } else {
+                target = await this.zbController.resolveEntity(parseInt(bind_target));
+                this.debug(`Group target: ${safeJsonStringify(target)}`);
+            }
+        }
+        return {source, target};
+    }
+
+    // Find which clusters are supported by both the source and target.
+    // Groups and the coordinator are assumed to support all clusters.
+    getBindClusters(source, target, bindCluster) {
+        const clusters = (bindCluster ? [bindCluster] : defaultClusters).map(clID => this.getClusterName(clID));
+        return clusters.filter(cluster => source.endpoint.supportsOutputCluster(cluster) &&
+            (target.type === 'group' || target.device.type === 'Coordinator' || target.endpoint.supportsInputCluster(cluster)));
+    }
+
     async doBindUnbind(type, bind_source, bind_source_ep, bind_target, bind_target_ep, callback) {
         try {
             const id = this.getBindingId(bind_source, bind_source_ep, bind_target, bind_target_ep);
-            const source = await this.zbController.resolveEntity(`0x${this.extractDeviceId(bind_source)}`, this.getBindEp(bind_source_ep));
-            this.debug(`source: ${safeJsonStringify(source)}`);
-            let target = await this.zbController.resolveEntity(`0x${this.extractDeviceId(bind_target)}`, this.getBindEp(bind_target_ep));
-            this.debug(`target: ${safeJsonStringify(target)}`);
-            if (!target) {
-                if (bind_target === 'coordinator') {
-                    target = await this.zbController.resolveEntity(bind_target);
-                    this.debug(`Coordinator target: ${safeJsonStringify(target)}`);
-                } else {
-                    target = await this.zbController.resolveEntity(parseInt(bind_target));
-                    this.debug(`Group target: ${safeJsonStringify(target)}`);
-                }
-            }
+            const {source, target} = await this.resolveBindingEntities(bind_source, bind_source_ep, bind_target, bind_target_ep);
 
             if (!source || !target) {
                 this.error('Devices not found');
@@ -126,52 +164,37 @@ class Binding {
             }
             const sourceName = source.name;
             const targetName = target.name;
-            let found = false;
             const bindCluster = this.getBindCl(bind_source_ep);
-            const clusters = bindCluster ? [bindCluster] : allowClusters;
-            // Find which clusters are supported by both the source and target.
-            // Groups are assumed to support all clusters.
-            for (const clID of clusters) {
-                const cluster = allowClustersName[clID];
-                const targetValid = target.type === 'group' ||
-                    target.device.type === 'Coordinator' || target.endpoint.supportsInputCluster(cluster);
-
-                if (source.endpoint.supportsOutputCluster(cluster) && targetValid) {
-                    found = true;
-                }
-            }
-            if (!found) {
-                this.debug(`No bind clusters`);
-                return callback && callback(`No bind clusters`);
+            const bindClusters = this.getBindClusters(source, target, bindCluster);
+            if (!bindClusters.length) {
+                const reason = bindCluster ?
+                    `Cluster '${this.getClusterName(bindCluster)}' is not an output cluster of '${sourceName}' or not an input cluster of '${targetName}'` :
+                    `No bind clusters`;
+                this.debug(reason);
+                return callback && callback(reason);
             } else {
                 let ok = true;
-                for (const clID of clusters) {
-                    const cluster = allowClustersName[clID];
-                    const targetValid = target.type === 'group' ||
-                        target.device.type === 'Coordinator' || target.endpoint.supportsInputCluster(cluster);
-
-                    if (source.endpoint.supportsOutputCluster(cluster) && targetValid) {
-                        this.debug(`${type}ing cluster '${cluster}' from '${sourceName}' to '${targetName}'`);
-                        try {
-                            const bindTarget = target.type === 'group' ? target.group : target.endpoint;
-                            if (type === 'bind') {
-                                await source.endpoint.bind(cluster, bindTarget);
-                            } else {
-                                await source.endpoint.unbind(cluster, bindTarget);
-                            }
-                            this.info(
-                                `Successfully ${type === 'bind' ? 'bound' : 'unbound'} cluster '${cluster}' from ` +
-                                `'${sourceName}' to '${targetName}'`,
-                            );
-                        } catch (error) {
-                            this.error(
-                                `Failed to ${type} cluster '${cluster}' from '${sourceName}' to ` +
-                                `'${targetName}' (${error})`,
-                            );
-                            callback && callback(`Failed to ${type} cluster '${cluster}' from '${sourceName}' to '${targetName}' (${error})`);
-                            ok = false;
-                            break;
+                for (const cluster of bindClusters) {
+                    this.debug(`${type}ing cluster '${cluster}' from '${sourceName}' to '${targetName}'`);
+                    try {
+                        const bindTarget = target.type === 'group' ? target.group : target.endpoint;
+                        if (type === 'bind') {
+                            await source.endpoint.bind(cluster, bindTarget);
+                        } else {
+                            await source.endpoint.unbind(cluster, bindTarget);
                         }
+                        this.info(
+                            `Successfully ${type === 'bind' ? 'bound' : 'unbound'} cluster '${cluster}' from ` +
+                            `'${sourceName}' to '${targetName}'`,
+                        );
+                    } catch (error) {
+                        this.error(
+                            `Failed to ${type} cluster '${cluster}' from '${sourceName}' to ` +
+                            `'${targetName}' (${error})`,
+                        );
+                        callback && callback(`Failed to ${type} cluster '${cluster}' from '${sourceName}' to '${targetName}' (${error})`);
+                        ok = false;
+                        break;
                     }
                 }
                 ok && callback && callback(undefined, id);
@@ -198,15 +221,13 @@ class Binding {
                 if (err) {
                     callback({error: err});
                 } else {
-                    const stateId = `info.${id}`;
                     // now set state
-                    this.adapter.setObjectNotExists(stateId, {
-                        type: 'state',
-                        common: {name: id},
-                    }, () => {
-                        this.adapter.setState(stateId, JSON.stringify(params), true, () =>
-                            callback());
-                    });
+                    this.saveBinding(id, params)
+                        .then(() => callback())
+                        .catch(error => {
+                            this.error(`Failed to save binding ${id}: ${error && error.message ? error.message : 'no error message'}`);
+                            callback({error: `Failed to save binding ${id}: ${error && error.message ? error.message : 'no error message'}`});
+                        });
                 }
             });
         } catch (error) {
@@ -282,6 +303,154 @@ class Binding {
         }
     }
 
+    async saveBinding(id, params) {
+        const stateId = `info.${id}`;
+        await this.adapter.setObjectNotExistsAsync(stateId, {
+            type: 'state',
+            common: {name: id},
+        });
+        await this.adapter.setStateAsync(stateId, JSON.stringify(params), true);
+    }
+
+    // source endpoint, cluster and destination identify an entry of a binding table
+    getTableKey(sourceEp, cluster, dest) {
+        return `${sourceEp}_${this.getClusterName(cluster)}_${dest}`;
+    }
+
+    /**
+     * Reads the binding tables of the devices (ZDO Mgmt_Bind) and compares them with the stored bindings.
+     * message: {devices: [device ids], optional, default all mains powered devices and the sources of stored bindings,
+     *           import: false to only report the bindings which are not stored}
+     * result: {report: {bindings: [{id, device, status: 'ok'|'partial'|'stale', missing: [clusters], error}],
+     *          unknown: [{device, source_ep, cluster, target, target_ep, imported}], errors: [{device, error}]}}
+     * Bindings to the coordinator which are not stored are not reported, the device configuration creates them for reporting.
+     * The audit result is kept with the stored binding, so it is returned by getBinding as well.
+     */
+    async auditBindings(message) {
+        /** @type {{bindings: any[], unknown: any[], errors: any[]}} */
+        const report = {bindings: [], unknown: [], errors: []};
+        try {
+            const stored = await new Promise(resolve => this.getBinding(resolve));
+            const selected = Array.isArray(message.devices) ?
+                message.devices.map(id => `0x${this.extractDeviceId(String(id)).replace('0x', '')}`) : undefined;
+            const sourceOf = binding => `0x${this.extractDeviceId(binding.bind_source)}`;
+            const coordinator = await this.zbController.resolveEntity('coordinator');
+            for (const device of this.zbController.getClientIterator(false)) {
+                const bindings = stored.filter(binding => sourceOf(binding) === device.ieeeAddr);
+                if (selected ? !selected.includes(device.ieeeAddr) : device.powerSource === 'Battery' && !bindings.length) {
+                    continue;
+                }
+                let table;
+                try {
+                    table = await this.zbController.getBindingTable(device);
+                } catch (/** @type {any} */ error) {
+                    report.errors.push({device: device.ieeeAddr, error: `reading the binding table failed: ${error && error.message ? error.message : 'no error message'}`});
+                    continue;
+                }
+                const entries = new Map();
+                for (const entry of table.filter(entry => entry.sourceEui64 === device.ieeeAddr)) {
+                    const dest = entry.destAddrMode === 1 ? `group_${entry.dest}` : `${entry.dest}_${entry.destEndpoint}`;
+                    entries.set(this.getTableKey(entry.sourceEndpoint, entry.clusterId, dest), entry);
+                }
+                for (const binding of bindings) {
+                    const result = await this.auditBinding(binding, entries);
+                    report.bindings.push(Object.assign({id: binding.id, device: device.ieeeAddr}, result));
+                }
+                // everything left in the table was bound by someone else
+                for (const entry of entries.values()) {
+                    if (entry.destAddrMode !== 1 && coordinator && entry.dest === coordinator.device.ieeeAddr) {
+                        continue;
+                    }
+                    report.unknown.push(await this.importTableEntry(entry, message.import !== false));
+                }
+            }
+            const drift = report.bindings.filter(entry => entry.status !== 'ok').length;
+            if (drift || report.unknown.length) {
+                this.warn(`Binding audit: ${drift} stored bindings differ from the devices, ${report.unknown.length} bindings are not stored`);
+            } else {
+                this.info('Binding tables match the stored bindings');
+            }
+            return {report};
+        } catch (/** @type {any} */ error) {
+            this.error(`auditBindings failed: ${error && error.message ? error.message : 'no error message'}`);
+            return {error: `auditBindings failed: ${error && error.message ? error.message : 'no error message'}`, report};
+        }
+    }
+
+    // compares a stored binding with the binding table, matched entries are removed from the table
+    async auditBinding(binding, entries) {
+        const {source, target} = await this.resolveBindingEntities(binding.bind_source, binding.bind_source_ep, binding.bind_target, binding.bind_target_ep);
+        if (!source || !target) {
+            return {status: 'stale', missing: [], error: 'Devices not found'};
+        }
+        const dest = target.type === 'group' ? `group_${target.group.groupID}` : `${target.device.ieeeAddr}_${target.endpoint.ID}`;
+        const clusters = this.getBindClusters(source, target, this.getBindCl(binding.bind_source_ep));
+        const missing = [];
+        for (const cluster of clusters) {
+            const key = this.getTableKey(source.endpoint.ID, cluster, dest);
+            if (entries.has(key)) {
+                entries.delete(key);
+            } else {
+                missing.push(cluster);
+            }
+        }
+        const status = !missing.length && clusters.length ? 'ok' : (missing.length < clusters.length ? 'partial' : 'stale');
+        const params = Object.assign({}, binding, {audit: {status, missing, checked: Date.now()}});
+        delete params.id;
+        await this.saveBinding(binding.id, params);
+        return {status, missing};
+    }
+
+    async importTableEntry(entry, store) {
+        const ns = this.adapter.namespace;
+        const isGroup = entry.destAddrMode === 1;
+        const result = {
+            device: entry.sourceEui64,
+            source_ep: entry.sourceEndpoint,
+            cluster: this.getClusterName(entry.clusterId),
+            target: entry.dest,
+            target_ep: isGroup ? undefined : entry.destEndpoint,
+            imported: false,
+        };
+        // bindings to devices which are not part of the network cannot be edited later on
+        if (!store || (!isGroup && !this.zbController.herdsman.getDeviceByIeeeAddr(entry.dest))) {
+            return result;
+        }
+        const params = {
+            bind_source: `${ns}.${entry.sourceEui64.replace('0x', '')}`,
+            bind_source_ep: `${entry.sourceEndpoint}_${entry.clusterId}`,
+            bind_target: isGroup ? String(entry.dest) : `${ns}.${entry.dest.replace('0x', '')}`,
+            bind_target_ep: isGroup ? undefined : String(entry.destEndpoint),
+            audit: {status: 'ok', missing: [], checked: Date.now(), imported: true},
+        };
+        await this.saveBinding(this.getBindingId(params.bind_source, params.bind_source_ep, params.bind_target, params.bind_target_ep), params);
+        this.info(`Imported binding of cluster '${result.cluster}' from ${result.device} to ${isGroup ? `group ${entry.dest}` : entry.dest}`);
+        result.imported = true;
+        return result;
+    }
+
+    // binds a stored binding again, e.g. after the device was reset
+    async repairBinding(bind_id, callback) {
+        try {
+            const stateV = await this.adapter.getStateAsync(`info.${bind_id}`);
+            if (!stateV || !stateV.val) {
+                return callback({error: `Binding ${bind_id} not found`});
+            }
+            const params = JSON.parse(stateV.val);
+            const err = await new Promise(resolve =>
+                this.doBindUnbind('bind', params.bind_source, params.bind_source_ep, params.bind_target, params.bind_target_ep, resolve));
+            if (err) {
+                return callback({error: err});
+            }
+            params.audit = {status: 'ok', missing: [], checked: Date.now(), repaired: true};
+            await this.saveBinding(bind_id, params);
+            callback();
+        } catch (/** @type {any} */ error) {
+            this.error(`Failed to repairBinding ${error.stack}`);
+            callback({error: `Failed to repairBinding ${error.message}`});
+        }
+    }
+
     getBinding(callback) {
         try {
             const binding = [];
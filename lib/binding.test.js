@@ -0,0 +1,96 @@
+'use strict';
+
+const {expect} = require('chai');
+const Binding = require('./binding');
+
+const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+const ns = 'zigbee.0';
+
+function createEntity(ieeeAddr, ep) {
+    return {
+        name: ieeeAddr,
+        type: 'device',
+        device: {ieeeAddr, type: 'Router'},
+        endpoint: {ID: ep, supportsOutputCluster: () => true, supportsInputCluster: () => true},
+    };
+}
+
+function tableEntry(clusterId, dest, destEndpoint) {
+    return {sourceEui64: '0x0001', sourceEndpoint: 1, clusterId, destAddrMode: destEndpoint === undefined ? 1 : 3, dest, destEndpoint};
+}
+
+describe('binding', () => {
+    describe('auditBindings', () => {
+        let states;
+        let binding;
+
+        function setup(devices, tables) {
+            binding = new Binding({
+                on: () => {},
+                log,
+                namespace: ns,
+                getStatesOf: (parent, callback) => callback(null, Object.keys(states).map(id => ({_id: `${ns}.${id}`}))),
+                getStateAsync: async id => states[id.replace(`${ns}.`, '')] === undefined ? null : {val: states[id.replace(`${ns}.`, '')]},
+                setObjectNotExistsAsync: async () => {},
+                setStateAsync: async (id, val) => states[id] = val,
+            });
+            binding.zbController = {
+                resolveEntity: async (id, ep) => id === 'coordinator' ? {device: {ieeeAddr: '0x0000', type: 'Coordinator'}} : createEntity(id, ep),
+                getClientIterator: () => devices.values(),
+                getBindingTable: async device => {
+                    if (tables[device.ieeeAddr] instanceof Error) throw tables[device.ieeeAddr];
+                    return tables[device.ieeeAddr] || [];
+                },
+                herdsman: {getDeviceByIeeeAddr: ieeeAddr => devices.find(device => device.ieeeAddr === ieeeAddr)},
+            };
+        }
+
+        function store(id, params) {
+            states[`info.${id}`] = JSON.stringify(params);
+        }
+
+        beforeEach(() => {
+            states = {};
+            store('bind_0001_1_6_0002_1', {bind_source: `${ns}.0001`, bind_source_ep: '1_6', bind_target: `${ns}.0002`, bind_target_ep: '1'});
+            store('bind_0001_1_8_0003_1', {bind_source: `${ns}.0001`, bind_source_ep: '1_8', bind_target: `${ns}.0003`, bind_target_ep: '1'});
+        });
+
+        it('compares the stored bindings with the binding table and imports the unknown entries', async () => {
+            setup([{ieeeAddr: '0x0001', powerSource: 'Mains (single phase)'}, {ieeeAddr: '0x0002', powerSource: 'Mains (single phase)'}], {
+                '0x0001': [tableEntry(6, '0x0002', 1), tableEntry(8, 5), tableEntry(1026, '0x0000', 1)],
+            });
+            const {report} = await binding.auditBindings({});
+            expect(report.bindings).to.deep.equal([
+                {id: 'bind_0001_1_6_0002_1', device: '0x0001', status: 'ok', missing: []},
+                {id: 'bind_0001_1_8_0003_1', device: '0x0001', status: 'stale', missing: ['genLevelCtrl']},
+            ]);
+            expect(report.unknown).to.deep.equal([
+                {device: '0x0001', source_ep: 1, cluster: 'genLevelCtrl', target: 5, target_ep: undefined, imported: true},
+            ]);
+            expect(report.errors).to.deep.equal([]);
+            expect(JSON.parse(states['info.bind_0001_1_6_0002_1']).audit).to.include({status: 'ok'});
+            expect(JSON.parse(states['info.bind_0001_1_8_0003_1']).audit).to.deep.include({status: 'stale', missing: ['genLevelCtrl']});
+            expect(JSON.parse(states['info.bind_0001_1_8_5_undefined'])).to.include({bind_source: `${ns}.0001`, bind_source_ep: '1_8', bind_target: '5'});
+        });
+
+        it('only reports the unknown entries without import', async () => {
+            setup([{ieeeAddr: '0x0001', powerSource: 'Mains (single phase)'}], {'0x0001': [tableEntry(6, '0x0002', 1), tableEntry(8, 5)]});
+            const {report} = await binding.auditBindings({import: false});
+            expect(report.unknown.map(entry => entry.imported)).to.deep.equal([false]);
+            expect(states).not.to.have.property('info.bind_0001_1_8_5_undefined');
+        });
+
+        it('reports the devices whose binding table could not be read', async () => {
+            setup([{ieeeAddr: '0x0001', powerSource: 'Mains (single phase)'}], {'0x0001': new Error('timeout')});
+            const {report} = await binding.auditBindings({});
+            expect(report.bindings).to.deep.equal([]);
+            expect(report.errors).to.deep.equal([{device: '0x0001', error: 'reading the binding table failed: timeout'}]);
+        });
+
+        it('skips battery devices without stored bindings unless they are selected', async () => {
+            setup([{ieeeAddr: '0x0009', powerSource: 'Battery'}], {'0x0009': new Error('timeout')});
+            expect((await binding.auditBindings({})).report.errors).to.deep.equal([]);
+            expect((await binding.auditBindings({devices: [`${ns}.0009`]})).report.errors).to.have.length(1);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const stateChannel = 'info.channelEnergy';
+const maxHistory = 100;
+// the energy scan pauses the coordinator for a few seconds, so it is not run more often
+const minInterval = 10;
+
+// samples the channel energy scan in the background
+class ChannelMonitor {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.scanTimer = null;
+        this.history = [];
+    }
+
+    async start(zbController, stController) {
+        this.zbController = zbController;
+        this.stController = stController;
+        const interval = Number(this.adapter.config.energyScanInterval);
+        if (interval > 0) {
+            await this.createStates();
+            this.history = await this.loadHistory();
+            this.scheduleScan(Math.max(interval, minInterval));
+        }
+    }
+
+    stop() {
+        if (this.scanTimer) {
+            clearTimeout(this.scanTimer);
+            this.scanTimer = null;
+        }
+        delete this.zbController;
+        delete this.stController;
+    }
+
+    info(msg) {
+        this.adapter.log.info(msg);
+    }
+
+    warn(msg) {
+        this.adapter.log.warn(msg);
+    }
+
+    error(msg) {
+        this.adapter.log.error(msg);
+    }
+
+    debug(msg) {
+        this.adapter.log.debug(msg);
+    }
+
+    async createStates() {
+        await this.adapter.setObjectNotExistsAsync(stateChannel, {
+            type: 'channel',
+            common: {name: 'Channel energy'},
+            native: {},
+        });
+        for (let ch = 11; ch < 27; ch++) {
+            await this.adapter.setObjectNotExistsAsync(`${stateChannel}.${ch}`, {
+                type: 'state',
+                common: {name: `Energy on channel ${ch}`, type: 'number', role: 'value', unit: '%', min: 0, max: 100, read: true, write: false},
+                native: {},
+            });
+        }
+        await this.adapter.setObjectNotExistsAsync(`${stateChannel}.interference`, {
+            type: 'state',
+            common: {name: 'Energy on the active channel above threshold', type: 'boolean', role: 'indicator.alarm', read: true, write: false, def: false},
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync(`${stateChannel}.history`, {
+            type: 'state',
+            common: {name: 'Energy scan history', type: 'string', role: 'json', read: true, write: false, def: '[]'},
+            native: {},
+        });
+    }
+
+    async loadHistory() {
+        try {
+            const state = await this.adapter.getStateAsync(`${stateChannel}.history`);
+            const history = state && state.val ? JSON.parse(state.val) : [];
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    scheduleScan(interval) {
+        if (this.scanTimer) {
+            clearTimeout(this.scanTimer);
+        }
+        this.scanTimer = setTimeout(async () => {
+            this.scanTimer = null;
+            try {
+                await this.scan();
+            } catch (/** @type {any} */ error) {
+                this.error(`Scheduled channel energy scan failed: ${error && error.message ? error.message : 'no error message'}`);
+            } finally {
+                if (this.zbController) {
+                    this.scheduleScan(interval);
+                }
+            }
+        }, interval * 60 * 1000);
+    }
+
+    async scan() {
+        if (!this.zbController) {
+            return;
+        }
+        const result = await this.zbController.getChannelsEnergy();
+        if (result.error || !result.energyvalues) {
+            this.warn('Scheduled channel energy scan failed');
+            return;
+        }
+        const values = {};
+        for (let ch = 11; ch < 27; ch++) {
+            values[ch] = result.energyvalues[ch - 11];
+            await this.adapter.setStateAsync(`${stateChannel}.${ch}`, values[ch], true);
+        }
+        let channel = undefined;
+        try {
+            channel = (await this.zbController.herdsman.getNetworkParameters()).channel;
+        } catch (/** @type {any} */ error) {
+            this.debug(`unable to read the active channel: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        const threshold = Number(this.adapter.config.energyThreshold) || 0;
+        const interference = Boolean(channel && threshold > 0 && values[channel] > threshold);
+        const state = await this.adapter.getStateAsync(`${stateChannel}.interference`);
+        if (interference && !(state && state.val)) {
+            this.warn(`Energy on the active channel ${channel} is ${values[channel]}%, above the threshold of ${threshold}%`);
+        }
+        await this.adapter.setStateAsync(`${stateChannel}.interference`, interference, true);
+
+        this.history.push({ts: Date.now(), channel, values});
+        this.history = this.history.slice(-maxHistory);
+        await this.adapter.setStateAsync(`${stateChannel}.history`, JSON.stringify(this.history), true);
+    }
+}
+
+module.exports = ChannelMonitor;
@@ -1,15 +1,17 @@
 'use strict';
 
 const getZbId = require('./utils').getZbId;
+const getOverlappingWifiChannels = require('./utils').getOverlappingWifiChannels;
 const fs = require('fs');
 const pathLib = require('path');
 const statesMapping = require('./devices');
+const stateOverrides = require('./stateOverrides');
 const utils = require('@iobroker/adapter-core'); // Get common adapter utils
 const colors = require('./colors.js');
 const { exec } = require('child_process');
 
 const disallowedDashStates = [
-    'link_quality', 'available', 'battery', 'groups', 'device_query',
+    'link_quality', 'available', 'last_seen', 'expected_interval', 'battery', 'groups', 'device_query',
     'hue_move', 'color_temp_move', 'satuation_move', 'brightness_move', 'brightness_step', 'hue_calibration',
     'msg_from_zigbee', 'send_payload',
 ];
@@ -88,6 +90,41 @@ class Commands {
                             this.getChannels(obj.from, obj.command, obj.message, obj.callback);
                         }
                         break;
+                    case 'setAvailabilityPolicy':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.setAvailabilityPolicy(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'getReportingConfig':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.getReportingConfig(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'setReportingConfig':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.setReportingConfig(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'getStateOverrides':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.getStateOverrides(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'setStateOverride':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.setStateOverride(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'recommendChannel':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.recommendChannel(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
+                    case 'changeChannel':
+                        if (obj.message && typeof obj.message === 'object') {
+                            this.changeChannel(obj.from, obj.command, obj.message, obj.callback);
+                        }
+                        break;
                     case 'getCoordinatorInfo':
                         if (obj && obj.message && typeof obj.message === 'object') {
                             this.getCoordinatorInfo(obj.from, obj.command, obj.callback);
@@ -352,6 +389,10 @@ class Commands {
 
                         const id = getZbId(devInfo._id);
                         devInfo.info = await this.zbController.resolveEntity(id);
+                        if (devInfo.info && devInfo.info.device) {
+                            const [availability] = await this.zbController.callExtensionMethod('getAvailabilityInfo', [devInfo.info.device]);
+                            devInfo.availability = availability;
+                        }
 
                         devInfo.rooms = [];
                         for (const room in rooms) {
@@ -561,6 +602,67 @@ class Commands {
         }
     }
 
+    /**
+     * Suggests the quietest channel which does not overlap the given wifi channels.
+     * message: {wifiChannels: [1, 6, ...]}
+     */
+    async recommendChannel(from, command, message, callback) {
+        if (!this.zbController) {
+            this.adapter.sendTo(from, command, {error: 'You need to setup serial port and start the adapter before pairing!'}, callback);
+            return;
+        }
+        const scan = await this.zbController.getChannelsEnergy();
+        if (scan.error || !scan.energyvalues) {
+            this.adapter.sendTo(from, command, {error: `Channel scan failed: ${scan.error && scan.error.message ? scan.error.message : scan.error}`}, callback);
+            return;
+        }
+        const wifiChannels = Array.isArray(message.wifiChannels) ? message.wifiChannels.map(ch => Number(ch)) : [];
+        const candidates = [];
+        for (let ch = 11; ch < 27; ch++) {
+            candidates.push({
+                channel: ch,
+                energy: scan.energyvalues[ch - 11],
+                overlaps: getOverlappingWifiChannels(ch, wifiChannels),
+            });
+        }
+        // channels without wifi overlap first, then by energy. 11, 15, 20 and 25 are preferred on equal energy (Zigbee Light Link)
+        const zllChannels = [11, 15, 20, 25];
+        candidates.sort((a, b) => Number(a.overlaps.length > 0) - Number(b.overlaps.length > 0) || a.energy - b.energy ||
+            Number(zllChannels.includes(b.channel)) - Number(zllChannels.includes(a.channel)));
+        const result = {candidates, recommended: candidates[0].overlaps.length === 0 ? candidates[0].channel : undefined};
+        this.debug(`recommendChannel result: ${JSON.stringify(result)}`);
+        this.adapter.sendTo(from, command, result, callback);
+    }
+
+    /**
+     * Moves the network to another channel, records it in the backup and the adapter config.
+     * message: {channel: 11..26}
+     */
+    async changeChannel(from, command, message, callback) {
+        const channel = parseInt(message.channel);
+        if (!this.zbController) {
+            this.adapter.sendTo(from, command, {error: 'You need to setup serial port and start the adapter before pairing!'}, callback);
+            return;
+        }
+        if (!(channel >= 11 && channel <= 26)) {
+            this.adapter.sendTo(from, command, {error: `Invalid channel ${message.channel}`}, callback);
+            return;
+        }
+        try {
+            await this.adapter.callPluginMethod('createBackup', ['changeChannel']);
+            const result = await this.zbController.changeChannel(channel);
+            this.adapter.sendTo(from, command, result, callback);
+            if (!result.error) {
+                // the adapter restarts with the new channel in the config
+                this.adapter.updateConfig({channel});
+            }
+        } catch (/** @type {any} */ error) {
+            const errmsg = `Channel change to ${channel} failed (${error && error.message ? error.message : 'no error message'})`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
     async setDeviceActivated(from, command, msg, callback) {
         if (this.stController) {
             const id = msg.id;
@@ -642,6 +744,236 @@ class Commands {
     }
 
 
+    /**
+     * Stores the availability policy of a device or, with global, of its model.
+     * message: {target: device id, global: bool, policy: {timeout, ping, passive, grace}} - an empty policy removes it
+     */
+    async setAvailabilityPolicy(from, command, msg, callback) {
+        if (!this.zbController || !this.stController) {
+            this.adapter.sendTo(from, command, {error: 'adapter not started'}, callback);
+            return;
+        }
+        try {
+            const target = msg.target.replace(`${this.adapter.namespace}.`, '');
+            const entity = await this.zbController.resolveEntity(target);
+            if (!entity || !entity.device) {
+                this.adapter.sendTo(from, command, {error: 'No device'}, callback);
+                return;
+            }
+            const policy = {};
+            const source = msg.policy || {};
+            if (Number(source.timeout) > 0) policy.timeout = Number(source.timeout);
+            if (typeof source.ping === 'boolean') policy.ping = source.ping;
+            if (source.passive) policy.passive = true;
+            if (Number(source.grace) > 0) policy.grace = Number(source.grace);
+            const model = entity.mapped ? entity.mapped.model : entity.device.modelID;
+            await this.stController.localConfig.updateLocalOverride(target, model, 'availability', policy, msg.global);
+            // apply the policy to all devices it affects
+            for (const device of this.zbController.getClientIterator(false)) {
+                if (device.ieeeAddr === entity.device.ieeeAddr || (msg.global && device.modelID === entity.device.modelID)) {
+                    await this.zbController.callExtensionMethod('updateAvailabilityPolicy', [device]);
+                }
+            }
+            const [availability] = await this.zbController.callExtensionMethod('getAvailabilityInfo', [entity.device]);
+            this.adapter.sendTo(from, command, {availability}, callback);
+        } catch (/** @type {any} */ error) {
+            const errmsg = `setAvailabilityPolicy failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
+    /**
+     * Reads the reporting configuration of a device.
+     * message: {target: device id}
+     * result: {reporting: [{endpoint, cluster, attribute, min, max, change, status, error, override}]}
+     */
+    async getReportingConfig(from, command, msg, callback) {
+        if (!this.zbController || !this.stController) {
+            this.adapter.sendTo(from, command, {error: 'adapter not started'}, callback);
+            return;
+        }
+        try {
+            const entity = await this.zbController.resolveEntity(msg.target.replace(`${this.adapter.namespace}.`, ''));
+            if (!entity || !entity.device) {
+                this.adapter.sendTo(from, command, {error: 'No device'}, callback);
+                return;
+            }
+            const [reporting] = await this.zbController.callExtensionMethod('readReportingConfig', [entity.device, entity.mapped]);
+            this.adapter.sendTo(from, command, {reporting}, callback);
+        } catch (/** @type {any} */ error) {
+            const errmsg = `getReportingConfig failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
+    /**
+     * Stores the reporting of an attribute for a device or, with global, for its model and applies it.
+     * message: {target: device id, global: bool, cluster, attribute, endpoint: optional,
+     *           min: seconds, max: seconds, change: reportable change} - without min and max the override is removed
+     * result: {errors: [..]} of the devices the override was applied to
+     */
+    async setReportingConfig(from, command, msg, callback) {
+        if (!this.zbController || !this.stController) {
+            this.adapter.sendTo(from, command, {error: 'adapter not started'}, callback);
+            return;
+        }
+        try {
+            const target = msg.target.replace(`${this.adapter.namespace}.`, '');
+            const entity = await this.zbController.resolveEntity(target);
+            if (!entity || !entity.device) {
+                this.adapter.sendTo(from, command, {error: 'No device'}, callback);
+                return;
+            }
+            if (!msg.cluster || !msg.attribute) {
+                this.adapter.sendTo(from, command, {error: 'cluster and attribute are required'}, callback);
+                return;
+            }
+            const remove = (msg.min === undefined || msg.min === '') && (msg.max === undefined || msg.max === '');
+            const override = {min: Number(msg.min), max: Number(msg.max), change: Number(msg.change) || 0};
+            const isInterval = value => Number.isInteger(value) && value >= 0 && value <= 0xFFFF;
+            if (!remove && (!isInterval(override.min) || !isInterval(override.max) || override.min > override.max)) {
+                this.adapter.sendTo(from, command, {error: 'min and max have to be seconds between 0 and 65535, min not above max'}, callback);
+                return;
+            }
+            if (msg.endpoint !== undefined && msg.endpoint !== '') {
+                override.endpoint = Number(msg.endpoint);
+            }
+            const model = entity.mapped ? entity.mapped.model : entity.device.modelID;
+            const localConfig = this.stController.localConfig;
+            const overrides = Object.assign({}, localConfig.getOverrideWithKey(msg.global ? model : target, 'reporting', msg.global));
+            if (remove) {
+                delete overrides[`${msg.cluster}.${msg.attribute}`];
+            } else {
+                overrides[`${msg.cluster}.${msg.attribute}`] = override;
+            }
+            await localConfig.updateLocalOverride(target, model, 'reporting', overrides, msg.global);
+            // a removed override is replaced by the reporting of the converter with the next reconfigure
+            const errors = [];
+            if (!remove) {
+                for (const device of this.zbController.getClientIterator(false)) {
+                    if (device.ieeeAddr === entity.device.ieeeAddr || (msg.global && device.modelID === entity.device.modelID)) {
+                        const mapped = device.ieeeAddr === entity.device.ieeeAddr ? entity.mapped : (await this.zbController.resolveEntity(device.ieeeAddr)).mapped;
+                        const [result] = await this.zbController.callExtensionMethod('applyReportingOverrides', [device, mapped]);
+                        errors.push(...result.map(error => `${device.ieeeAddr}: ${error}`));
+                    }
+                }
+            }
+            this.adapter.sendTo(from, command, {errors}, callback);
+        } catch (/** @type {any} */ error) {
+            const errmsg = `setReportingConfig failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
+    /**
+     * Lists the generated states of a device with their overrides.
+     * message: {target: device id}
+     * result: {states: [{id, name, type, unit, override, device, model}], units: {unit: [convertible units]}}
+     *         override is the effective override, device and model the stored entries
+     */
+    async getStateOverrides(from, command, msg, callback) {
+        if (!this.zbController || !this.stController) {
+            this.adapter.sendTo(from, command, {error: 'adapter not started'}, callback);
+            return;
+        }
+        try {
+            const target = msg.target.replace(`${this.adapter.namespace}.`, '');
+            const entity = await this.zbController.resolveEntity(target);
+            if (!entity || !entity.device || !entity.mapped) {
+                this.adapter.sendTo(from, command, {error: 'No device'}, callback);
+                return;
+            }
+            const model = entity.mapped.model;
+            const devStates = await this.stController.getDevStates(entity.device.ieeeAddr, model, true);
+            const localConfig = this.stController.localConfig;
+            const overrides = localConfig.getStateOverrides(target, model);
+            const deviceEntries = localConfig.getOverrideWithKey(target, 'states', false) || {};
+            const modelEntries = localConfig.getOverrideWithKey(model, 'states', true) || {};
+            const states = (devStates && Array.isArray(devStates.states) ? devStates.states : []).map(statedesc => ({
+                id: statedesc.id,
+                name: statedesc.name,
+                type: statedesc.type,
+                unit: statedesc.unit,
+                override: overrides[statedesc.id],
+                device: deviceEntries[statedesc.id],
+                model: modelEntries[statedesc.id],
+            }));
+            const units = {};
+            for (const unit in stateOverrides.unitConversions) {
+                units[unit] = Object.keys(stateOverrides.unitConversions[unit]);
+            }
+            this.adapter.sendTo(from, command, {states, units}, callback);
+        } catch (/** @type {any} */ error) {
+            const errmsg = `getStateOverrides failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
+    /**
+     * Stores the override of a state for a device or, with global, for its model and updates the states.
+     * message: {target: device id, global: bool, state: state id,
+     *           override: {alias, name, unit, scale, offset, round, invert, hide}} - an empty override removes the entry
+     */
+    async setStateOverride(from, command, msg, callback) {
+        if (!this.zbController || !this.stController) {
+            this.adapter.sendTo(from, command, {error: 'adapter not started'}, callback);
+            return;
+        }
+        try {
+            const target = msg.target.replace(`${this.adapter.namespace}.`, '');
+            const entity = await this.zbController.resolveEntity(target);
+            if (!entity || !entity.device || !entity.mapped) {
+                this.adapter.sendTo(from, command, {error: 'No device'}, callback);
+                return;
+            }
+            const model = entity.mapped.model;
+            const devStates = await this.stController.getDevStates(entity.device.ieeeAddr, model, true);
+            const statedesc = (devStates && Array.isArray(devStates.states) ? devStates.states : []).find(statedesc => statedesc.id === msg.state);
+            if (!statedesc) {
+                this.adapter.sendTo(from, command, {error: `No state ${msg.state}`}, callback);
+                return;
+            }
+            // only the given properties are stored
+            const override = {};
+            for (const key of ['alias', 'name', 'unit', 'scale', 'offset', 'round', 'invert', 'hide']) {
+                if (msg.override && msg.override[key] !== undefined && msg.override[key] !== '' && msg.override[key] !== false) {
+                    override[key] = msg.override[key];
+                }
+            }
+            const localConfig = this.stController.localConfig;
+            const entries = Object.assign({}, localConfig.getOverrideWithKey(msg.global ? model : target, 'states', msg.global));
+            const usedIds = devStates.states.filter(state => state !== statedesc).map(state => state.id)
+                .concat(statesMapping.commonStates.map(state => state.id), [...this.stController.auxiliaryChannels])
+                .concat(Object.keys(entries).filter(id => id !== msg.state && entries[id] && entries[id].alias).map(id => entries[id].alias));
+            const error = stateOverrides.validateStateOverride(statedesc, override, usedIds);
+            if (error) {
+                this.adapter.sendTo(from, command, {error}, callback);
+                return;
+            }
+            if (Object.keys(override).length) {
+                entries[msg.state] = override;
+            } else {
+                delete entries[msg.state];
+            }
+            await localConfig.updateLocalOverride(target, model, 'states', entries, msg.global);
+            // create the states with the new ids and properties, the replaced ones are marked as orphaned
+            for (const device of this.zbController.getClientIterator(false)) {
+                if (device.ieeeAddr === entity.device.ieeeAddr || (msg.global && device.modelID === entity.device.modelID)) {
+                    await this.stController.syncDevStates(device, model);
+                }
+            }
+            this.adapter.sendTo(from, command, {}, callback);
+        } catch (/** @type {any} */ error) {
+            const errmsg = `setStateOverride failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(errmsg);
+            this.adapter.sendTo(from, command, {error: errmsg}, callback);
+        }
+    }
+
     async reconfigure(from, command, msg, callback) {
         if (this.zbController) {
             const devid = getZbId(msg.id);
@@ -649,6 +981,7 @@ class Commands {
             const entity = await this.zbController.resolveEntity(devid);
             if (entity) {
                 try {
+                    await this.adapter.callPluginMethod('createBackup', ['reconfigure']);
                     const result = await this.zbController.callExtensionMethod(
                         'doConfigure',
                         [entity.device, entity.mapped],
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const {fileURLToPath, pathToFileURL} = require('url');
+
+/**
+ * Module hooks for the external converters, registered with module.register().
+ * The urls of a converter and of its own files carry the parameter 'zigbee-converter' with the
+ * number of the load, so a reload imports them again. Imports of these files are resolved with resolveImport.
+ */
+const marker = 'zigbee-converter';
+
+/**
+ * Resolves an import of a converter file. Packages are taken from the adapter first, so
+ * the converter uses the same zigbee-herdsman-converters as the adapter. Relative paths are
+ * resolved from the folder of the file, converters written for the converters repository
+ * import '../lib/...' which is mapped to zigbee-herdsman-converters/lib/...
+ */
+function resolveImport(request, file) {
+    const fileRequire = Module.createRequire(file);
+    if (Module.isBuiltin(request)) {
+        return request;
+    }
+    if (request.startsWith('./') || request.startsWith('../') || path.isAbsolute(request)) {
+        try {
+            return fileRequire.resolve(request);
+        } catch (error) {
+            if (!request.startsWith('../')) throw error;
+            return require.resolve(request.replace(/^(\.\.\/)+/, 'zigbee-herdsman-converters/'));
+        }
+    }
+    try {
+        return require.resolve(request);
+    } catch (error) {
+        return fileRequire.resolve(request);
+    }
+}
+
+// files of the converter itself, not of a package
+function isConverterFile(file) {
+    return path.isAbsolute(file) && !file.split(path.sep).includes('node_modules');
+}
+
+function isModule(file, code) {
+    if (file.endsWith('.mjs')) return true;
+    if (file.endsWith('.cjs')) return false;
+    return /^\s*(import\s*[\w*{'"]|export\s)/m.test(code);
+}
+
+function getGeneration(url) {
+    if (typeof url !== 'string' || !url.startsWith('file:')) {
+        return undefined;
+    }
+    const generation = new URL(url).searchParams.get(marker);
+    return generation === null ? undefined : generation;
+}
+
+async function resolve(specifier, context, nextResolve) {
+    const generation = getGeneration(context.parentURL);
+    if (generation === undefined || Module.isBuiltin(specifier) || (/^[a-z]+:/i.test(specifier) && !specifier.startsWith('file:'))) {
+        return nextResolve(specifier, context);
+    }
+    const resolved = resolveImport(specifier.startsWith('file:') ? fileURLToPath(specifier) : specifier, fileURLToPath(context.parentURL));
+    const url = pathToFileURL(resolved);
+    if (isConverterFile(resolved)) {
+        url.searchParams.set(marker, generation);
+    }
+    return {url: url.href, shortCircuit: true};
+}
+
+// a .js converter file is loaded as module if it uses import or export, as the loader did before
+async function load(url, context, nextLoad) {
+    if (getGeneration(url) !== undefined && new URL(url).pathname.endsWith('.js')) {
+        const file = fileURLToPath(url);
+        const source = fs.readFileSync(file, 'utf8');
+        if (isModule(file, source)) {
+            return {format: 'module', source, shortCircuit: true};
+        }
+    }
+    return nextLoad(url, context);
+}
+
+module.exports = {
+    marker,
+    resolveImport,
+    isConverterFile,
+    isModule,
+    resolve,
+    load,
+};
@@ -3064,15 +3064,18 @@ const devices = [
 const commonStates = [
     states.link_quality,
     states.available,
+    states.last_seen,
+    states.expected_interval,
     states.device_query,
     states.from_zigbee,
     states.send_payload,
+    states.scene_recall,
 ];
 
 const DevicesByModel = new Map();
 const LegacyDevicesByModel = new Map();
 
-const groupStates = [states.brightness_step].concat(lightStatesWithColor);
+const groupStates = [states.brightness_step, states.scene_recall, states.members_available, ...lightStatesWithColor];
 
 function getByModel() {
     DevicesByModel.clear();
@@ -3094,17 +3097,23 @@ function getByModel() {
 
 removeEmptyStates(devices);
 
-function fillStatesWithExposes(logger) {
+function fillStatesWithExposes(logger, templates) {
+    // the mapping templates are the states of models without exposes, the states of the other
+    // models are merged with the states of their exposes in addExposeToDevices
+    if (Array.isArray(templates) && templates.length > 0) {
+        devices.push(...templates);
+        getByModel();
+    }
     if (DevicesByModel.size <1) getByModel();
     return;
     // applyExposes(devices, DevicesByModel, logger);
     //removeEmptyStates(devices);
 }
 
-async function addExposeToDevices(device, logger, model) {
+async function addExposeToDevices(device, logger, model, options) {
     const s = DevicesByModel.size;
     if (s < 1) getByModel();
-    await applyExposeForDevice(devices, DevicesByModel, device, logger, model);
+    await applyExposeForDevice(devices, DevicesByModel, device, options);
     removeEmptyStates(devices);
     return (DevicesByModel.size != s);
 }
@@ -3118,6 +3127,19 @@ function removeEmptyStates(devices) {
     }
 }
 
+// forgets the states generated from the exposes of a model, e.g. after its external converter was reloaded
+function removeExposedModel(model) {
+    const stripModel = (model) ? model.replace(/\0.*$/g, '').trim() : '';
+    const device = DevicesByModel.get(stripModel);
+    if (device && device.exposed) {
+        DevicesByModel.delete(stripModel);
+        const index = devices.indexOf(device);
+        if (index > -1) {
+            devices.splice(index, 1);
+        }
+    }
+}
+
 function findModel(model, legacy) {
     const src = (legacy ? LegacyDevicesByModel : DevicesByModel)
     if (src.size <1) getByModel();
@@ -3177,6 +3199,7 @@ module.exports = {
     addExposeToDevices,
     getByModel,
     findModel,
+    removeExposedModel,
     fillDevicesForLegacy,
     pairedLegacyDevices,
     setLegacyDevices
@@ -0,0 +1,278 @@
+'use strict';
+
+const stateChannel = 'diagnostics';
+const publishInterval = 5 * 60 * 1000;
+// counters are kept per minute, the rates cover the last hour
+const windowMinutes = 60;
+// link quality (LQI) is reported in the range 0-255
+const maxLinkquality = 255;
+// a device not seen for this many expected intervals has lost all points for its silence
+const silenceFactor = 3;
+
+function createEntry() {
+    return {minutes: [], errors: {}, failed: 0, rejoins: 0, announces: 0};
+}
+
+/**
+ * Collects per device counters of the traffic and publishes them, together with a
+ * health score, in the diagnostics channel of the device.
+ */
+class Diagnostics {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.adapter.on('message', this.onMessage.bind(this));
+        this.devices = {};
+        this.publishTimer = null;
+    }
+
+    configure(zigbeeOptions) {
+        this.adapter.stController.registerAuxiliaryChannel(stateChannel);
+    }
+
+    start(zbController, stController) {
+        this.zbController = zbController;
+        this.stController = stController;
+        this.publishTimer = setInterval(() => this.publishAll(), publishInterval);
+    }
+
+    stop() {
+        if (this.publishTimer) {
+            clearInterval(this.publishTimer);
+            this.publishTimer = null;
+        }
+        delete this.zbController;
+        delete this.stController;
+    }
+
+    info(msg) {
+        this.adapter.log.info(msg);
+    }
+
+    error(msg) {
+        this.adapter.log.error(msg);
+    }
+
+    debug(msg) {
+        this.adapter.log.debug(msg);
+    }
+
+    warn(msg) {
+        this.adapter.log.warn(msg);
+    }
+
+    /**
+     * @param {ioBroker.Message} obj
+     */
+    onMessage(obj) {
+        if (typeof obj === 'object' && obj.command) {
+            switch (obj.command) {
+                case 'getDiagnostics':
+                    this.getSummary()
+                        .then(devices => this.adapter.sendTo(obj.from, obj.command, {devices}, obj.callback))
+                        .catch(error => {
+                            const errmsg = `getDiagnostics failed: ${error && error.message ? error.message : 'no error message'}`;
+                            this.error(errmsg);
+                            this.adapter.sendTo(obj.from, obj.command, {error: errmsg}, obj.callback);
+                        });
+                    break;
+            }
+        }
+    }
+
+    getEntry(ieeeAddr) {
+        if (!this.devices[ieeeAddr]) {
+            this.devices[ieeeAddr] = createEntry();
+        }
+        return this.devices[ieeeAddr];
+    }
+
+    getMinute(entry) {
+        const minute = Math.floor(Date.now() / 60000);
+        let current = entry.minutes[entry.minutes.length - 1];
+        if (!current || current.minute !== minute) {
+            current = {minute, in: 0, out: 0, failed: 0, rejoins: 0};
+            entry.minutes.push(current);
+            entry.minutes = entry.minutes.filter(m => m.minute > minute - windowMinutes);
+        }
+        return current;
+    }
+
+    /**
+     * Counts an event of a device.
+     * kind: 'in' {linkquality}, 'out' {rtt: ms}, 'failed' {code, message}, 'announce', 'rejoin'
+     */
+    record(ieeeAddr, kind, data) {
+        if (typeof ieeeAddr !== 'string' || !ieeeAddr.startsWith('0x')) {
+            return;
+        }
+        const entry = this.getEntry(ieeeAddr);
+        const minute = this.getMinute(entry);
+        switch (kind) {
+            case 'in':
+                minute.in++;
+                if (data && data.linkquality) {
+                    entry.linkquality = data.linkquality;
+                }
+                break;
+            case 'out':
+                minute.out++;
+                entry.rtt = data ? data.rtt : undefined;
+                break;
+            case 'failed': {
+                const code = data && data.code !== undefined ? data.code : 'none';
+                minute.failed++;
+                entry.failed++;
+                entry.errors[code] = (entry.errors[code] || 0) + 1;
+                entry.lastError = {ts: Date.now(), code, message: data ? data.message : undefined};
+                break;
+            }
+            case 'announce':
+                // a rejoining device announces itself as well, only the rejoin lowers the health score
+                entry.announces++;
+                break;
+            case 'rejoin':
+                minute.rejoins++;
+                entry.rejoins++;
+                break;
+        }
+    }
+
+    getHourTotals(entry) {
+        const since = Math.floor(Date.now() / 60000) - windowMinutes;
+        const totals = {in: 0, out: 0, failed: 0, rejoins: 0};
+        for (const minute of entry.minutes.filter(m => m.minute > since)) {
+            for (const key in totals) {
+                totals[key] += minute[key];
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * The health score starts at 100 and loses
+     * - up to 50 points for the share of failed sends in the last hour,
+     * - 10 points per rejoin in the last hour, at most 30,
+     * - up to 25 points for the share of the link quality (0-255) missing to 255,
+     * - 10 points if the last command took longer than 500ms,
+     * - 40 points if the device is not available,
+     * - up to 20 points for the time since the device was last seen beyond its expected interval
+     *   (or its availability timeout), all of them after three intervals or if it was never seen.
+     * status: {available, lastSeen: ms timestamp, interval: ms}
+     */
+    getHealthScore(entry, totals, status) {
+        let score = 100;
+        if (totals.out + totals.failed > 0) {
+            score -= 50 * totals.failed / (totals.out + totals.failed);
+        }
+        score -= Math.min(30, 10 * totals.rejoins);
+        if (entry.linkquality !== undefined && entry.linkquality < maxLinkquality) {
+            score -= 25 * (maxLinkquality - Math.max(0, entry.linkquality)) / maxLinkquality;
+        }
+        if (entry.rtt > 500) {
+            score -= 10;
+        }
+        if (status) {
+            if (status.available === false) {
+                score -= 40;
+            }
+            if (!status.lastSeen) {
+                score -= 20;
+            } else if (status.interval > 0) {
+                const overdue = Date.now() - status.lastSeen - status.interval;
+                score -= 20 * Math.min(1, Math.max(0, overdue) / (status.interval * (silenceFactor - 1)));
+            }
+        }
+        return Math.max(0, Math.round(score));
+    }
+
+    // availability and last seen of a known device
+    async getStatus(device) {
+        const [availability] = await this.zbController.callExtensionMethod('getAvailabilityInfo', [device]);
+        const status = {lastSeen: device.lastSeen, available: undefined, interval: undefined};
+        if (availability) {
+            status.available = availability.available;
+            status.interval = availability.expectedInterval ? availability.expectedInterval.interval : availability.timeout * 1000;
+        }
+        return status;
+    }
+
+    /**
+     * Lists all known devices and the devices with counted events, sorted by health score.
+     */
+    async getSummary() {
+        const statuses = {};
+        if (this.zbController) {
+            for (const device of this.zbController.getClientIterator(false)) {
+                statuses[device.ieeeAddr] = await this.getStatus(device);
+            }
+        }
+        const result = [];
+        for (const ieeeAddr of new Set([...Object.keys(statuses), ...Object.keys(this.devices)])) {
+            const entry = this.devices[ieeeAddr] || createEntry();
+            const status = statuses[ieeeAddr];
+            const totals = this.getHourTotals(entry);
+            result.push({
+                device: ieeeAddr,
+                health_score: this.getHealthScore(entry, totals, status),
+                available: status ? status.available : undefined,
+                last_seen: status ? status.lastSeen : undefined,
+                messages_in_hour: totals.in,
+                messages_out_hour: totals.out,
+                failed_sends_hour: totals.failed,
+                failed_sends: entry.failed,
+                errors: entry.errors,
+                last_error: entry.lastError,
+                round_trip_ms: entry.rtt,
+                rejoins: entry.rejoins,
+                announces: entry.announces,
+                linkquality: entry.linkquality,
+            });
+        }
+        return result.sort((a, b) => a.health_score - b.health_score);
+    }
+
+    async publishAll() {
+        if (!this.stController) {
+            return;
+        }
+        let summaries;
+        try {
+            summaries = await this.getSummary();
+        } catch (/** @type {any} */ error) {
+            this.debug(`Unable to collect diagnostics: ${error && error.message ? error.message : 'no error message'}`);
+            return;
+        }
+        for (const summary of summaries) {
+            try {
+                await this.publishDevice(summary);
+            } catch (/** @type {any} */ error) {
+                this.debug(`Unable to publish diagnostics of ${summary.device}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+    }
+
+    async publishDevice(summary) {
+        const devId = summary.device.substr(2);
+        const number = (name, unit) => ({name, type: 'number', read: true, write: false, role: 'value', unit});
+        await this.stController.updateState(devId, `${stateChannel}.health_score`, summary.health_score,
+            {name: 'Health score', type: 'number', read: true, write: false, role: 'value', min: 0, max: 100, unit: '%'});
+        await this.stController.updateState(devId, `${stateChannel}.messages_in_hour`, summary.messages_in_hour, number('Messages from the device in the last hour'));
+        await this.stController.updateState(devId, `${stateChannel}.messages_out_hour`, summary.messages_out_hour, number('Commands to the device in the last hour'));
+        await this.stController.updateState(devId, `${stateChannel}.failed_sends_hour`, summary.failed_sends_hour, number('Failed commands in the last hour'));
+        await this.stController.updateState(devId, `${stateChannel}.failed_sends`, summary.failed_sends, number('Failed commands since adapter start'));
+        await this.stController.updateState(devId, `${stateChannel}.errors`, JSON.stringify(summary.errors),
+            {name: 'Failed commands by error code', type: 'string', read: true, write: false, role: 'json'});
+        if (summary.last_error) {
+            await this.stController.updateState(devId, `${stateChannel}.last_error`,
+                `${summary.last_error.code}${summary.last_error.message ? ` (${summary.last_error.message})` : ''}`,
+                {name: 'Last failed command', type: 'string', read: true, write: false, role: 'text'});
+        }
+        if (summary.round_trip_ms !== undefined) {
+            await this.stController.updateState(devId, `${stateChannel}.round_trip_ms`, summary.round_trip_ms, number('Round trip of the last command', 'ms'));
+        }
+        await this.stController.updateState(devId, `${stateChannel}.rejoins`, summary.rejoins, number('Rejoins since adapter start'));
+        await this.stController.updateState(devId, `${stateChannel}.announces`, summary.announces, number('Announces since adapter start'));
+    }
+}
+
+module.exports = Diagnostics;
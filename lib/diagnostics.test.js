@@ -0,0 +1,70 @@
+'use strict';
+
+const {expect} = require('chai');
+const Diagnostics = require('./diagnostics');
+
+const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+const minute = 60 * 1000;
+
+function createDiagnostics(devices, availability) {
+    const diagnostics = new Diagnostics({on: () => {}, log});
+    diagnostics.zbController = {
+        getClientIterator: () => devices.values(),
+        callExtensionMethod: async (method, [device]) => [availability[device.ieeeAddr]],
+    };
+    return diagnostics;
+}
+
+describe('diagnostics', () => {
+    describe('getHealthScore', () => {
+        const diagnostics = new Diagnostics({on: () => {}, log});
+        const entry = {linkquality: 255};
+        const totals = {in: 0, out: 0, failed: 0, rejoins: 0};
+
+        it('starts at 100 for a device without problems', () => {
+            expect(diagnostics.getHealthScore(entry, totals, {available: true, lastSeen: Date.now(), interval: 10 * minute})).to.equal(100);
+            expect(diagnostics.getHealthScore(entry, totals)).to.equal(100);
+        });
+
+        it('counts failed sends, rejoins, link quality and a slow round trip', () => {
+            expect(diagnostics.getHealthScore(entry, {in: 0, out: 1, failed: 1, rejoins: 0})).to.equal(75);
+            expect(diagnostics.getHealthScore(entry, {in: 0, out: 0, failed: 0, rejoins: 5})).to.equal(70);
+            expect(diagnostics.getHealthScore({linkquality: 0}, totals)).to.equal(75);
+            expect(diagnostics.getHealthScore({linkquality: 255, rtt: 600}, totals)).to.equal(90);
+        });
+
+        it('counts an unavailable device', () => {
+            expect(diagnostics.getHealthScore(entry, totals, {available: false, lastSeen: Date.now(), interval: 10 * minute})).to.equal(60);
+        });
+
+        it('counts the time since the device was last seen beyond its interval', () => {
+            const interval = 10 * minute;
+            expect(diagnostics.getHealthScore(entry, totals, {available: true, lastSeen: Date.now() - 5 * minute, interval})).to.equal(100);
+            expect(diagnostics.getHealthScore(entry, totals, {available: true, lastSeen: Date.now() - 20 * minute, interval})).to.equal(90);
+            expect(diagnostics.getHealthScore(entry, totals, {available: true, lastSeen: Date.now() - 60 * minute, interval})).to.equal(80);
+            expect(diagnostics.getHealthScore(entry, totals, {available: undefined, lastSeen: undefined, interval})).to.equal(80);
+        });
+    });
+
+    describe('getSummary', () => {
+        it('lists the known devices without events', async () => {
+            const now = Date.now();
+            const diagnostics = createDiagnostics([
+                {ieeeAddr: '0x0000000000000001', lastSeen: now},
+                {ieeeAddr: '0x0000000000000002', lastSeen: now - 120 * minute},
+            ], {
+                '0x0000000000000001': {available: true, timeout: 600},
+                '0x0000000000000002': {available: false, timeout: 600, expectedInterval: {interval: 60 * minute, source: 'reporting'}},
+            });
+            diagnostics.record('0x0000000000000003', 'in', {linkquality: 255});
+            const summary = await diagnostics.getSummary();
+            expect(summary.map(device => [device.device, device.health_score, device.available])).to.deep.equal([
+                ['0x0000000000000002', 50, false],
+                ['0x0000000000000001', 100, true],
+                ['0x0000000000000003', 100, undefined],
+            ]);
+            expect(summary[0]).to.include({last_seen: now - 120 * minute, messages_in_hour: 0, failed_sends: 0});
+            expect(diagnostics.devices).to.have.all.keys('0x0000000000000003');
+        });
+    });
+});
@@ -9,8 +9,90 @@ const ea = require('zigbee-herdsman-converters/lib/exposes').access;
 
 
 const __logger = undefined;
+// the number of per-index states of a list expose without a maximal length
+const maxExpandedItems = 16;
+
+/**
+ * Checks a value against the schema of an expose, as done for the items of a list on write.
+ * Returns a description of the first mismatch or undefined if the value is valid.
+ */
+function validateExposeValue(expose, value, path) {
+    switch (expose.type) {
+        case 'binary': {
+            const valueOn = (expose.value_on !== undefined ? expose.value_on : 'ON');
+            const valueOff = (expose.value_off !== undefined ? expose.value_off : 'OFF');
+            if (value !== valueOn && value !== valueOff) {
+                return `${path} must be ${JSON.stringify(valueOn)} or ${JSON.stringify(valueOff)}`;
+            }
+            break;
+        }
+        case 'numeric':
+            if (typeof value !== 'number' || isNaN(value)) {
+                return `${path} must be a number`;
+            }
+            if (expose.value_min !== undefined && value < expose.value_min) {
+                return `${path} must be at least ${expose.value_min}`;
+            }
+            if (expose.value_max !== undefined && value > expose.value_max) {
+                return `${path} must be at most ${expose.value_max}`;
+            }
+            break;
+        case 'enum':
+            if (Array.isArray(expose.values) && !expose.values.includes(value)) {
+                return `${path} must be one of ${expose.values.map(v => JSON.stringify(v)).join(', ')}`;
+            }
+            break;
+        case 'text':
+            if (typeof value !== 'string') {
+                return `${path} must be a text`;
+            }
+            break;
+        case 'list':
+            if (!Array.isArray(value)) {
+                return `${path} must be a list`;
+            }
+            if (expose.length_min !== undefined && value.length < expose.length_min) {
+                return `${path} needs at least ${expose.length_min} items`;
+            }
+            if (expose.length_max !== undefined && value.length > expose.length_max) {
+                return `${path} allows at most ${expose.length_max} items`;
+            }
+            for (let index = 0; index < value.length; index++) {
+                const error = validateExposeValue(expose.item_type, value[index], `${path}[${index}]`);
+                if (error) return error;
+            }
+            break;
+        case 'composite':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return `${path} must be an object`;
+            }
+            for (const key in value) {
+                const feature = expose.features.find(f => (f.property || f.name) === key);
+                if (!feature) {
+                    return `${path}.${key} is not supported`;
+                }
+                const error = validateExposeValue(feature, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            break;
+        default:
+            break;
+    }
+    return undefined;
+}
+
+// parses the JSON value of a list state and checks it against the list expose
+function parseListValue(expose, value) {
+    const list = (typeof value === 'string') ? JSON.parse(value) : value;
+    const error = validateExposeValue(expose, list, expose.property);
+    if (error) {
+        throw new Error(error);
+    }
+    return list;
+}
 
 function genState(expose, role, name, desc) {
+    /** @type {any} */
     let state;
     const readable = (expose.access & ea.STATE) > 0;
     const writable = (expose.access & ea.SET) > 0;
@@ -130,6 +212,32 @@ function genState(expose, role, name, desc) {
             }
             break;
 
+        // the whole list is a JSON array, each item is checked against the item_type on write
+        case 'list':
+            state = {
+                id: stateId,
+                prop: propName,
+                name: stateName,
+                icon: undefined,
+                role: role || 'json',
+                write: writable,
+                read: true,
+                type: 'string',
+            };
+            if (readable) {
+                state.getter = payload => Array.isArray(payload[propName]) ? JSON.stringify(payload[propName]) : undefined;
+            } else {
+                state.getter = payload => undefined;
+            }
+            if (writable) {
+                state.setter = (value) => parseListValue(expose, value);
+                state.setattr = expose.name;
+            }
+            if (expose.endpoint) {
+                state.epname = expose.endpoint;
+            }
+            break;
+
         default:
             break;
     }
@@ -137,7 +245,221 @@ function genState(expose, role, name, desc) {
     return state;
 }
 
-function createFromExposes(model, def, device, log) {
+/**
+ * Generates one state per index of a list expose. Simple items get a state of their own type,
+ * composite items a JSON state. A write replaces the item in the current list, which is taken
+ * from the list state, and sends the whole list.
+ */
+function genListItemStates(expose, listState) {
+    const states = [];
+    const item = expose.item_type;
+    const count = Math.min(expose.length_max || maxExpandedItems, maxExpandedItems);
+    const isJson = !['binary', 'numeric', 'enum', 'text'].includes(item.type);
+    for (let index = 0; index < count; index++) {
+        const stateName = `${listState.name} ${index + 1}`;
+        /** @type {any} */
+        let st;
+        if (isJson) {
+            st = {
+                id: `${listState.id}_${index}`,
+                name: stateName,
+                icon: undefined,
+                role: 'json',
+                write: listState.write,
+                read: true,
+                type: 'string',
+            };
+        } else {
+            st = genState({...item, access: expose.access}, undefined, `${listState.id}_${index}`, stateName);
+        }
+        const itemSetter = st.setter || (value => value);
+        st.prop = expose.property;
+        st.getter = payload => {
+            if (!Array.isArray(payload[expose.property]) || payload[expose.property].length <= index) {
+                return undefined;
+            }
+            const value = payload[expose.property][index];
+            if (isJson) {
+                return JSON.stringify(value);
+            }
+            return (item.type === 'binary') ? value === (item.value_on !== undefined ? item.value_on : 'ON') : value;
+        };
+        st.setter = (value, options) => {
+            const current = options ? options[listState.id] : undefined;
+            // the whole list is sent, so an item can not be written without the other items
+            if (current === undefined || current === null || current === '') {
+                throw new Error(`${expose.property}[${index}] can not be set, the current list is unknown - read the device or write ${listState.id}`);
+            }
+            const list = parseListValue(expose, current);
+            if (index > list.length) {
+                throw new Error(`${expose.property}[${index}] can not be set, the list has ${list.length} items`);
+            }
+            list[index] = isJson ? JSON.parse(value) : itemSetter(value);
+            return parseListValue(expose, list);
+        };
+        st.setattr = expose.property;
+        if (expose.endpoint) {
+            st.epname = expose.endpoint;
+        }
+        states.push(st);
+    }
+    return states;
+}
+
+// the value of a feature in the payload as value of its state
+function featureToState(feature, value) {
+    switch (feature.type) {
+        case 'binary':
+            return value === (feature.value_on !== undefined ? feature.value_on : 'ON');
+        case 'numeric':
+            return !isNaN(value) ? value : undefined;
+        case 'list':
+            return Array.isArray(value) ? JSON.stringify(value) : undefined;
+        default:
+            return value;
+    }
+}
+
+// the value of a feature state as value in the payload
+function stateToFeature(feature, value) {
+    switch (feature.type) {
+        case 'binary':
+            return value ? (feature.value_on !== undefined ? feature.value_on : 'ON') : (feature.value_off !== undefined ? feature.value_off : 'OFF');
+        case 'list':
+            return parseListValue(feature, value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Generates the states of a composite expose: the composite becomes a channel with a state per feature,
+ * nested composites become sub channels. A write sends the whole composite, the other features are
+ * taken from their states. With the option compositeJson the composite also gets a JSON state
+ * `<property>_json`, which writes all features in one command.
+ * result: [{state, access}]
+ */
+function genCompositeStates(expose, options) {
+    const states = [];
+    const root = expose.property || expose.name;
+    const leaves = [];
+
+    // collects the writable features with their state id and path in the payload
+    function collect(composite, path) {
+        for (const feature of composite.features) {
+            const key = feature.property || feature.name;
+            if (feature.type === 'composite') {
+                collect(feature, path.concat(key));
+            } else {
+                leaves.push({feature, path: path.concat(key), id: [root].concat(path, key).join('.')});
+            }
+        }
+    }
+    collect(expose, []);
+
+    // builds the payload of the composite from the current values of the writable feature states
+    function fromOptions(stateOptions) {
+        const result = {};
+        for (const leaf of leaves.filter(leaf => (leaf.feature.access & ea.SET) && stateOptions)) {
+            const value = stateOptions[leaf.id];
+            if (value === undefined || value === null) continue;
+            try {
+                setPath(result, leaf.path, stateToFeature(leaf.feature, value));
+            } catch (error) {
+                // an invalid list in a state is not sent
+            }
+        }
+        return result;
+    }
+
+    function setPath(target, path, value) {
+        let obj = target;
+        for (const key of path.slice(0, -1)) {
+            if (typeof obj[key] !== 'object' || obj[key] === null) {
+                obj[key] = {};
+            }
+            obj = obj[key];
+        }
+        obj[path[path.length - 1]] = value;
+    }
+
+    for (const leaf of leaves) {
+        const st = genState(Object.assign({}, leaf.feature, {property: leaf.path[leaf.path.length - 1]}), undefined, leaf.id);
+        if (st === undefined) continue;
+        const feature = leaf.feature;
+        st.prop = root;
+        st.inOptions = true;
+        // numeric features of a composite had a state with the feature name before, it is moved to the new id
+        if (feature.type === 'numeric' && leaf.path.length === 1 && typeof feature.property === 'string') {
+            st.legacyId = feature.property.replace(/\*/g, '');
+        }
+        if (feature.access & ea.STATE) {
+            st.getter = payload => {
+                let value = payload[root];
+                for (const key of leaf.path) {
+                    if (typeof value !== 'object' || value === null || !value.hasOwnProperty(key)) {
+                        return undefined;
+                    }
+                    value = value[key];
+                }
+                return featureToState(feature, value);
+            };
+        } else {
+            st.getter = payload => undefined;
+        }
+        // if we have a composite expose, the value have to be an object {expose.property : {feature path: value}}
+        if (feature.access & ea.SET) {
+            st.setter = (value, stateOptions) => {
+                const result = fromOptions(stateOptions);
+                setPath(result, leaf.path, stateToFeature(feature, value));
+                return result;
+            };
+            st.setterOpt = (value, stateOptions) => ({[root]: st.setter(value, stateOptions)});
+            st.setattr = root;
+        } else {
+            delete st.setter;
+            delete st.setattr;
+        }
+        if (expose.endpoint) {
+            st.epname = expose.endpoint;
+        }
+        states.push({state: st, access: feature.access});
+    }
+
+    if (options && options.compositeJson) {
+        const readable = (expose.access & ea.STATE) > 0;
+        const writable = (expose.access & ea.SET) > 0;
+        const st = {
+            id: `${root}_json`,
+            prop: root,
+            name: `${expose.description || root} (JSON)`,
+            icon: undefined,
+            role: 'json',
+            write: writable,
+            read: true,
+            type: 'string',
+            getter: payload => (readable && typeof payload[root] === 'object' && payload[root] !== null) ? JSON.stringify(payload[root]) : undefined,
+        };
+        if (writable) {
+            st.setter = (value) => {
+                const composite = (typeof value === 'string') ? JSON.parse(value) : value;
+                const error = validateExposeValue(expose, composite, root);
+                if (error) {
+                    throw new Error(error);
+                }
+                return composite;
+            };
+            st.setattr = root;
+        }
+        if (expose.endpoint) {
+            st.epname = expose.endpoint;
+        }
+        states.push({state: st, access: expose.access});
+    }
+    return states;
+}
+
+function createFromExposes(model, def, device, options) {
     const states = [];
     // make the different (set and get) part of state is updatable if different exposes is used for get and set
     // as example:
@@ -751,7 +1073,12 @@ function createFromExposes(model, def, device, log) {
                             pushToStates(genState(prop, 'switch'), prop.access);
                             break;
                         default:
-                            pushToStates(genState(prop), prop.access);
+                            // nested composites and lists get their own states
+                            if (prop.type === 'composite' || prop.type === 'list') {
+                                genStateFromExpose(prop);
+                            } else {
+                                pushToStates(genState(prop), prop.access);
+                            }
                             break;
                     }
                 }
@@ -770,95 +1097,37 @@ function createFromExposes(model, def, device, log) {
                             pushToStates(statesDefs.climate_running_mode, prop.access);
                             break;
                         default:
-                            pushToStates(genState(prop), prop.access);
+                            // nested composites and lists get their own states
+                            if (prop.type === 'composite' || prop.type === 'list') {
+                                genStateFromExpose(prop);
+                            } else {
+                                pushToStates(genState(prop), prop.access);
+                            }
                             break;
                     }
                 }
                 break;
 
             case 'composite':
-                for (const prop of expose.features) {
-                    if (prop.type == 'numeric') {
-                        const st = genState(prop);
-                        st.prop = expose.property;
-                        st.inOptions = true;
-                        // I'm not fully sure, as it really needed, but
-                        st.setterOpt = (value, options) => {
-                            const result = {};
-                            options[prop.property] = value;
-                            result[expose.property] = options;
-                            return result;
-                        };
-                        // if we have a composite expose, the value have to be an object {expose.property : {prop.property: value}}
-                        if (prop.access & ea.SET) {
-                            st.setter = (value, options) => {
-                                const result = {};
-                                options[prop.property] = value;
-                                result[expose.property] = options;
-                                return result;
-                            };
-                            st.setattr = expose.property;
-                        }
-                        // if we have a composite expose, the payload will be an object {expose.property : {prop.property: value}}
-                        if (prop.access & ea.STATE) {
-                            st.getter = payload => {
-                                if ((payload.hasOwnProperty(expose.property)) && (payload[expose.property] !== null) && payload[expose.property].hasOwnProperty(prop.property)) {
-                                    return !isNaN(payload[expose.property][prop.property]) ? payload[expose.property][prop.property] : undefined;
-                                } else {
-                                    return undefined;
-                                }
-                            };
-                        } else {
-                            st.getter = payload => undefined;
-                        }
-                        pushToStates(st, prop.access);
-                    }
-
-                    if (prop.type == 'list') {
-                        for (const propList of prop.item_type.features) {
-                            const st = genState(propList);
-                            st.prop = expose.property;
-                            st.inOptions = true;
-                            st.setterOpt = (value, options) => {
-                                const result = {};
-                                options[propList.property] = value;
-                                result[expose.property] = options;
-                                return result;
-                            };
-                            if (propList.access & ea.SET) {
-                                st.setter = (value, options) => {
-                                    const result = {};
-                                    options[propList.property] = value;
-                                    result[expose.property] = options;
-                                    return result;
-                                };
-                                st.setattr = expose.property;
-                            }
-                            if (propList.access & ea.STATE) {
-                                st.getter = payload => {
-                                    if ((payload.hasOwnProperty(expose.property)) && (payload[expose.property] !== null) && payload[expose.property].hasOwnProperty(propList.property)) {
-                                        return !isNaN(payload[expose.property][propList.property]) ? payload[expose.property][propList.property] : undefined;
-                                    } else {
-                                        return undefined;
-                                    }
-                                };
-                            } else {
-                                st.getter = payload => undefined;
-                            }
-
-                            st.id = st.prop + '_' + st.id;
-                            pushToStates(st, propList.access);
-                        }
-                    }
+                for (const {state, access} of genCompositeStates(expose, options)) {
+                    pushToStates(state, access);
                 }
                 break;
-            case 'list':
-                // is not mapped
-                //     for (const prop of expose) {
-                //        let nam = prop.name;
-
-                //    }
+            case 'list': {
+                state = genState(expose);
+                if (state === undefined) break;
+                // the per-index states read the current list from the options
+                if (options && options.expandLists) {
+                    state.inOptions = true;
+                    pushToStates(state, expose.access);
+                    for (const st of genListItemStates(expose, state)) {
+                        pushToStates(st, expose.access);
+                    }
+                } else {
+                    pushToStates(state, expose.access);
+                }
                 break;
+            }
             default:
                 console.log(`Unhandled expose type ${expose.type} for device ${model}`);
 
@@ -885,19 +1154,38 @@ function applyExposes(mappedDevices, byModel) {
     }
 }
 
-async function applyExposeForDevice(mappedDevices, byModel, device) {
+async function applyExposeForDevice(mappedDevices, byModel, device, options) {
     const deviceDef = await zigbeeHerdsmanConverters.findByDevice(device);
     if (!deviceDef) return false;
-    applyDeviceDef(mappedDevices, byModel, deviceDef, device);
+    applyDeviceDef(mappedDevices, byModel, deviceDef, device, options);
     return true;
 }
 
-function applyDeviceDef(mappedDevices, byModel, deviceDef, device) {
+/**
+ * Merges the states of a mapping template into the states generated from the exposes,
+ * a template state replaces the generated state with the same id.
+ */
+function mergeTemplateStates(states, templateStates) {
+    const byId = new Map(templateStates.map(statedesc => [statedesc.id, statedesc]));
+    const merged = states.map(statedesc => (statedesc && byId.has(statedesc.id)) ? byId.get(statedesc.id) : statedesc);
+    const ids = new Set(states.map(statedesc => statedesc && statedesc.id));
+    return merged.concat(templateStates.filter(statedesc => !ids.has(statedesc.id)));
+}
+
+function applyDeviceDef(mappedDevices, byModel, deviceDef, device, options) {
     const stripModel = utils.getModelRegEx(deviceDef.model);
     const existsMap = byModel.get(stripModel);
-    if (deviceDef.hasOwnProperty('exposes') && (!existsMap || !existsMap.hasOwnProperty('states'))) {
+    // a model with a mapping template gets the states of its exposes and the template
+    const template = mappedDevices.find(candidate => candidate.template && !candidate.exposed &&
+        candidate.models.some(model => utils.getModelRegEx(model) === stripModel));
+    if (deviceDef.hasOwnProperty('exposes') && (!existsMap || !existsMap.hasOwnProperty('states') || existsMap === template)) {
         try {
-            const newDevice = createFromExposes(stripModel, deviceDef, device);
+            const newDevice = createFromExposes(stripModel, deviceDef, device, options);
+            if (template) {
+                newDevice.states = mergeTemplateStates(newDevice.states, template.states);
+                newDevice.icon = template.icon || newDevice.icon;
+                newDevice.template = template.template;
+            }
             mappedDevices.push(newDevice);
             byModel.set(stripModel, newDevice);
 
@@ -910,4 +1198,7 @@ function applyDeviceDef(mappedDevices, byModel, deviceDef, device) {
 module.exports = {
     applyExposes: applyExposes,
     applyExposeForDevice: applyExposeForDevice,
+    validateExposeValue: validateExposeValue,
+    parseListValue: parseListValue,
+    mergeTemplateStates: mergeTemplateStates,
 };
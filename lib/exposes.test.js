@@ -0,0 +1,78 @@
+'use strict';
+
+const {expect} = require('chai');
+const {validateExposeValue, parseListValue, mergeTemplateStates} = require('./exposes');
+
+const transition = {
+    type: 'composite',
+    property: 'transition',
+    features: [
+        {type: 'numeric', name: 'time', property: 'time', value_min: 0, value_max: 255},
+        {type: 'binary', name: 'enabled', property: 'enabled', value_on: true, value_off: false},
+        {type: 'enum', name: 'mode', property: 'mode', values: ['heat', 'cool']},
+    ],
+};
+const schedule = {
+    type: 'list',
+    property: 'schedule',
+    length_min: 1,
+    length_max: 3,
+    item_type: transition,
+};
+
+describe('exposes', () => {
+    describe('validateExposeValue', () => {
+        it('accepts valid values', () => {
+            expect(validateExposeValue({type: 'binary'}, 'ON', 'state')).to.be.undefined;
+            expect(validateExposeValue({type: 'numeric', value_min: 0, value_max: 10}, 10, 'level')).to.be.undefined;
+            expect(validateExposeValue({type: 'text'}, 'abc', 'name')).to.be.undefined;
+            expect(validateExposeValue(schedule, [{time: 5, enabled: true, mode: 'heat'}], 'schedule')).to.be.undefined;
+        });
+
+        it('checks the values of binaries, numbers, enums and texts', () => {
+            expect(validateExposeValue({type: 'binary'}, true, 'state')).to.equal('state must be "ON" or "OFF"');
+            expect(validateExposeValue({type: 'numeric'}, '1', 'level')).to.equal('level must be a number');
+            expect(validateExposeValue({type: 'numeric', value_min: 1}, 0, 'level')).to.equal('level must be at least 1');
+            expect(validateExposeValue({type: 'numeric', value_max: 1}, 2, 'level')).to.equal('level must be at most 1');
+            expect(validateExposeValue({type: 'enum', values: ['a', 'b']}, 'c', 'mode')).to.equal('mode must be one of "a", "b"');
+            expect(validateExposeValue({type: 'text'}, 1, 'name')).to.equal('name must be a text');
+        });
+
+        it('checks the length and the items of a list', () => {
+            expect(validateExposeValue(schedule, {}, 'schedule')).to.equal('schedule must be a list');
+            expect(validateExposeValue(schedule, [], 'schedule')).to.equal('schedule needs at least 1 items');
+            expect(validateExposeValue(schedule, [{}, {}, {}, {}], 'schedule')).to.equal('schedule allows at most 3 items');
+            expect(validateExposeValue(schedule, [{time: 1}, {time: 300}], 'schedule')).to.equal('schedule[1].time must be at most 255');
+        });
+
+        it('refuses unknown features of a composite', () => {
+            expect(validateExposeValue(transition, [], 'transition')).to.equal('transition must be an object');
+            expect(validateExposeValue(transition, {speed: 1}, 'transition')).to.equal('transition.speed is not supported');
+            expect(validateExposeValue(transition, {enabled: 'ON'}, 'transition')).to.equal('transition.enabled must be true or false');
+        });
+    });
+
+    describe('parseListValue', () => {
+        it('parses a JSON list', () => {
+            expect(parseListValue(schedule, '[{"time":1,"mode":"cool"}]')).to.deep.equal([{time: 1, mode: 'cool'}]);
+        });
+
+        it('takes a list as it is', () => {
+            const list = [{time: 2}];
+            expect(parseListValue(schedule, list)).to.equal(list);
+        });
+
+        it('throws on an invalid list', () => {
+            expect(() => parseListValue(schedule, '[{"mode":"dry"}]')).to.throw('schedule[0].mode must be one of "heat", "cool"');
+            expect(() => parseListValue(schedule, '[')).to.throw(SyntaxError);
+        });
+    });
+
+    describe('mergeTemplateStates', () => {
+        it('replaces the generated states with the template states of the same id', () => {
+            const states = [{id: 'state'}, undefined, {id: 'brightness', name: 'generated'}];
+            const merged = mergeTemplateStates(states, [{id: 'brightness', name: 'template'}, {id: 'extra'}]);
+            expect(merged).to.deep.equal([{id: 'state'}, undefined, {id: 'brightness', name: 'template'}, {id: 'extra'}]);
+        });
+    });
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+const {pathToFileURL} = require('url');
+const zigbeeHerdsmanConverters = require('zigbee-herdsman-converters');
+const statesMapping = require('./devices');
+const {marker, resolveImport, isConverterFile, isModule} = require('./converterLoader');
+
+const statusState = 'info.externalConverters';
+const markerPattern = new RegExp(`\\?${marker}=[^\\s:'"]*`, 'g');
+
+// the own files of a converter are loaded again with every load, packages are shared with the adapter
+function loadCommonJs(file, code, loaded) {
+    if (loaded.has(file)) {
+        return loaded.get(file).exports;
+    }
+    const module = {exports: {}};
+    loaded.set(file, module);
+    const converterRequire = request => {
+        const resolved = resolveImport(request, file);
+        if (!isConverterFile(resolved) || resolved.endsWith('.mjs')) {
+            return require(resolved);
+        }
+        if (resolved.endsWith('.json')) {
+            return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        }
+        return loadCommonJs(resolved, fs.readFileSync(resolved, 'utf8'), loaded);
+    };
+    const wrapper = vm.compileFunction(code, ['exports', 'require', 'module', '__filename', '__dirname'], {filename: file});
+    wrapper(module.exports, converterRequire, module, file, path.dirname(file));
+    return module.exports;
+}
+
+// CommonJS files required by a module are kept by node, they are removed so a reload requires them again
+function clearRequireCache(file) {
+    const folder = `${path.dirname(file)}${path.sep}`;
+    const adapterFolder = `${path.dirname(__dirname)}${path.sep}`;
+    for (const cached of Object.keys(require.cache)) {
+        if (isConverterFile(cached) && cached.startsWith(folder) && !cached.startsWith(adapterFolder)) {
+            delete require.cache[cached];
+        }
+    }
+}
+
+let hooksRegistered = false;
+
+// the imports of modules are resolved by the hooks of converterLoader
+async function loadModule(file, generation) {
+    if (!hooksRegistered && typeof Module['register'] === 'function') {
+        Module['register'](pathToFileURL(path.join(__dirname, 'converterLoader.js')).href);
+        hooksRegistered = true;
+    }
+    const url = pathToFileURL(file);
+    url.searchParams.set(marker, `${generation}`);
+    const module = await import(url.href);
+    return module.default !== undefined ? module.default : Object.values(module).filter(item => typeof item === 'object');
+}
+
+// syntax errors of modules have no position, the code is checked as script without imports and exports
+function findSyntaxErrorLine(code) {
+    const script = code
+        .replace(/\bimport\s[^;]*?from\s*(['"])[^'"\n]+\1/g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/\bimport\s*(['"])[^'"\n]+\1/g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/\bexport\s+default\s/g, 'void ')
+        .replace(/\bexport\s+(?=const|let|var|function|class|async)/g, '')
+        .replace(/\bexport\s*\{[^}]*\}(\s*from\s*(['"])[^'"\n]+\2)?/g, match => match.replace(/[^\n]/g, ' '));
+    try {
+        new vm.Script(`(async () => {${script}\n})`, {filename: 'check'});
+    } catch (/** @type {any} */ error) {
+        const match = /^check:(\d+)/.exec(error.stack || '');
+        return match ? Number(match[1]) : undefined;
+    }
+    return undefined;
+}
+
+function getErrorLine(error, file) {
+    const stack = `${(error && error.stack) || ''}`.replace(markerPattern, '');
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(?:${escape(pathToFileURL(file).href)}|${escape(file)}):(\\d+)`).exec(stack);
+    return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Loads the external converters configured in 'external' (file names separated by ';', absolute
+ * or relative to the instance data dir). CommonJS and ES modules (.js, .cjs, .mjs) are supported,
+ * a file exports one definition or a list of definitions.
+ * The result per file is kept in info.externalConverters, the message reloadExternalConverters
+ * loads the files and the files they import (not the packages) again without a restart of the adapter.
+ */
+class ExternalConverters {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.adapter.on('message', this.onMessage.bind(this));
+        this.files = [];
+        // number of the load, the modules of a converter are imported again with every load
+        this.generation = 0;
+    }
+
+    configure(zigbeeOptions) {
+    }
+
+    start(zbController, stController) {
+        this.zbController = zbController;
+        this.stController = stController;
+    }
+
+    stop() {
+        delete this.zbController;
+        delete this.stController;
+    }
+
+    info(msg) {
+        this.adapter.log.info(msg);
+    }
+
+    error(msg) {
+        this.adapter.log.error(msg);
+    }
+
+    debug(msg) {
+        this.adapter.log.debug(msg);
+    }
+
+    warn(msg) {
+        this.adapter.log.warn(msg);
+    }
+
+    /**
+     * @param {ioBroker.Message} obj
+     */
+    onMessage(obj) {
+        if (typeof obj === 'object' && obj.command) {
+            switch (obj.command) {
+                case 'reloadExternalConverters':
+                    this.reload()
+                        .then(files => this.adapter.sendTo(obj.from, obj.command, {files}, obj.callback))
+                        .catch(error => this.adapter.sendTo(obj.from, obj.command, {error: error && error.message ? error.message : 'no error message'}, obj.callback));
+                    break;
+                case 'getExternalConverters':
+                    this.adapter.sendTo(obj.from, obj.command, {files: this.files}, obj.callback);
+                    break;
+            }
+        }
+    }
+
+    getFiles() {
+        const result = [];
+        const external = this.adapter.config.external;
+        if (typeof external !== 'string') {
+            return result;
+        }
+        for (const name of external.split(';').map(name => name.trim())) {
+            if (!name) continue;
+            const file = (fs.existsSync(name) ? name : this.adapter.expandFileName(name).replace('.', '_'));
+            result.push({name, path: path.resolve(file)});
+        }
+        return result;
+    }
+
+    async loadFile(name, file) {
+        /** @type {{file: string, path: string, status: string, models: string[], error?: string, line?: number}} */
+        const status = {file: name, path: file, status: 'loaded', models: []};
+        if (!fs.existsSync(file)) {
+            this.warn(`External converter ${name} not loaded - ${file} does not exist.`);
+            return Object.assign(status, {status: 'missing'});
+        }
+        const code = fs.readFileSync(file, 'utf8');
+        const esm = isModule(file, code);
+        let definitions;
+        try {
+            if (esm) {
+                clearRequireCache(file);
+                definitions = await loadModule(file, this.generation);
+            } else {
+                definitions = loadCommonJs(file, code, new Map());
+            }
+        } catch (/** @type {any} */ error) {
+            const line = getErrorLine(error, file) || ((error instanceof SyntaxError && esm) ? findSyntaxErrorLine(code) : undefined);
+            const message = `${error && error.message ? error.message : 'no error message'}`.replace(markerPattern, '');
+            this.error(`External converter ${name} not loaded: ${message}${line ? ` (line ${line})` : ''}`);
+            return Object.assign(status, {status: 'failed', error: message, line});
+        }
+        for (const definition of (Array.isArray(definitions) ? definitions : [definitions])) {
+            if (!definition || typeof definition !== 'object' || !definition.model) {
+                continue;
+            }
+            const toAdd = {...definition, externalConverterName: name};
+            delete toAdd['homeassistant'];
+            try {
+                // older versions of the converters only know addExternalDefinition, it is missing in the types
+                const converters = /** @type {any} */ (zigbeeHerdsmanConverters);
+                if (converters.hasOwnProperty('addExternalDefinition')) {
+                    converters.addExternalDefinition(toAdd);
+                } else {
+                    zigbeeHerdsmanConverters.addDefinition(toAdd);
+                }
+                status.models.push(definition.model);
+                this.info(`Model ${definition.model} defined in external converter ${name}`);
+            } catch (/** @type {any} */ error) {
+                status.status = 'failed';
+                status.error = `${definition.model}: ${error && error.message ? error.message : 'no error message'}`;
+                this.error(`Unable to apply external converter for ${definition.model} from ${name}: ${status.error}`);
+            }
+        }
+        if (status.status === 'loaded' && !status.models.length) {
+            status.status = 'failed';
+            status.error = 'no definition with a model exported';
+            this.warn(`External converter ${name} exports no definition with a model`);
+        }
+        return status;
+    }
+
+    async load() {
+        const files = [];
+        this.generation++;
+        for (const {name, path: file} of this.getFiles()) {
+            files.push(await this.loadFile(name, file));
+        }
+        this.files = files;
+        await this.adapter.setStateAsync(statusState, JSON.stringify(files), true);
+        return files;
+    }
+
+    /**
+     * Removes the definitions of the external converters, loads them again and
+     * generates the states of the devices of the changed models again.
+     */
+    async reload() {
+        const models = new Set();
+        for (const file of this.files) {
+            file.models.forEach(model => models.add(model));
+            if (zigbeeHerdsmanConverters.removeExternalDefinitions) {
+                zigbeeHerdsmanConverters.removeExternalDefinitions(file.file);
+            }
+        }
+        const files = await this.load();
+        files.forEach(file => file.models.forEach(model => models.add(model)));
+        if (this.zbController && this.stController) {
+            for (const device of this.zbController.getClientIterator(false)) {
+                const entity = await this.zbController.resolveEntity(device);
+                const model = entity && entity.mapped ? entity.mapped.model : undefined;
+                if (!model || !models.has(model)) continue;
+                statesMapping.removeExposedModel(model);
+                await this.stController.AddModelFromHerdsman(device, model);
+                await this.stController.syncDevStates(device, model);
+            }
+        }
+        return files;
+    }
+}
+
+ExternalConverters.resolveImport = resolveImport;
+ExternalConverters.findSyntaxErrorLine = findSyntaxErrorLine;
+ExternalConverters.getErrorLine = getErrorLine;
+
+module.exports = ExternalConverters;
@@ -0,0 +1,152 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {pathToFileURL} = require('url');
+const {expect} = require('chai');
+const ExternalConverters = require('./externalConverters');
+
+describe('externalConverters', () => {
+    let folder;
+
+    beforeEach(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'converters-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(folder, {recursive: true, force: true});
+    });
+
+    describe('resolveImport', () => {
+        it('keeps builtin modules', () => {
+            expect(ExternalConverters.resolveImport('fs', path.join(folder, 'conv.js'))).to.equal('fs');
+            expect(ExternalConverters.resolveImport('node:path', path.join(folder, 'conv.js'))).to.equal('node:path');
+        });
+
+        it('takes the packages of the adapter', () => {
+            expect(ExternalConverters.resolveImport('zigbee-herdsman-converters', path.join(folder, 'conv.js')))
+                .to.equal(require.resolve('zigbee-herdsman-converters'));
+        });
+
+        it('resolves relative paths from the folder of the file', () => {
+            fs.writeFileSync(path.join(folder, 'helper.js'), 'module.exports = {};');
+            expect(ExternalConverters.resolveImport('./helper', path.join(folder, 'conv.js'))).to.equal(path.join(folder, 'helper.js'));
+        });
+
+        it('maps the imports of the converters repository to zigbee-herdsman-converters', () => {
+            expect(ExternalConverters.resolveImport('../lib/reporting', path.join(folder, 'conv.js')))
+                .to.equal(require.resolve('zigbee-herdsman-converters/lib/reporting'));
+        });
+
+        it('throws for missing files', () => {
+            expect(() => ExternalConverters.resolveImport('./missing', path.join(folder, 'conv.js'))).to.throw();
+            expect(() => ExternalConverters.resolveImport('not-installed-package', path.join(folder, 'conv.js'))).to.throw();
+        });
+    });
+
+    describe('error lines', () => {
+        it('finds the line of a syntax error in a module', () => {
+            const code = [
+                `import {presets} from 'zigbee-herdsman-converters/lib/exposes';`,
+                `export default {`,
+                `    model: 'test',`,
+                `    exposes: [presets.switch(]`,
+                `};`,
+            ].join('\n');
+            expect(ExternalConverters.findSyntaxErrorLine(code)).to.equal(4);
+        });
+
+        it('finds no line in valid code', () => {
+            expect(ExternalConverters.findSyntaxErrorLine(`export const definition = {model: 'test'};\n`)).to.be.undefined;
+        });
+
+        it('reads the line of the file from the stack', () => {
+            const file = path.join(folder, 'conv.js');
+            expect(ExternalConverters.getErrorLine({stack: `Error: failed\n    at ${file}:12:5`}, file)).to.equal(12);
+            expect(ExternalConverters.getErrorLine({stack: `Error: failed\n    at ${pathToFileURL(file).href}?zigbee-converter=3:7:1`}, file)).to.equal(7);
+            expect(ExternalConverters.getErrorLine({stack: 'Error: failed\n    at other.js:3:1'}, file)).to.be.undefined;
+            expect(ExternalConverters.getErrorLine(undefined, file)).to.be.undefined;
+        });
+    });
+
+    describe('loadFile', () => {
+        const messages = [];
+        const adapter = {
+            on: () => {},
+            config: {},
+            log: {info: () => {}, debug: () => {}, warn: msg => messages.push(msg), error: msg => messages.push(msg)},
+        };
+
+        beforeEach(() => {
+            messages.length = 0;
+        });
+
+        it('reports the line of an error in a CommonJS converter', async () => {
+            const file = path.join(folder, 'conv.js');
+            fs.writeFileSync(file, `const helper = require('./missing');\nmodule.exports = {model: 'test'};\n`);
+            const status = await new ExternalConverters(adapter).loadFile('conv.js', file);
+            expect(status).to.include({status: 'failed', line: 1});
+            expect(messages[0]).to.match(/^External converter conv.js not loaded: /).and.to.contain('(line 1)');
+        });
+
+        it('reports the line of a syntax error in an ES module', async () => {
+            const file = path.join(folder, 'conv.mjs');
+            fs.writeFileSync(file, `export default {\n    model: 'test',,\n};\n`);
+            const status = await new ExternalConverters(adapter).loadFile('conv.mjs', file);
+            expect(status).to.include({status: 'failed', line: 2});
+        });
+
+        it('reports a missing file', async () => {
+            const status = await new ExternalConverters(adapter).loadFile('none.js', path.join(folder, 'none.js'));
+            expect(status.status).to.equal('missing');
+        });
+    });
+
+    describe('load', () => {
+        const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+
+        function createLoader(files) {
+            const adapter = {on: () => {}, log, setStateAsync: async () => {}, config: {external: files.map(file => path.join(folder, file)).join(';')}};
+            return new ExternalConverters(adapter);
+        }
+
+        function definition(model) {
+            return `{zigbeeModel: ['${model}'], model: '${model}' + helper.version, vendor: 'test', description: 'test', fromZigbee: [], toZigbee: [], exposes: []}`;
+        }
+
+        it('resolves the imports of a module without changing its text', async () => {
+            fs.writeFileSync(path.join(folder, 'conv.mjs'), [
+                `import * as reporting from '../lib/reporting';`,
+                `import {presets} from 'zigbee-herdsman-converters/lib/exposes';`,
+                `const helper = {version: typeof reporting.bind + typeof presets.switch};`,
+                `// import text from './missing';`,
+                `const description = "import text from './missing'";`,
+                `export default {...${definition('ESMTEST1')}, description};`,
+            ].join('\n'));
+            const [status] = await createLoader(['conv.mjs']).load();
+            expect(status).to.include({status: 'loaded'});
+            expect(status.models).to.deep.equal(['ESMTEST1functionfunction']);
+        });
+
+        it('imports the files of a module again on reload', async () => {
+            fs.writeFileSync(path.join(folder, 'conv.js'), `import helper from './helper.mjs';\nimport other from './other.cjs';\nexport default {...${definition('ESMTEST2')}, description: other.text};`);
+            fs.writeFileSync(path.join(folder, 'helper.mjs'), 'export default {version: 1};');
+            fs.writeFileSync(path.join(folder, 'other.cjs'), `module.exports = {text: 'first'};`);
+            const loader = createLoader(['conv.js']);
+            await loader.load();
+            fs.writeFileSync(path.join(folder, 'helper.mjs'), 'export default {version: 2};');
+            const [status] = await loader.reload();
+            expect(status.models).to.deep.equal(['ESMTEST22']);
+        });
+
+        it('requires the files of a CommonJS converter again on reload', async () => {
+            fs.writeFileSync(path.join(folder, 'conv.cjs'), `const helper = require('./helper');\nmodule.exports = ${definition('CJSTEST')};`);
+            fs.writeFileSync(path.join(folder, 'helper.js'), 'module.exports = {version: 1};');
+            const loader = createLoader(['conv.cjs']);
+            expect((await loader.load())[0].models).to.deep.equal(['CJSTEST1']);
+            fs.writeFileSync(path.join(folder, 'helper.js'), 'module.exports = {version: 2};');
+            expect((await loader.reload())[0].models).to.deep.equal(['CJSTEST2']);
+        });
+    });
+});
@@ -1,9 +1,17 @@
 'use strict';
 
-const json = require('iobroker.zigbee/lib/json');
+const json = require('./json');
 const statesMapping = require('./devices');
 const { numberWithinRange } = require('zigbee-herdsman-converters/lib/utils');
+const { toZigbee } = require('zigbee-herdsman-converters');
+const statesDefs = require('./states').states;
 const idRegExp = new RegExp(/group_(\d+)/);
+// member states the group states are aggregated from
+const aggregatedStates = ['state', 'brightness', 'available'];
+// members report in bursts after a group command, so the aggregation waits a little
+const aggregationDelay = 500;
+// states stored with a scene and the converter attribute they are stored as
+const sceneStates = {state: 'state', brightness: 'brightness', colortemp: 'color_temp', color: 'color'};
 
 
 
@@ -13,6 +21,10 @@ class Groups {
         this.adapter.on('message', this.onMessage.bind(this));
         this.log = this.adapter.log;
         this.idRegex = new RegExp(/group_(\d+)/)
+        this.adapter.on('stateChange', this.onStateChange.bind(this));
+        // device id -> ids of the groups it is member of
+        this.memberMap = {};
+        this.aggregationTimers = {};
     }
 
     static extractGroupID(id) {
@@ -21,7 +33,7 @@ class Groups {
             case 'string': {
                 const regexResult = id.match(idRegExp);
                 if (regexResult) return Number(regexResult[1]);
-                break;
+                return -1;
             }
             default: return -1;
         }
@@ -38,6 +50,11 @@ class Groups {
     }
 
     stop() {
+        for (const gid in this.aggregationTimers) {
+            clearTimeout(this.aggregationTimers[gid]);
+        }
+        this.aggregationTimers = {};
+        this.memberMap = {};
         delete this.zbController;
         delete this.stController;
     }
@@ -77,6 +94,25 @@ class Groups {
                 case 'updateGroupMembership':
                     this.updateGroupMembership(obj.from, obj.command, obj.message, obj.callback);
                     break;
+                case 'reconcileGroups':
+                    if (obj.message && typeof obj.message === 'object') {
+                        this.reconcileGroups(obj.from, obj.command, obj.message, obj.callback);
+                    }
+                    break;
+                case 'setGroupAggregation':
+                    if (obj.message && typeof obj.message === 'object') {
+                        this.setGroupAggregation(obj.from, obj.command, obj.message, obj.callback);
+                    }
+                    break;
+                case 'getScenes':
+                case 'storeScene':
+                case 'recallScene':
+                case 'removeScene':
+                case 'renameScene':
+                    if (obj.message && typeof obj.message === 'object') {
+                        this.handleSceneMessage(obj.from, obj.command, obj.message, obj.callback);
+                    }
+                    break;
             }
         }
     }
@@ -150,6 +186,7 @@ class Groups {
     }
 
     async updateGroupMembership(from, command, message, callback) {
+        const errors = [];
         try {
             const groups = message && message.groups ? message.groups : {};
             const devId = message && message.id ? message.id : undefined;
@@ -163,13 +200,12 @@ class Groups {
             // this.adapter.setState(id, JSON.stringify(groups), true);
 
             //const current = await this.zbController.getGroupMembersFromController(sysid);
-            const errors = [];
             for (const epid in groups) {
                 for (const gpid of groups[epid]) {
                     const gpidn = parseInt(gpid);
                     if (gpidn < 0) {
                         this.warn(`calling removeDevFromGroup with ${sysid}, ${-gpidn}, ${epid}` );
-                        const response = await this.zbController.removeDevFromGroup(sysid, (-gpidn), epid);
+                        const response = await this.retryGroupCommand(() => this.zbController.removeDevFromGroup(sysid, (-gpidn), epid));
                         if (response && response.error) {
                             errors.push(response.error);
                             this.error(`remove dev from group Error: ${JSON.stringify(response.error)}`);
@@ -177,7 +213,7 @@ class Groups {
                         const icon = this.stController.getDefaultGroupIcon(-gpidn)
                     } else if (gpidn > 0) {
                         this.warn(`calling addDevToGroup with ${sysid}, ${gpidn}, ${epid}` );
-                        const response = await this.zbController.addDevToGroup(sysid, (gpidn), epid);
+                        const response = await this.retryGroupCommand(() => this.zbController.addDevToGroup(sysid, (gpidn), epid));
                         if (response && response.error) {
                             errors.push(response.error);
                             this.error(`add dev to group Error: ${JSON.stringify(response.error)}`);
@@ -194,9 +230,297 @@ class Groups {
         }
         //await this.renameGroup(from, command, { name: undefined, id: message.id});
         this.syncGroups();
-        this.adapter.sendTo(from, command, {}, callback);
+        this.adapter.sendTo(from, command, errors.length ? {errors} : {}, callback);
+    }
+
+    // group commands to routers which are busy fail now and then, so they get a second chance.
+    // A command fails with an exception or with a response containing an error.
+    async retryGroupCommand(fn) {
+        try {
+            const response = await fn();
+            if (!response || !response.error) {
+                return response;
+            }
+            this.debug(`retrying group command after ${JSON.stringify(response.error)}`);
+        } catch (/** @type {any} */ error) {
+            this.debug(`retrying group command after ${error && error.message ? error.message : 'no error message'}`);
+        }
+        return await fn();
+    }
+
+    // ids of the groups of the herdsman database which contain the endpoint
+    getDatabaseMemberships(endpoint) {
+        const groups = [];
+        for (const group of this.zbController.herdsman.getGroupsIterator()) {
+            if (group.hasMember(endpoint)) {
+                groups.push(group.groupID);
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Compares the group tables of the devices with the herdsman database.
+     * message: {devices: [device ids], optional, default all mains powered devices,
+     *           repair: 'missing' (add missing memberships) | 'all' (also remove extra memberships from the devices)}
+     * result: {report: [{device, endpoint, missing: [group ids], extra: [group ids], repaired, failed, error}]},
+     * repaired and failed hold group ids, negative ones for removed memberships like in updateGroupMembership
+     */
+    async reconcileGroups(from, command, message, callback) {
+        /** @type {object[]} */
+        const report = [];
+        const repair = message.repair === true ? 'all' : message.repair;
+        const selected = Array.isArray(message.devices) ?
+            message.devices.map(id => `0x${String(id).replace(`${this.adapter.namespace}.`, '').replace('0x', '')}`) : undefined;
+        try {
+            for (const device of this.zbController.getClientIterator(false)) {
+                if (selected ? !selected.includes(device.ieeeAddr) : device.powerSource === 'Battery') {
+                    continue;
+                }
+                for (const endpoint of device.endpoints.filter(ep => ep.supportsInputCluster('genGroups'))) {
+                    const expected = this.getDatabaseMemberships(endpoint);
+                    /** @type {{device: string, endpoint: number, missing: number[], extra: number[], repaired?: number[], failed?: number[], error?: string}} */
+                    const entry = {device: device.ieeeAddr, endpoint: endpoint.ID, missing: [], extra: []};
+                    let actual;
+                    try {
+                        const response = await endpoint.command('genGroups', 'getMembership', {groupcount: 0, grouplist: []}, {});
+                        actual = response && Array.isArray(response.grouplist) ? response.grouplist : [];
+                    } catch (/** @type {any} */ error) {
+                        // only of interest if the endpoint should be member of a group
+                        if (expected.length) {
+                            entry.error = `getMembership failed: ${error && error.message ? error.message : 'no error message'}`;
+                            report.push(entry);
+                        }
+                        continue;
+                    }
+                    entry.missing = expected.filter(gid => !actual.includes(gid));
+                    entry.extra = actual.filter(gid => !expected.includes(gid));
+                    if (!entry.missing.length && !entry.extra.length) {
+                        continue;
+                    }
+                    if (repair === 'missing' || repair === 'all') {
+                        await this.repairMemberships(endpoint, entry, repair === 'all');
+                    }
+                    report.push(entry);
+                }
+            }
+            const drift = report.filter(entry => !entry.error).length;
+            if (drift) {
+                this.warn(`Group membership drift on ${drift} endpoints: ${JSON.stringify(report)}`);
+            } else {
+                this.info('Group memberships match the database');
+            }
+            if (repair) {
+                this.syncGroups();
+            }
+            this.adapter.sendTo(from, command, {report}, callback);
+        } catch (/** @type {any} */ error) {
+            this.error(`reconcileGroups failed: ${error && error.message ? error.message : 'no error message'}`);
+            this.adapter.sendTo(from, command, {error: `reconcileGroups failed: ${error && error.message ? error.message : 'no error message'}`, report}, callback);
+        }
+    }
+
+    async repairMemberships(endpoint, entry, removeExtra) {
+        entry.repaired = [];
+        entry.failed = [];
+        for (const gid of entry.missing) {
+            try {
+                const group = await this.zbController.getGroupByID(gid);
+                await this.retryGroupCommand(() => endpoint.addToGroup(group));
+                entry.repaired.push(gid);
+            } catch (error) {
+                entry.failed.push(gid);
+            }
+        }
+        if (!removeExtra) {
+            return;
+        }
+        for (const gid of entry.extra) {
+            try {
+                await this.retryGroupCommand(() => endpoint.removeFromGroup(gid));
+                entry.repaired.push(-gid);
+            } catch (error) {
+                entry.failed.push(-gid);
+            }
+        }
+    }
+
+
+    /**
+     * Reads the current values of a device for a scene in the format of the converters,
+     * e.g. {state: 'ON', brightness: 254, color_temp: 370}.
+     */
+    async readSceneState(devId) {
+        /** @type {Record<string, any>} */
+        const sceneState = {};
+        for (const id in sceneStates) {
+            try {
+                const state = await this.adapter.getStateAsync(`${devId}.${id}`);
+                if (state && state.val !== null && state.val !== undefined && state.val !== '') {
+                    sceneState[sceneStates[id]] = statesDefs[id].setter(state.val);
+                }
+            } catch (/** @type {any} */ error) {
+                this.debug(`Unable to read ${devId}.${id} for the scene: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+        return sceneState;
+    }
+
+    /**
+     * Resolves the target of a scene command: the group itself or the endpoint of a device
+     * with a scenes cluster. Scenes of devices are stored with group id 0.
+     * With withState the current states of the members are read for storing the scene.
+     * @returns {Promise<{entity: any, groupid: number, localId: string, endpoints: any[], meta: import('zigbee-herdsman-converters/lib/types').Tz.Meta} | undefined>}
+     */
+    async getSceneTarget(id, withState) {
+        const gid = Groups.extractGroupID(id);
+        if (gid > 0) {
+            const group = await this.zbController.getGroupByID(gid);
+            if (!group) {
+                return undefined;
+            }
+            /** @type {Record<string, Record<string, any>>} */
+            const membersState = {};
+            for (const member of group.members) {
+                const ieeeAddr = member.getDevice().ieeeAddr;
+                membersState[ieeeAddr] = withState ? await this.readSceneState(ieeeAddr.substr(2)) : {};
+            }
+            return {
+                entity: group,
+                groupid: gid,
+                localId: Groups.generateGroupID(gid),
+                endpoints: group.members,
+                meta: {message: {}, device: undefined, endpoint_name: undefined, mapped: [], options: {}, state: {}, membersState},
+            };
+        }
+        const devId = String(id).replace(`${this.adapter.namespace}.`, '').replace('0x', '');
+        const entity = await this.zbController.resolveEntity(`0x${devId}`);
+        const endpoint = entity && entity.device ? entity.device.endpoints.find(ep => ep.supportsInputCluster('genScenes')) : undefined;
+        if (!endpoint) {
+            return undefined;
+        }
+        return {
+            entity: endpoint,
+            groupid: 0,
+            localId: devId,
+            endpoints: [endpoint],
+            meta: {message: {}, device: entity.device, endpoint_name: undefined, mapped: entity.mapped, options: {}, state: withState ? await this.readSceneState(devId) : {}},
+        };
+    }
+
+    // the converter returns the stored states of a recalled scene, they are published to the states of the devices
+    async publishRecalledScene(target, recalled) {
+        if (!recalled) {
+            return;
+        }
+        if (recalled.membersState) {
+            for (const ieeeAddr in recalled.membersState) {
+                const entity = await this.zbController.resolveEntity(ieeeAddr);
+                if (entity && entity.mapped && Object.keys(recalled.membersState[ieeeAddr]).length) {
+                    await this.stController.publishToState(ieeeAddr.substr(2), entity.mapped.model, recalled.membersState[ieeeAddr]);
+                }
+            }
+        } else if (recalled.state && target.meta.mapped && Object.keys(recalled.state).length) {
+            await this.stController.publishToState(target.localId, target.meta.mapped.model, recalled.state);
+        }
     }
 
+    getSceneNames(localId) {
+        return this.stController.localConfig.getOverrideWithKey(localId, 'scenes', false) || {};
+    }
+
+    async setSceneName(localId, sceneid, name) {
+        const names = Object.assign({}, this.getSceneNames(localId));
+        if (name) {
+            names[sceneid] = name;
+        } else {
+            delete names[sceneid];
+        }
+        await this.stController.localConfig.updateLocalOverride(localId, localId, 'scenes', names, false);
+    }
+
+    /**
+     * Lists the scenes known for the target from the scene data stored with the endpoints.
+     * With query the endpoints are asked for their scene membership.
+     * result: [{id, name, members: number of endpoints holding the scene}]
+     */
+    async listScenes(target, query) {
+        const scenes = {};
+        const addScene = (sceneid) => {
+            if (!scenes[sceneid]) {
+                scenes[sceneid] = {id: sceneid, name: undefined, members: 0};
+            }
+            return scenes[sceneid];
+        };
+        for (const endpoint of target.endpoints) {
+            let sceneIds = [];
+            if (query) {
+                try {
+                    const response = await endpoint.command('genScenes', 'getSceneMembership', {groupid: target.groupid}, {});
+                    sceneIds = response && Array.isArray(response.scenelist) ? response.scenelist : [];
+                } catch (/** @type {any} */ error) {
+                    this.warn(`getSceneMembership failed for ${endpoint.getDevice().ieeeAddr}/${endpoint.ID}: ${error && error.message ? error.message : 'no error message'}`);
+                    continue;
+                }
+            } else {
+                sceneIds = Object.keys((endpoint.meta && endpoint.meta.scenes) || {})
+                    .map(key => key.split('_'))
+                    .filter(parts => Number(parts[1]) === target.groupid)
+                    .map(parts => Number(parts[0]));
+            }
+            for (const sceneid of sceneIds) {
+                addScene(sceneid).members++;
+            }
+        }
+        const names = this.getSceneNames(target.localId);
+        for (const sceneid in names) {
+            addScene(Number(sceneid)).name = names[sceneid];
+        }
+        return Object.values(scenes).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * message: {id: group or device id, sceneId, name, query}
+     * result: {scenes: [{id, name, members}]} or {error}
+     */
+    async handleSceneMessage(from, command, message, callback) {
+        const result = {};
+        try {
+            const target = this.zbController ? await this.getSceneTarget(message.id, command === 'storeScene') : undefined;
+            if (!target) {
+                throw new Error(`${message.id} is neither a group nor a device with a scenes cluster`);
+            }
+            const sceneid = Number(message.sceneId);
+            if (command !== 'getScenes' && (!Number.isInteger(sceneid) || sceneid < 0 || sceneid > 255)) {
+                throw new Error(`invalid scene id ${message.sceneId}`);
+            }
+            switch (command) {
+                case 'storeScene':
+                    await toZigbee.scene_store.convertSet(target.entity, 'scene_store', {ID: sceneid, name: message.name}, target.meta);
+                    if (message.name) {
+                        await this.setSceneName(target.localId, sceneid, message.name);
+                    }
+                    this.info(`Stored scene ${sceneid} on ${target.localId}`);
+                    break;
+                case 'recallScene':
+                    await this.publishRecalledScene(target, await toZigbee.scene_recall.convertSet(target.entity, 'scene_recall', sceneid, target.meta));
+                    break;
+                case 'removeScene':
+                    await toZigbee.scene_remove.convertSet(target.entity, 'scene_remove', sceneid, target.meta);
+                    await this.setSceneName(target.localId, sceneid, undefined);
+                    this.info(`Removed scene ${sceneid} from ${target.localId}`);
+                    break;
+                case 'renameScene':
+                    await this.setSceneName(target.localId, sceneid, message.name);
+                    break;
+            }
+            result.scenes = await this.listScenes(target, command === 'getScenes' && message.query);
+        } catch (/** @type {any} */ error) {
+            result.error = `${command} failed: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(result.error);
+        }
+        this.adapter.sendTo(from, command, result, callback);
+    }
 
     async queryGroupMemberState(groupID, stateDesc) {
         const members = await this.getGroupMembersFromController(groupID);
@@ -368,6 +692,125 @@ class Groups {
             })));
 
         await Promise.all(chain);
+        await this.updateMemberMap(groups);
+    }
+
+    async updateMemberMap(groups) {
+        const memberMap = {};
+        for (const gid in groups) {
+            const members = await this.getGroupMembersFromController(gid);
+            for (const member of members || []) {
+                const devId = member.device.substr(2);
+                if (!memberMap[devId]) {
+                    memberMap[devId] = [];
+                }
+                if (!memberMap[devId].includes(Number(gid))) {
+                    memberMap[devId].push(Number(gid));
+                }
+            }
+        }
+        this.memberMap = memberMap;
+        for (const gid in groups) {
+            this.scheduleAggregation(Number(gid));
+        }
+    }
+
+    onStateChange(id, state) {
+        if (!state || !state.ack || !this.zbController) {
+            return;
+        }
+        // only direct device states: <namespace>.<devId>.<state>
+        const parts = id.split('.');
+        if (parts.length !== 4 || !aggregatedStates.includes(parts[3])) {
+            return;
+        }
+        for (const gid of this.memberMap[parts[2]] || []) {
+            this.scheduleAggregation(gid);
+        }
+    }
+
+    scheduleAggregation(gid) {
+        if (this.aggregationTimers[gid]) {
+            clearTimeout(this.aggregationTimers[gid]);
+        }
+        this.aggregationTimers[gid] = setTimeout(() => {
+            delete this.aggregationTimers[gid];
+            this.aggregateGroup(gid);
+        }, aggregationDelay);
+    }
+
+    // rules of the group override the ones of the instance config
+    getAggregationRules(gid) {
+        const rules = this.stController.localConfig.getOverrideWithKey(Groups.generateGroupID(gid), 'aggregation', false) || {};
+        return {
+            state: rules.state || this.adapter.config.groupStateRule || 'any',
+            brightness: rules.brightness || this.adapter.config.groupBrightnessRule || 'average',
+        };
+    }
+
+    /**
+     * Recomputes state, brightness and members_available of a group from the states of its members.
+     * state: 'any' (on if any member is on), 'all' (on if all members are on) or 'none' (no aggregation)
+     * brightness: 'average' or 'max' of the members which are on
+     */
+    async aggregateGroup(gid) {
+        if (!this.stController) {
+            return;
+        }
+        const rules = this.getAggregationRules(gid);
+        if (rules.state === 'none') {
+            return;
+        }
+        const groupId = Groups.generateGroupID(gid);
+        try {
+            const members = Object.keys(this.memberMap).filter(devId => this.memberMap[devId].includes(gid));
+            const states = [];
+            const levels = [];
+            let available = 0;
+            for (const devId of members) {
+                const availableState = await this.adapter.getStateAsync(`${devId}.available`);
+                if (availableState && availableState.val === false) {
+                    continue;
+                }
+                available++;
+                const state = await this.adapter.getStateAsync(`${devId}.state`);
+                if (state && typeof state.val === 'boolean') {
+                    states.push(state.val);
+                }
+                const brightness = await this.adapter.getStateAsync(`${devId}.brightness`);
+                if (brightness && typeof brightness.val === 'number' && !(state && state.val === false)) {
+                    levels.push(brightness.val);
+                }
+            }
+            await this.stController.updateState(groupId, 'members_available', available);
+            if (states.length) {
+                const isOn = rules.state === 'all' ? states.every(val => val) : states.some(val => val);
+                await this.stController.updateState(groupId, 'state', isOn);
+            }
+            if (levels.length) {
+                const level = rules.brightness === 'max' ? Math.max(...levels) : Math.round(levels.reduce((sum, val) => sum + val, 0) / levels.length);
+                await this.stController.updateState(groupId, 'brightness', level);
+            }
+        } catch (/** @type {any} */ error) {
+            this.error(`Unable to aggregate the states of ${groupId}: ${error && error.message ? error.message : 'no error message'}`);
+        }
+    }
+
+    /**
+     * message: {id: group id, state: 'any' | 'all' | 'none', brightness: 'average' | 'max'}, without rules the instance config applies
+     */
+    async setGroupAggregation(from, command, message, callback) {
+        const gid = Groups.extractGroupID(message.id);
+        if (!(gid > 0)) {
+            this.adapter.sendTo(from, command, {error: `invalid group ${message.id}`}, callback);
+            return;
+        }
+        const rules = {};
+        if (['any', 'all', 'none'].includes(message.state)) rules.state = message.state;
+        if (['average', 'max'].includes(message.brightness)) rules.brightness = message.brightness;
+        await this.stController.localConfig.updateLocalOverride(Groups.generateGroupID(gid), 'group', 'aggregation', rules, false);
+        this.scheduleAggregation(gid);
+        this.adapter.sendTo(from, command, {rules: this.getAggregationRules(gid)}, callback);
     }
 }
 
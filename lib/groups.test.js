@@ -0,0 +1,240 @@
+'use strict';
+
+const {expect} = require('chai');
+const Groups = require('./groups');
+
+const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+
+function createEndpoint(ID, membership) {
+    const endpoint = {
+        ID,
+        added: /** @type {number[]} */ ([]),
+        removed: /** @type {number[]} */ ([]),
+        supportsInputCluster: cluster => cluster === 'genGroups',
+        command: async () => {
+            if (membership instanceof Error) throw membership;
+            return {grouplist: membership};
+        },
+        addToGroup: async group => endpoint.added.push(group.groupID),
+        removeFromGroup: async groupID => endpoint.removed.push(groupID),
+    };
+    return endpoint;
+}
+
+describe('groups', () => {
+    describe('aggregateGroup', () => {
+        let states;
+        let updates;
+
+        function createGroups(config, overrides) {
+            updates = {};
+            const groups = new Groups({
+                on: () => {},
+                log,
+                config,
+                getStateAsync: async id => states[id] === undefined ? null : {val: states[id]},
+            });
+            groups.stController = {
+                localConfig: {getOverrideWithKey: id => overrides[id]},
+                updateState: async (devId, name, value) => updates[name] = value,
+            };
+            groups.memberMap = {a: [1], b: [1], c: [1], d: [2]};
+            return groups;
+        }
+
+        beforeEach(() => {
+            states = {
+                'a.state': true, 'a.brightness': 80,
+                'b.state': false, 'b.brightness': 100,
+                'c.state': true, 'c.brightness': 40,
+                'd.state': false,
+            };
+        });
+
+        it('turns the group on if any member is on and averages the brightness of the members which are on', async () => {
+            await createGroups({}, {}).aggregateGroup(1);
+            expect(updates).to.deep.equal({members_available: 3, state: true, brightness: 60});
+        });
+
+        it('applies the rules of the instance config', async () => {
+            await createGroups({groupStateRule: 'all', groupBrightnessRule: 'max'}, {}).aggregateGroup(1);
+            expect(updates).to.deep.equal({members_available: 3, state: false, brightness: 80});
+        });
+
+        it('prefers the rules of the group to the ones of the instance config', async () => {
+            const groups = createGroups({groupStateRule: 'all'}, {group_1: {state: 'any', brightness: 'max'}});
+            await groups.aggregateGroup(1);
+            expect(updates).to.deep.equal({members_available: 3, state: true, brightness: 80});
+            updates = {};
+            groups.stController.localConfig.getOverrideWithKey = () => ({state: 'none'});
+            await groups.aggregateGroup(1);
+            expect(updates).to.deep.equal({});
+        });
+
+        it('leaves out unavailable members', async () => {
+            states['a.available'] = false;
+            states['c.available'] = false;
+            await createGroups({}, {}).aggregateGroup(1);
+            expect(updates).to.deep.equal({members_available: 1, state: false});
+        });
+    });
+
+    describe('reconcileGroups', () => {
+        let groups;
+        let replies;
+
+        function setup(devices, database) {
+            replies = [];
+            groups = new Groups({
+                on: () => {},
+                log,
+                namespace: 'zigbee.0',
+                sendTo: (from, command, result) => replies.push(result),
+            });
+            groups.syncGroups = async () => {};
+            const dbGroups = Object.keys(database).map(groupID => ({
+                groupID: Number(groupID),
+                hasMember: endpoint => database[groupID].includes(endpoint),
+            }));
+            groups.zbController = {
+                getClientIterator: () => devices.values(),
+                getGroupByID: async groupID => dbGroups.find(group => group.groupID === groupID),
+                herdsman: {getGroupsIterator: () => dbGroups.values()},
+            };
+        }
+
+        it('reports missing and extra memberships of the endpoints', async () => {
+            const lamp = createEndpoint(1, [2, 3]);
+            const plug = createEndpoint(1, [4]);
+            setup([
+                {ieeeAddr: '0x01', powerSource: 'Mains (single phase)', endpoints: [lamp]},
+                {ieeeAddr: '0x02', powerSource: 'Mains (single phase)', endpoints: [plug]},
+            ], {1: [lamp], 2: [lamp], 4: [plug]});
+            await groups.reconcileGroups('admin', 'reconcileGroups', {}, undefined);
+            expect(replies[0].report).to.deep.equal([{device: '0x01', endpoint: 1, missing: [1], extra: [3]}]);
+            expect(lamp.added).to.deep.equal([]);
+        });
+
+        it('reports an endpoint which did not answer only if it should be member of a group', async () => {
+            const lamp = createEndpoint(1, new Error('timeout'));
+            const plug = createEndpoint(1, new Error('timeout'));
+            setup([
+                {ieeeAddr: '0x01', powerSource: 'Mains (single phase)', endpoints: [lamp]},
+                {ieeeAddr: '0x02', powerSource: 'Mains (single phase)', endpoints: [plug]},
+            ], {1: [lamp]});
+            await groups.reconcileGroups('admin', 'reconcileGroups', {}, undefined);
+            expect(replies[0].report).to.deep.equal([{device: '0x01', endpoint: 1, missing: [], extra: [], error: 'getMembership failed: timeout'}]);
+        });
+
+        it('skips battery devices unless they are selected', async () => {
+            const sensor = createEndpoint(1, []);
+            setup([{ieeeAddr: '0x03', powerSource: 'Battery', endpoints: [sensor]}], {5: [sensor]});
+            await groups.reconcileGroups('admin', 'reconcileGroups', {}, undefined);
+            await groups.reconcileGroups('admin', 'reconcileGroups', {devices: ['zigbee.0.03']}, undefined);
+            expect(replies.map(reply => reply.report)).to.deep.equal([[], [{device: '0x03', endpoint: 1, missing: [5], extra: []}]]);
+        });
+
+        it('adds missing and removes extra memberships on repair', async () => {
+            const lamp = createEndpoint(1, [2, 3]);
+            setup([{ieeeAddr: '0x01', powerSource: 'Mains (single phase)', endpoints: [lamp]}], {1: [lamp], 2: [lamp]});
+            await groups.reconcileGroups('admin', 'reconcileGroups', {repair: 'missing'}, undefined);
+            expect(replies[0].report[0]).to.deep.include({repaired: [1], failed: []});
+            expect(lamp.removed).to.deep.equal([]);
+            await groups.reconcileGroups('admin', 'reconcileGroups', {repair: 'all'}, undefined);
+            expect(replies[1].report[0]).to.deep.include({repaired: [1, -3], failed: []});
+            expect(lamp.added).to.deep.equal([1, 1]);
+            expect(lamp.removed).to.deep.equal([3]);
+        });
+    });
+
+    describe('scenes', () => {
+        let groups;
+        let states;
+        let names;
+        let replies;
+
+        function createSceneEndpoint(ieeeAddr, ID, scenes, membership) {
+            return {
+                ID,
+                meta: {scenes},
+                getDevice: () => ({ieeeAddr}),
+                supportsInputCluster: cluster => cluster === 'genScenes',
+                command: async () => {
+                    if (membership instanceof Error) throw membership;
+                    return {scenelist: membership};
+                },
+            };
+        }
+
+        beforeEach(() => {
+            states = {'0001.state': true, '0001.brightness': 50, '0002.state': false, '0002.colortemp': ''};
+            names = {};
+            replies = [];
+            const lamp = createSceneEndpoint('0x0001', 1, {'1_3': {}, '2_3': {}, '1_0': {}}, [1, 2]);
+            const plug = createSceneEndpoint('0x0002', 1, {'1_3': {}}, new Error('timeout'));
+            const group = {groupID: 3, members: [lamp, plug]};
+            groups = new Groups({
+                on: () => {},
+                log,
+                namespace: 'zigbee.0',
+                getStateAsync: async id => states[id] === undefined ? null : {val: states[id]},
+                sendTo: (from, command, result) => replies.push(result),
+            });
+            groups.stController = {localConfig: {
+                getOverrideWithKey: localId => names[localId],
+                updateLocalOverride: async (localId, key, attr, value) => names[localId] = value,
+            }};
+            groups.zbController = {
+                getGroupByID: async groupID => groupID === group.groupID ? group : undefined,
+                resolveEntity: async id => id === '0x0001' ? {device: {ieeeAddr: '0x0001', endpoints: [lamp]}, mapped: {model: 'LED1545G12'}} : undefined,
+            };
+        });
+
+        it('resolves a group with the scene states of its members', async () => {
+            const target = await groups.getSceneTarget('zigbee.0.group_3', true);
+            expect(target).to.include({groupid: 3, localId: 'group_3'});
+            expect(target.endpoints).to.have.length(2);
+            expect(target.meta.membersState).to.deep.equal({'0x0001': {state: 'ON', brightness: 127}, '0x0002': {state: 'OFF'}});
+            expect(await groups.getSceneTarget('zigbee.0.group_4', true)).to.be.undefined;
+        });
+
+        it('resolves a device by its endpoint with a scenes cluster and scene group 0', async () => {
+            const target = await groups.getSceneTarget('zigbee.0.0001', true);
+            expect(target).to.include({groupid: 0, localId: '0001'});
+            expect(target.meta).to.deep.include({state: {state: 'ON', brightness: 127}, mapped: {model: 'LED1545G12'}});
+            expect(await groups.getSceneTarget('zigbee.0.0002', false)).to.be.undefined;
+        });
+
+        it('lists the stored scenes of the endpoints or the ones they report and adds the names', async () => {
+            names.group_3 = {2: 'evening', 7: 'night'};
+            const target = await groups.getSceneTarget('group_3', false);
+            expect(await groups.listScenes(target, false)).to.deep.equal([
+                {id: 1, name: undefined, members: 2},
+                {id: 2, name: 'evening', members: 1},
+                {id: 7, name: 'night', members: 0},
+            ]);
+            expect(await groups.listScenes(target, true)).to.deep.equal([
+                {id: 1, name: undefined, members: 1},
+                {id: 2, name: 'evening', members: 1},
+                {id: 7, name: 'night', members: 0},
+            ]);
+        });
+
+        it('renames a scene and replies the scenes', async () => {
+            await groups.handleSceneMessage('admin', 'renameScene', {id: 'group_3', sceneId: '1', name: 'morning'}, undefined);
+            expect(names.group_3).to.deep.equal({1: 'morning'});
+            expect(replies[0].scenes[0]).to.deep.equal({id: 1, name: 'morning', members: 2});
+            await groups.handleSceneMessage('admin', 'renameScene', {id: 'group_3', sceneId: 1, name: ''}, undefined);
+            expect(names.group_3).to.deep.equal({});
+        });
+
+        it('replies an error for an unknown target or an invalid scene id', async () => {
+            await groups.handleSceneMessage('admin', 'recallScene', {id: 'group_4', sceneId: 1}, undefined);
+            await groups.handleSceneMessage('admin', 'storeScene', {id: 'group_3', sceneId: 256}, undefined);
+            expect(replies).to.deep.equal([
+                {error: 'recallScene failed: group_4 is neither a group nor a device with a scenes cluster'},
+                {error: 'storeScene failed: invalid scene id 256'},
+            ]);
+        });
+    });
+});
@@ -76,14 +76,16 @@ class localConfig extends EventEmitter {
     async updateLocalOverride(_target, model, key, data, global)
     {
         const target = (global ? model : _target);
-        this.info(`updating local data: (${global ? 'global':'local'}) : ${target}:${key}:${data}`);
+        this.info(`updating local data: (${global ? 'global':'local'}) : ${target}:${key}:${typeof data === 'object' ? JSON.stringify(data) : data}`);
 
         if (typeof target != 'string' || typeof key != 'string') {
             this.error(`update called with illegal id data:${JSON.stringify(target)}:${JSON.stringify(key)}:${JSON.stringify(data)}`)
             return false;
         }
         const base = global ? this.localData.by_model[target] || {} : this.localData.by_id[target] || {};
-        if (data && data.length > 0 && data != 'none') {
+        // objects (e.g. availability policies) are stored as they are, empty objects remove the key
+        const hasData = (data && typeof data === 'object' ? Object.keys(data).length > 0 : data && data.length > 0 && data != 'none');
+        if (hasData) {
             if (key == 'icon')
                 base[key] = data.replace(this.basefolder, '.');
             else
@@ -219,6 +221,20 @@ class localConfig extends EventEmitter {
         return undefined;
     }
 
+    // the state overrides of a device: the entries of the model, updated by the entries of the device
+    getStateOverrides(id, model) {
+        const result = {};
+        const sources = [model ? this.getOverrideWithKey(model, 'states', true) : undefined, this.getOverrideWithKey(id, 'states', false)];
+        for (const source of sources) {
+            if (source && typeof source === 'object') {
+                for (const stateId in source) {
+                    result[stateId] = Object.assign({}, result[stateId], source[stateId]);
+                }
+            }
+        }
+        return result;
+    }
+
     async updateFromDeviceNames() {
         this.warn('updateFromDeviceNames');
         const fn = this.adapter.expandFileName('dev_names').replace('.', '_').concat('.json');
@@ -0,0 +1,150 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+
+/**
+ * Mapping templates describe the states of models in JSON or YAML files (.json, .yaml, .yml) in the folder 'mappings'
+ * of the instance data dir (e.g. iobroker-data/zigbee_0/mappings). The states are merged by id with the states of the
+ * exposes of the models, models without exposes get the template states only.
+ * A file holds one template or an array of templates:
+ * {
+ *   "models": ["model", ...],
+ *   "icon": "img/... or http..." (optional),
+ *   "states": [{
+ *     "id": "state id",
+ *     "name": "state name" (optional, the id),
+ *     "path": "path in the payload, e.g. 'schedule.monday'" (optional, the id),
+ *     "type": "number" | "boolean" | "string" | "object" (optional, "number"),
+ *     "role": "ioBroker role" (optional, "state"),
+ *     "unit", "min", "max", "states" (optional, as in the common of the state),
+ *     "write": bool (optional, false),
+ *     "getter": "expression with value and payload, e.g. 'value / 10'" (optional),
+ *     "setter": "expression with value, e.g. 'value * 10'" (optional),
+ *     "key": "key of the toZigbee converter for writes" (optional, the first part of the path),
+ *     "endpoint": "endpoint name for writes" (optional)
+ *   }]
+ * }
+ */
+
+const stateTypes = ['number', 'boolean', 'string', 'object'];
+const templateFiles = /\.(json|ya?ml)$/;
+// an expression has to return within this time (ms)
+const expressionTimeout = 50;
+
+function compileExpression(expression, name) {
+    const script = new vm.Script(`(${expression})`, {filename: name});
+    const context = vm.createContext({Math, JSON, Number, String, Boolean});
+    return (value, payload) => {
+        context.value = value;
+        context.payload = payload;
+        return script.runInContext(context, {timeout: expressionTimeout});
+    };
+}
+
+function getPath(payload, keys) {
+    let value = payload;
+    for (const key of keys) {
+        if (typeof value !== 'object' || value === null || !value.hasOwnProperty(key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Builds the state description of a template state, throws on an invalid state.
+ */
+function templateToState(template, name) {
+    if (typeof template !== 'object' || template === null || typeof template.id !== 'string' || !/^[a-zA-Z0-9_-]+(\.[a-zA-Z0-9_-]+)*$/.test(template.id)) {
+        throw new Error(`state without a valid id in ${name}`);
+    }
+    const type = template.type || 'number';
+    if (!stateTypes.includes(type)) {
+        throw new Error(`state ${template.id} in ${name} has the unknown type ${type}`);
+    }
+    const keys = (typeof template.path === 'string' && template.path.length ? template.path : template.id).split('.');
+    const state = {
+        id: template.id,
+        prop: keys[0],
+        name: template.name || template.id,
+        icon: undefined,
+        role: template.role || 'state',
+        write: template.write === true,
+        read: true,
+        type,
+        unit: template.unit,
+        min: template.min,
+        max: template.max,
+        states: template.states,
+    };
+    const getter = (template.getter ? compileExpression(template.getter, `${name}:${template.id}.getter`) : undefined);
+    state.getter = payload => {
+        const value = getPath(payload, keys);
+        if (!getter || value === undefined) {
+            return value;
+        }
+        try {
+            return getter(value, payload);
+        } catch (error) {
+            // a failing expression does not stop the other states of the payload
+            return undefined;
+        }
+    };
+    if (state.write) {
+        const setter = (template.setter ? compileExpression(template.setter, `${name}:${template.id}.setter`) : undefined);
+        state.setter = value => setter ? setter(value) : value;
+        state.setattr = template.key || keys[0];
+    }
+    if (template.endpoint) {
+        state.epname = template.endpoint;
+    }
+    return state;
+}
+
+/**
+ * Loads the templates of the instance, invalid templates are logged and skipped.
+ * result: [{models, icon, states, template: file name}]
+ */
+function loadMappingTemplates(folder, logger) {
+    const result = [];
+    if (!fs.existsSync(folder)) {
+        return result;
+    }
+    for (const file of fs.readdirSync(folder).filter(file => templateFiles.test(file)).sort()) {
+        try {
+            const text = fs.readFileSync(path.join(folder, file), 'utf8');
+            const content = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text, {filename: file});
+            if (typeof content !== 'object' || content === null) {
+                throw new Error(`${file} holds no template`);
+            }
+            const templates = Array.isArray(content) ? content : [content];
+            const loaded = [];
+            for (const [index, template] of templates.entries()) {
+                const name = templates.length > 1 ? `${file}[${index}]` : file;
+                if (!Array.isArray(template.models) || !template.models.length || !Array.isArray(template.states)) {
+                    throw new Error(`${name} needs the lists models and states`);
+                }
+                loaded.push({
+                    models: template.models.map(model => `${model}`),
+                    icon: template.icon,
+                    states: template.states.map(state => templateToState(state, name)),
+                    template: name,
+                });
+            }
+            result.push(...loaded);
+            logger.info(`Loaded mapping template ${file}`);
+        } catch (/** @type {any} */ error) {
+            logger.warn(`Mapping template ${file} not loaded: ${error && error.message ? error.message : 'no error message'}`);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    loadMappingTemplates,
+    templateToState,
+};
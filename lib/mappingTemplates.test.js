@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+const {templateToState, loadMappingTemplates} = require('./mappingTemplates');
+const statesMapping = require('./devices');
+
+describe('mappingTemplates', () => {
+    describe('templateToState', () => {
+        it('uses the defaults of a state', () => {
+            const state = templateToState({id: 'power'}, 'test.json');
+            expect(state).to.include({id: 'power', prop: 'power', name: 'power', role: 'state', type: 'number', write: false, read: true});
+            expect(state.setter).to.be.undefined;
+            expect(state.getter({power: 5})).to.equal(5);
+        });
+
+        it('reads the value from the path and applies the getter', () => {
+            const state = templateToState({id: 'temp', path: 'sensor.temperature', getter: 'value / 10'}, 'test.json');
+            expect(state.prop).to.equal('sensor');
+            expect(state.getter({sensor: {temperature: 215}})).to.equal(21.5);
+            expect(state.getter({sensor: {}})).to.be.undefined;
+            expect(state.getter({})).to.be.undefined;
+        });
+
+        it('returns undefined for a failing getter', () => {
+            const state = templateToState({id: 'temp', getter: 'value.missing.key'}, 'test.json');
+            expect(state.getter({temp: 1})).to.be.undefined;
+        });
+
+        it('stops an endless getter', () => {
+            const state = templateToState({id: 'temp', getter: '(() => { while (true) {} })()'}, 'test.json');
+            expect(state.getter({temp: 1})).to.be.undefined;
+        });
+
+        it('builds the setter of a writable state', () => {
+            const state = templateToState({id: 'level', type: 'number', write: true, setter: 'value * 10', key: 'brightness', endpoint: 'l2'}, 'test.json');
+            expect(state.setter(5)).to.equal(50);
+            expect(state).to.include({setattr: 'brightness', epname: 'l2'});
+            expect(templateToState({id: 'mode', path: 'config.mode', type: 'string', write: true}, 'test.json').setattr).to.equal('config');
+        });
+
+        it('throws on invalid states', () => {
+            expect(() => templateToState({id: '../temp'}, 'test.json')).to.throw('state without a valid id in test.json');
+            expect(() => templateToState(null, 'test.json')).to.throw('state without a valid id in test.json');
+            expect(() => templateToState({id: 'temp', type: 'date'}, 'test.json')).to.throw('state temp in test.json has the unknown type date');
+            expect(() => templateToState({id: 'temp', getter: 'value +'}, 'test.json')).to.throw(SyntaxError);
+        });
+    });
+
+    describe('loadMappingTemplates', () => {
+        let folder;
+        const logger = {info: () => {}, warn: () => {}};
+
+        beforeEach(() => {
+            folder = fs.mkdtempSync(path.join(os.tmpdir(), 'mappings-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(folder, {recursive: true, force: true});
+        });
+
+        it('loads JSON and YAML templates and skips invalid files', () => {
+            fs.writeFileSync(path.join(folder, 'a.json'), JSON.stringify({models: ['A'], states: [{id: 'power'}]}));
+            fs.writeFileSync(path.join(folder, 'b.yaml'), 'models: [B]\nstates:\n  - id: temp\n    getter: value / 10\n');
+            fs.writeFileSync(path.join(folder, 'c.yml'), 'models: [C]\n');
+            fs.writeFileSync(path.join(folder, 'd.txt'), 'ignored');
+            const templates = loadMappingTemplates(folder, logger);
+            expect(templates.map(template => template.template)).to.deep.equal(['a.json', 'b.yaml']);
+            expect(templates[1].states[0].getter({temp: 215})).to.equal(21.5);
+        });
+
+        it('returns no templates without the folder', () => {
+            expect(loadMappingTemplates(path.join(folder, 'missing'), logger)).to.deep.equal([]);
+        });
+    });
+
+    describe('fillStatesWithExposes', () => {
+        it('merges the template states with the states of the exposes', async () => {
+            const template = {
+                models: ['LED1545G12'],
+                states: [templateToState({id: 'brightness', getter: 'value * 2'}, 'test.json'), templateToState({id: 'extra'}, 'test.json')],
+                template: 'test.json',
+            };
+            statesMapping.fillStatesWithExposes(console, [template]);
+            const device = {ieeeAddr: '0x00124b0000000001', modelID: 'TRADFRI bulb E27 WS opal 980lm', manufacturerName: 'IKEA of Sweden', endpoints: [], type: 'Router'};
+            await statesMapping.addExposeToDevices(device, console, 'LED1545G12', {});
+            const mapped = statesMapping.findModel('LED1545G12');
+            const ids = mapped.states.map(state => state.id);
+            expect(mapped).to.include({exposed: true, template: 'test.json'});
+            expect(ids).to.include.members(['state', 'colortemp', 'brightness', 'extra']);
+            expect(ids.filter(id => id === 'brightness')).to.have.length(1);
+            expect(mapped.states.find(state => state.id === 'brightness').getter({brightness: 3})).to.equal(6);
+        });
+    });
+});
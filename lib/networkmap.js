@@ -1,17 +1,37 @@
 'use strict';
 
+const fs = require('fs');
+const pathLib = require('path');
+
+const historyFolder = 'networkmap';
+const maxSnapshots = 100;
+const stateChannel = 'network';
+
 class NetworkMap {
     constructor(adapter) {
         this.adapter = adapter;
         this.adapter.on('message', this.onMessage.bind(this));
+        this.collectTimer = null;
+        this.collecting = false;
+        this.alerts = {};
+    }
+
+    configure(zigbeeOptions) {
+        this.historyDir = pathLib.join(zigbeeOptions.dbDir, historyFolder);
+        this.adapter.stController.registerAuxiliaryChannel(stateChannel);
     }
 
     start(zbController, stController) {
         this.zbController = zbController;
         this.stController = stController;
+        this.scheduleCollection();
     }
 
     stop() {
+        if (this.collectTimer) {
+            clearTimeout(this.collectTimer);
+            this.collectTimer = null;
+        }
         delete this.zbController;
         delete this.stController;
     }
@@ -20,6 +40,10 @@ class NetworkMap {
         this.adapter.log.info(msg);
     }
 
+    warn(msg) {
+        this.adapter.log.warn(msg);
+    }
+
     error(msg) {
         this.adapter.log.error(msg);
     }
@@ -39,18 +63,279 @@ class NetworkMap {
                         this.getMap(obj.from, obj.command, obj.callback);
                     }
                     break;
+                case 'getMapHistory':
+                    if (obj && obj.message && typeof obj.message === 'object') {
+                        this.getMapHistory(obj.from, obj.command, obj.message, obj.callback);
+                    }
+                    break;
             }
         }
     }
 
     getMap(from, command, callback) {
         if (this.zbController) {
-            this.zbController.getMap(networkmap => {
+            this.zbController.getMap(async networkmap => {
                 this.adapter.log.debug(`getMap result: ${JSON.stringify(networkmap)}`);
+                this.storeSnapshot(networkmap);
                 this.adapter.sendTo(from, command, networkmap, callback);
+                await this.evaluateMapSafe(networkmap);
             });
         }
     }
+
+    scheduleCollection() {
+        const interval = Number(this.adapter.config.mapCollectInterval);
+        if (!interval || interval <= 0) {
+            return;
+        }
+        if (this.collectTimer) {
+            clearTimeout(this.collectTimer);
+        }
+        this.collectTimer = setTimeout(async () => {
+            this.collectTimer = null;
+            try {
+                await this.collectMap();
+            } catch (/** @type {any} */ error) {
+                this.error(`Scheduled map collection failed: ${error && error.message ? error.message : 'no error message'}`);
+            } finally {
+                if (this.zbController) {
+                    this.scheduleCollection();
+                }
+            }
+        }, interval * 60 * 1000);
+    }
+
+    // automatic map collection: the routers are queried one after the other
+    async collectMap() {
+        if (!this.zbController || this.collecting) {
+            return;
+        }
+        this.collecting = true;
+        const delay = Number(this.adapter.config.mapCollectDelay);
+        try {
+            let collected = undefined;
+            await this.zbController.getMap(networkmap => {
+                collected = networkmap;
+            }, {delay: (isNaN(delay) ? 2 : delay) * 1000});
+            if (collected) {
+                this.storeSnapshot(collected);
+                await this.evaluateMap(collected);
+            }
+        } catch (/** @type {any} */ error) {
+            this.error(`Scheduled map collection failed: ${error && error.message ? error.message : 'no error message'}`);
+        } finally {
+            this.collecting = false;
+        }
+    }
+
+    async evaluateMapSafe(networkmap) {
+        try {
+            await this.evaluateMap(networkmap);
+        } catch (/** @type {any} */ error) {
+            this.error(`Cannot evaluate network map: ${error && error.message ? error.message : 'no error message'}`);
+        }
+    }
+
+    /**
+     * Publishes the per router states and the network alerts for a collected map.
+     */
+    async evaluateMap(networkmap) {
+        if (!this.zbController || !networkmap || !networkmap.lqis) {
+            return;
+        }
+        const threshold = Number(this.adapter.config.mapLqiThreshold) || 0;
+        const routers = this.zbController.getClientIterator(false);
+        const seenAsNeighbor = new Set(networkmap.lqis.filter(lqi => lqi.parent !== 'undefined').map(lqi => lqi.ieeeAddr));
+        const alerts = [];
+        for (const device of routers) {
+            if (device.type !== 'Router') {
+                continue;
+            }
+            const ieeeAddr = device.ieeeAddr;
+            const devId = ieeeAddr.substr(2);
+            const failed = networkmap.lqis.some(lqi => lqi.parent === 'undefined' && lqi.ieeeAddr === ieeeAddr);
+            const neighbors = networkmap.lqis.filter(lqi => lqi.parent === ieeeAddr);
+            const lqiValues = neighbors.map(lqi => lqi.lqi).filter(lqi => typeof lqi === 'number');
+            const avgLqi = lqiValues.length ? Math.round(lqiValues.reduce((sum, lqi) => sum + lqi, 0) / lqiValues.length) : 0;
+
+            await this.stController.updateState(devId, `${stateChannel}.neighbor_count`, neighbors.length,
+                {name: 'Neighbor count', type: 'number', read: true, write: false, role: 'value'});
+            await this.stController.updateState(devId, `${stateChannel}.avg_neighbor_lqi`, avgLqi,
+                {name: 'Average neighbor link quality', type: 'number', read: true, write: false, role: 'value', min: 0, max: 255});
+            await this.stController.updateState(devId, `${stateChannel}.last_map_ok`, !failed,
+                {name: 'Last map collection successful', type: 'boolean', read: true, write: false, role: 'indicator'});
+
+            let reason = undefined;
+            if (!seenAsNeighbor.has(ieeeAddr)) {
+                reason = 'missing';
+            } else if (!failed && threshold > 0 && lqiValues.length && avgLqi < threshold) {
+                reason = 'low_lqi';
+            }
+            if (reason) {
+                alerts.push({ieeeAddr, model: device.modelID, reason, avgLqi, neighbors: neighbors.length});
+                if (this.alerts[ieeeAddr] !== reason) {
+                    this.warn(`Network alert for ${ieeeAddr} (${device.modelID}): ${reason === 'missing' ? 'not found in any neighbor table' : `average neighbor LQI ${avgLqi} below ${threshold}`}`);
+                }
+            }
+        }
+        this.alerts = {};
+        for (const alert of alerts) {
+            this.alerts[alert.ieeeAddr] = alert.reason;
+        }
+        await this.adapter.setStateAsync('info.networkAlerts', JSON.stringify({ts: Date.now(), alerts}), true);
+    }
+
+    storeSnapshot(networkmap) {
+        if (!this.historyDir || !networkmap) {
+            return;
+        }
+        const snapshot = {
+            timestamp: Date.now(),
+            lqis: networkmap.lqis || [],
+            routing: networkmap.routing || [],
+            errors: networkmap.errors || [],
+        };
+        // the name is only unique, the order of the snapshots is given by the stored timestamp
+        let name = `map_${snapshot.timestamp}.json`;
+        try {
+            if (!fs.existsSync(this.historyDir)) {
+                fs.mkdirSync(this.historyDir);
+            }
+            for (let index = 1; fs.existsSync(pathLib.join(this.historyDir, name)); index++) {
+                name = `map_${snapshot.timestamp}_${index}.json`;
+            }
+            fs.writeFileSync(pathLib.join(this.historyDir, name), JSON.stringify(snapshot), {flag: 'wx'});
+            this.debug(`Stored network map snapshot ${name}`);
+        } catch (/** @type {any} */ error) {
+            this.error(`Cannot store network map snapshot ${name}: ${error && error.message ? error.message : 'no error message'}`);
+            return;
+        }
+        const snapshots = this.readSnapshots();
+        for (let i = 0; i < snapshots.length - maxSnapshots; i++) {
+            try {
+                fs.unlinkSync(pathLib.join(this.historyDir, snapshots[i].file));
+            } catch (/** @type {any} */ error) {
+                this.error(`Cannot delete network map snapshot ${snapshots[i].file}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+    }
+
+    // snapshots with their file names, oldest first
+    readSnapshots() {
+        const snapshots = [];
+        if (!this.historyDir || !fs.existsSync(this.historyDir)) {
+            return snapshots;
+        }
+        for (const file of fs.readdirSync(this.historyDir).filter(filename => filename.match(/^map_.+\.json$/i))) {
+            try {
+                const snapshot = JSON.parse(fs.readFileSync(pathLib.join(this.historyDir, file), {encoding: 'utf8'}));
+                if (typeof snapshot.timestamp !== 'number' || !Array.isArray(snapshot.lqis)) {
+                    throw new Error('no map snapshot');
+                }
+                snapshots.push({file, snapshot});
+            } catch (/** @type {any} */ error) {
+                this.error(`Cannot read network map snapshot ${file}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+        return snapshots.sort((a, b) => a.snapshot.timestamp - b.snapshot.timestamp);
+    }
+
+    loadSnapshots(since, until, limit) {
+        const snapshots = this.readSnapshots()
+            .map(entry => entry.snapshot)
+            .filter(snapshot => !(since && snapshot.timestamp < since) && !(until && snapshot.timestamp > until));
+        return (limit > 0 ? snapshots.slice(-limit) : snapshots);
+    }
+
+    /**
+     * Evaluates the stored map snapshots.
+     * message: {since: timestamp, until: timestamp, limit: max. number of snapshots}
+     * result: {snapshots: [timestamps], links: per link lqi trend, changes: appeared / disappeared links,
+     * routerDrops: routers with dropping neighbor count, notAnswering: routers which did not answer the lqi request}
+     */
+    getMapHistory(from, command, message, callback) {
+        /** @type {ReturnType<typeof evaluateSnapshots> & {error?: string}} */
+        let result;
+        try {
+            result = evaluateSnapshots(this.loadSnapshots(message.since, message.until, message.limit));
+            this.debug(`getMapHistory evaluated ${result.snapshots.length} snapshots`);
+        } catch (/** @type {any} */ error) {
+            this.error(`getMapHistory failed: ${error && error.message ? error.message : 'no error message'}`);
+            result = {snapshots: [], links: [], changes: [], routerDrops: [], notAnswering: []};
+            result.error = `getMapHistory failed: ${error && error.message ? error.message : 'no error message'}`;
+        }
+        this.adapter.sendTo(from, command, result, callback);
+    }
 }
 
-module.exports = NetworkMap;
\ No newline at end of file
+/**
+ * Builds the link trends and the changes between the snapshots, oldest first.
+ * A router which did not answer its lqi request is left out of the comparison, its links are
+ * compared with the last snapshot it answered in.
+ */
+function evaluateSnapshots(snapshots) {
+    /** @type {{snapshots: number[], links: any[], changes: any[], routerDrops: any[], notAnswering: any[]}} */
+    const result = {snapshots: [], links: [], changes: [], routerDrops: [], notAnswering: []};
+    const links = {};
+    // link keys and neighbor count per router of the last snapshot the router answered in
+    const known = {};
+    const notAnswered = new Set();
+    for (const snapshot of snapshots) {
+        result.snapshots.push(snapshot.timestamp);
+        const failed = new Set();
+        const current = {};
+        for (const lqi of snapshot.lqis) {
+            if (!lqi.parent || lqi.parent === 'undefined') {
+                failed.add(lqi.ieeeAddr);
+                continue;
+            }
+            const key = `${lqi.parent}-${lqi.ieeeAddr}`;
+            if (!current[lqi.parent]) {
+                current[lqi.parent] = new Set();
+            }
+            current[lqi.parent].add(key);
+            if (!links[key]) {
+                links[key] = {source: lqi.parent, target: lqi.ieeeAddr, trend: []};
+            }
+            links[key].trend.push({ts: snapshot.timestamp, lqi: lqi.lqi, status: lqi.status});
+        }
+        for (const router of failed) {
+            result.notAnswering.push({ieeeAddr: router, ts: snapshot.timestamp});
+        }
+        /** @type {string[]} */
+        const appeared = [];
+        /** @type {string[]} */
+        const disappeared = [];
+        // a router without an entry answered without neighbors
+        for (const router of new Set([...Object.keys(known), ...Object.keys(current)])) {
+            if (failed.has(router)) {
+                continue;
+            }
+            const keys = current[router] || new Set();
+            // the links of a new router appear, unless it did not answer before
+            const previous = known[router] || (result.snapshots.length > 1 && !notAnswered.has(router) ? new Set() : undefined);
+            if (previous) {
+                appeared.push(...[...keys].filter(key => !previous.has(key)));
+                disappeared.push(...[...previous].filter(key => !keys.has(key)));
+                if (keys.size < previous.size) {
+                    result.routerDrops.push({ieeeAddr: router, ts: snapshot.timestamp, from: previous.size, to: keys.size});
+                }
+            }
+            known[router] = keys;
+        }
+        failed.forEach(router => notAnswered.add(router));
+        if (appeared.length || disappeared.length) {
+            result.changes.push({
+                ts: snapshot.timestamp,
+                appeared: appeared.map(key => ({source: links[key].source, target: links[key].target})),
+                disappeared: disappeared.map(key => ({source: links[key].source, target: links[key].target})),
+            });
+        }
+    }
+    result.links = Object.values(links);
+    return result;
+}
+
+NetworkMap.evaluateSnapshots = evaluateSnapshots;
+
+module.exports = NetworkMap;
@@ -0,0 +1,119 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+const NetworkMap = require('./networkmap');
+
+const coordinator = '0x00124b0000000001';
+const router1 = '0x00124b0000000002';
+const router2 = '0x00124b0000000003';
+const device1 = '0x00124b0000000004';
+const device2 = '0x00124b0000000005';
+
+function link(parent, ieeeAddr, lqi) {
+    return {parent, ieeeAddr, lqi, status: 'online'};
+}
+
+function notAnswering(ieeeAddr) {
+    return {parent: 'undefined', ieeeAddr, lqi: 'undefined', status: 'offline'};
+}
+
+describe('networkmap', () => {
+    describe('evaluateSnapshots', () => {
+        it('builds the lqi trend per link', () => {
+            const result = NetworkMap.evaluateSnapshots([
+                {timestamp: 1, lqis: [link(coordinator, router1, 200), link(router1, device1, 90)]},
+                {timestamp: 2, lqis: [link(coordinator, router1, 180), link(router1, device1, 80)]},
+            ]);
+            expect(result.snapshots).to.deep.equal([1, 2]);
+            expect(result.links).to.deep.equal([
+                {source: coordinator, target: router1, trend: [{ts: 1, lqi: 200, status: 'online'}, {ts: 2, lqi: 180, status: 'online'}]},
+                {source: router1, target: device1, trend: [{ts: 1, lqi: 90, status: 'online'}, {ts: 2, lqi: 80, status: 'online'}]},
+            ]);
+            expect(result.changes).to.deep.equal([]);
+            expect(result.routerDrops).to.deep.equal([]);
+        });
+
+        it('reports appeared and disappeared links and neighbor count drops', () => {
+            const result = NetworkMap.evaluateSnapshots([
+                {timestamp: 1, lqis: [link(coordinator, router1, 200), link(router1, device1, 90), link(router1, device2, 70)]},
+                {timestamp: 2, lqis: [link(coordinator, router1, 200), link(router1, device1, 90), link(router2, device2, 60)]},
+                {timestamp: 3, lqis: [link(coordinator, router1, 200)]},
+            ]);
+            expect(result.changes).to.deep.equal([
+                {ts: 2, appeared: [{source: router2, target: device2}], disappeared: [{source: router1, target: device2}]},
+                {ts: 3, appeared: [], disappeared: [{source: router1, target: device1}, {source: router2, target: device2}]},
+            ]);
+            expect(result.routerDrops).to.deep.equal([
+                {ieeeAddr: router1, ts: 2, from: 2, to: 1},
+                {ieeeAddr: router1, ts: 3, from: 1, to: 0},
+                {ieeeAddr: router2, ts: 3, from: 1, to: 0},
+            ]);
+        });
+
+        it('leaves routers which did not answer out of the comparison', () => {
+            const result = NetworkMap.evaluateSnapshots([
+                {timestamp: 1, lqis: [link(coordinator, router1, 200), link(router1, device1, 90), link(router1, device2, 70)]},
+                {timestamp: 2, lqis: [link(coordinator, router1, 200), notAnswering(router1)]},
+                {timestamp: 3, lqis: [link(coordinator, router1, 200), link(router1, device1, 90)]},
+            ]);
+            expect(result.notAnswering).to.deep.equal([{ieeeAddr: router1, ts: 2}]);
+            // the links of the second snapshot are compared with the first one
+            expect(result.changes).to.deep.equal([
+                {ts: 3, appeared: [], disappeared: [{source: router1, target: device2}]},
+            ]);
+            expect(result.routerDrops).to.deep.equal([{ieeeAddr: router1, ts: 3, from: 2, to: 1}]);
+        });
+
+        it('does not report the links of a router as appeared after it did not answer', () => {
+            const result = NetworkMap.evaluateSnapshots([
+                {timestamp: 1, lqis: [link(coordinator, router1, 200), notAnswering(router2)]},
+                {timestamp: 2, lqis: [link(coordinator, router1, 200), link(router2, device1, 90)]},
+                {timestamp: 3, lqis: [link(coordinator, router1, 200), link(router2, device1, 90), link(router1, device2, 50)]},
+            ]);
+            expect(result.changes).to.deep.equal([
+                {ts: 3, appeared: [{source: router1, target: device2}], disappeared: []},
+            ]);
+        });
+    });
+
+    describe('snapshots', () => {
+        let networkMap;
+        const replies = [];
+
+        beforeEach(() => {
+            replies.length = 0;
+            networkMap = new NetworkMap({
+                on: () => {},
+                log: {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}},
+                sendTo: (from, command, result) => replies.push(result),
+            });
+            networkMap.historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'networkmap-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(networkMap.historyDir, {recursive: true, force: true});
+        });
+
+        it('keeps snapshots stored at the same time', () => {
+            networkMap.storeSnapshot({lqis: [link(coordinator, router1, 200)]});
+            networkMap.storeSnapshot({lqis: [link(coordinator, router1, 100)]});
+            networkMap.storeSnapshot({lqis: [link(coordinator, router1, 50)]});
+            expect(fs.readdirSync(networkMap.historyDir)).to.have.length(3);
+        });
+
+        it('sorts the snapshots by their timestamp', () => {
+            // a snapshot named in local time before a daylight saving time change
+            fs.writeFileSync(path.join(networkMap.historyDir, 'map_2025_10_26-02_30_00.json'), JSON.stringify({timestamp: 2000, lqis: [link(coordinator, router1, 100)]}));
+            fs.writeFileSync(path.join(networkMap.historyDir, 'map_2025_10_26-02_45_00.json'), JSON.stringify({timestamp: 1000, lqis: [link(coordinator, router1, 200)]}));
+            fs.writeFileSync(path.join(networkMap.historyDir, 'map_broken.json'), '{');
+            networkMap.getMapHistory('admin', 'getMapHistory', {}, undefined);
+            expect(replies[0].snapshots).to.deep.equal([1000, 2000]);
+            expect(replies[0].links[0].trend.map(entry => entry.lqi)).to.deep.equal([200, 100]);
+            expect(networkMap.loadSnapshots(1500, undefined, 0).map(snapshot => snapshot.timestamp)).to.deep.equal([2000]);
+            expect(networkMap.loadSnapshots(undefined, undefined, 1).map(snapshot => snapshot.timestamp)).to.deep.equal([2000]);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const getNvBackupNetwork = require('./utils').getNvBackupNetwork;
+
+const defaultPanID = 0x1a62;
+const defaultExtPanID = 'dddddddddddddddd';
+const defaultChannel = 11;
+const defaultNetworkKey = '01030507090b0d0f00020406080a0c0d';
+
+// compares the network parameters in the instance config with the ones held by the
+// coordinator and the ones in nvbackup.json and adopts one of them into the config
+class NetworkMigration {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.adapter.on('message', this.onMessage.bind(this));
+    }
+
+    configure(zigbeeOptions) {
+        this.zigbeeOptions = zigbeeOptions;
+    }
+
+    start(zbController, stController) {
+        this.zbController = zbController;
+        this.stController = stController;
+    }
+
+    stop() {
+        delete this.zbController;
+        delete this.stController;
+    }
+
+    info(msg) {
+        this.adapter.log.info(msg);
+    }
+
+    warn(msg) {
+        this.adapter.log.warn(msg);
+    }
+
+    error(msg) {
+        this.adapter.log.error(msg);
+    }
+
+    debug(msg) {
+        this.adapter.log.debug(msg);
+    }
+
+    /**
+     * @param {ioBroker.Message} obj
+     */
+    onMessage(obj) {
+        if (typeof obj === 'object' && obj.command) {
+            switch (obj.command) {
+                case 'getNetworkMigration':
+                    this.getNetworkMigration(obj.from, obj.command, obj.callback);
+                    break;
+                case 'applyNetworkMigration':
+                    if (obj && obj.message && typeof obj.message === 'object') {
+                        this.applyNetworkMigration(obj.from, obj.command, obj.message, obj.callback);
+                    }
+                    break;
+            }
+        }
+    }
+
+    getConfigNetwork() {
+        const config = this.adapter.config;
+        return {
+            panID: parseInt(config.panID ? config.panID : defaultPanID),
+            extPanID: (config.extPanID ? config.extPanID : defaultExtPanID).toLowerCase(),
+            channel: parseInt(config.channel ? config.channel : defaultChannel),
+            precfgkey: (config.precfgkey ? config.precfgkey : defaultNetworkKey).toLowerCase(),
+        };
+    }
+
+    // the controller keeps the parameters read from the coordinator, even if the start failed
+    getCoordinatorNetwork() {
+        const zbController = this.zbController || this.adapter.zbController;
+        const params = zbController ? zbController.coordinatorNetwork : undefined;
+        if (!params) {
+            return undefined;
+        }
+        return {
+            panID: params.panID,
+            extPanID: String(params.extendedPanID).replace('0x', '').toLowerCase(),
+            channel: params.channel,
+        };
+    }
+
+    getBackupNetwork() {
+        if (!this.zigbeeOptions) {
+            return undefined;
+        }
+        const name = pathLib.join(this.zigbeeOptions.dbDir, this.zigbeeOptions.backupPath);
+        if (!fs.existsSync(name)) {
+            return undefined;
+        }
+        try {
+            return getNvBackupNetwork(JSON.parse(fs.readFileSync(name, {encoding: 'utf8'})));
+        } catch (/** @type {any} */ error) {
+            this.warn(`Cannot read network parameters from ${name}: ${error && error.message ? error.message : 'no error message'}`);
+            return undefined;
+        }
+    }
+
+    static differences(config, other) {
+        if (!other) {
+            return [];
+        }
+        return ['panID', 'extPanID', 'channel', 'precfgkey'].filter(key => other[key] !== undefined && other[key] !== config[key]);
+    }
+
+    /**
+     * result: {config, coordinator, backup, differences: {coordinator: [keys], backup: [keys]}, mismatch: bool}
+     */
+    getNetworkMigration(from, command, callback) {
+        const config = this.getConfigNetwork();
+        const coordinator = this.getCoordinatorNetwork();
+        const backup = this.getBackupNetwork();
+        const differences = {
+            coordinator: NetworkMigration.differences(config, coordinator),
+            backup: NetworkMigration.differences(config, backup),
+        };
+        const mismatch = differences.coordinator.length > 0 || differences.backup.length > 0;
+        if (mismatch) {
+            this.debug(`network parameter mismatch: ${JSON.stringify(differences)}`);
+        }
+        this.adapter.sendTo(from, command, {config, coordinator, backup, differences, mismatch}, callback);
+    }
+
+    /**
+     * Writes the network parameters of the coordinator or of nvbackup.json into the instance config.
+     * message: {source: 'coordinator' | 'backup'}
+     */
+    applyNetworkMigration(from, command, message, callback) {
+        const source = message.source === 'backup' ? this.getBackupNetwork() : message.source === 'coordinator' ? this.getCoordinatorNetwork() : undefined;
+        if (!source) {
+            this.adapter.sendTo(from, command, {error: `no network parameters available from ${message.source}`}, callback);
+            return;
+        }
+        const native = {
+            panID: source.panID,
+            extPanID: source.extPanID.toUpperCase(),
+            channel: source.channel,
+            extPanIdFix: true,
+        };
+        if (source.precfgkey) {
+            native.precfgkey = source.precfgkey.toUpperCase();
+        }
+        this.info(`Adopting network parameters from ${message.source}: panID=${native.panID} channel=${native.channel} extendedPanID=${native.extPanID}`);
+        this.adapter.sendTo(from, command, {applied: native}, callback);
+        // updateConfig restarts the adapter
+        this.adapter.updateConfig(native);
+    }
+}
+
+module.exports = NetworkMigration;
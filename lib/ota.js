@@ -2,20 +2,47 @@
 
 const getZbId = require('./utils').getZbId;
 const zhc_ota = require('zigbee-herdsman-converters').ota;
+const OtaCampaign = require('./otacampaign');
+const OtaRepository = require('./otarepository');
+
+const stateChannel = 'ota';
+const firmwareChannel = 'firmware';
+// the first scheduled check waits until the network has settled after the start
+const firstCheckDelay = 10 * 60 * 1000;
 
 class Ota {
     constructor(adapter) {
         this.adapter = adapter;
         this.adapter.on('message', this.onMessage.bind(this));
         this.inProgress = new Set();
+        this.campaign = new OtaCampaign(this);
+        this.checkTimer = null;
+        this.checking = false;
+    }
+
+    configure(zigbeeOptions) {
+        this.adapter.stController.registerAuxiliaryChannel(stateChannel);
+        this.adapter.stController.registerAuxiliaryChannel(firmwareChannel);
+        this.repository = new OtaRepository(this, zigbeeOptions.dbDir);
+        this.repository.init(this.adapter.config.otaOffline);
     }
 
     start(zbController, stController) {
         this.zbController = zbController;
         this.stController = stController;
+        this.scheduleCheck(firstCheckDelay);
     }
 
-    stop() {
+    async stop() {
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+        try {
+            await this.campaign.stop();
+        } catch (/** @type {any} */ error) {
+            this.error(`Unable to stop the OTA campaign: ${error && error.message ? error.message : 'no error message'}`);
+        }
         delete this.zbController;
         delete this.stController;
     }
@@ -48,6 +75,20 @@ class Ota {
                 case 'startOta':
                     this.startOta(obj);
                     break;
+                case 'startOtaCampaign':
+                    if (obj.message && typeof obj.message === 'object') {
+                        this.startOtaCampaign(obj);
+                    }
+                    break;
+                case 'getOtaCampaign':
+                    this.adapter.sendTo(obj.from, obj.command, this.campaign.report || {}, obj.callback);
+                    break;
+                case 'stopOtaCampaign':
+                    this.stopOtaCampaign(obj);
+                    break;
+                case 'getOtaImages':
+                    this.getOtaImages(obj);
+                    break;
             }
         }
     }
@@ -67,25 +108,23 @@ class Ota {
             this.warn(`Update or check already in progress for '${device.name}', skipping...`);
             return;
         }
-        // do not attempt update for a device which has been deactivated or is unavailable
-        const stateObj = await this.adapter.getObjectAsync(obj.message.devId);
-        if (stateObj && stateObj.common && stateObj.common.deactivated) {
-            this.warn(`Device ${obj.message.devId} is deactivated, skipping...`);
+        if (this.repository && this.repository.forced) {
+            this.warn(`Forced update of ${this.repository.forced} in progress, skipping check for '${device.name}'...`);
             this.adapter.sendTo(obj.from, obj.command, {
                 status: 'fail',
                 device: getZbId(obj.message.devId),
-                msg: 'Device is deactivated'
+                msg: 'A forced update is in progress'
             }, obj.callback);
             return;
         }
-        const availablestate = await this.adapter.getStateAsync(`${obj.message.devId.replace(this.namespace + '.', '')}.available`);
-        const lqi = await this.adapter.getStateAsync(`${obj.message.devId.replace(this.namespace + '.', '')}.link_quality`);
-        if ((availablestate && (!availablestate.val)) || (lqi && lqi.val < 1)) {
-            this.warn(`Device ${obj.message.devId} is marked unavailable, skipping...`);
+        // do not attempt update for a device which has been deactivated or is unavailable
+        const skipReason = await this.getSkipReason(obj.message.devId);
+        if (skipReason) {
+            this.warn(`Device ${obj.message.devId} is ${skipReason}, skipping...`);
             this.adapter.sendTo(obj.from, obj.command, {
                 status: 'fail',
                 device: getZbId(obj.message.devId),
-                msg: 'Device is marked unavailable'
+                msg: `Device is ${skipReason}`
             }, obj.callback);
             return;
         }
@@ -95,11 +134,18 @@ class Ota {
             this.debug(`Checking if firmware update is available for ${device.name}`);
 
             if (device && device.mapped.ota) {
+                const localImages = this.repository ? this.repository.getImagesForDevice(device.device) : [];
                 const available = await zhc_ota.isUpdateAvailable(device.device, device.mapped.ota, undefined, false);
                 result.status = available.available ? 'available' : 'not_available';
+                const localImage = localImages.find(image => image.fileVersion === available.otaFileVersion);
+                result.source = localImage ? 'local' : 'online';
+                if (localImage) {
+                    result.image = localImage.fileName;
+                }
                 if (available.currentFileVersion !== available.otaFileVersion) {
                     this.debug(`current Firmware for ${device.name} is ${available.currentFileVersion} new is ${available.otaFileVersion}`);
                 }
+                await this.setFirmwareStates(device.device, available, await this.readSoftwareBuildIDAndDateCode(device.device, false));
             } else {
                 result.status = 'not_supported';
             }
@@ -115,37 +161,115 @@ class Ota {
         this.inProgress.delete(device.device.ieeeAddr);
     }
 
+    /**
+     * message: {devId, image: optional file name in the local OTA folder, which is installed even if it is not newer}
+     */
     async startOta(obj) {
-        const device = await this.getDeviceForMessage(obj);
-        if (!device) {
-            this.debug(`Device ${obj.message.devId} is unavailable`);
-            this.adapter.sendTo(obj.from, obj.command, {
-                status: 'fail',
-                device: getZbId(obj.message.devId),
-                msg: 'Device is unavailable'
-            }, obj.callback);
-            return;
-        }
-        if (this.inProgress.has(device.device.ieeeAddr)) {
-            this.error(`Update or check already in progress for '${device.name}', skipping...`);
-            return;
+        const result = await this.updateDevice(getZbId(obj.message.devId), true, obj.message.image);
+        if (result.status === 'skipped') {
+            result.status = 'fail';
         }
-        // do not attempt update for a device which has been deactivated or is unavailable
-        const stateObj = await this.adapter.getObjectAsync(obj.message.devId);
+        this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+    }
+
+    // returns why a device must not be updated, undefined if it can be updated
+    async getSkipReason(devId) {
+        const id = devId.replace(`${this.adapter.namespace}.`, '');
+        const stateObj = await this.adapter.getObjectAsync(id);
         if (stateObj && stateObj.common && stateObj.common.deactivated) {
-            this.warn(`Device ${obj.message.devId} is deactivated, skipping...`);
-            return;
+            return 'deactivated';
         }
-        const availablestate = await this.adapter.getStateAsync(`${obj.message.devId.replace(this.namespace + '.', '')}.available`);
-        const lqi = await this.adapter.getStateAsync(`${obj.message.devId.replace(this.namespace + '.', '')}.link_quality`);
+        const availablestate = await this.adapter.getStateAsync(`${id}.available`);
+        const lqi = await this.adapter.getStateAsync(`${id}.link_quality`);
         if ((availablestate && (!availablestate.val)) || (lqi && lqi.val < 1)) {
-            this.warn(`Device ${obj.message.devId} is marked unavailable, skipping...`);
+            return 'marked unavailable';
+        }
+        return undefined;
+    }
+
+    async setOtaState(ieeeAddr, state, progress, remaining) {
+        if (!this.stController) {
             return;
         }
-        this.inProgress.add(device.device.ieeeAddr);
-        const result = {status: 'unknown', device: device ? device.name : null};
+        const devId = ieeeAddr.substr(2);
+        await this.stController.updateState(devId, `${stateChannel}.state`, state,
+            {name: 'OTA update state', type: 'string', read: true, write: false, role: 'text',
+                states: {idle: 'idle', queued: 'queued', updating: 'updating', success: 'success', failed: 'failed', skipped: 'skipped'}});
+        if (progress !== undefined) {
+            await this.stController.updateState(devId, `${stateChannel}.progress`, progress,
+                {name: 'OTA update progress', type: 'number', read: true, write: false, role: 'value', unit: '%', min: 0, max: 100});
+        }
+        if (remaining !== undefined) {
+            await this.stController.updateState(devId, `${stateChannel}.remaining_minutes`, remaining,
+                {name: 'OTA update remaining time', type: 'number', read: true, write: false, role: 'value', unit: 'min'});
+        }
+    }
+
+    /**
+     * Runs the firmware update of one device and publishes the progress in the ota states.
+     * With forceImage the given image of the local OTA folder is installed, also as downgrade.
+     * result: {status: 'success' | 'fail' | 'skipped', device, msg}
+     */
+    async updateDevice(ieeeAddr, backup, forceImage) {
+        const repository = this.repository;
+        if (!this.zbController || !repository) {
+            return {status: 'skipped', device: ieeeAddr, msg: 'Zigbee is not running'};
+        }
+        let device;
+        try {
+            device = await this.zbController.resolveEntity(ieeeAddr);
+            if (!device) {
+                this.debug(`Device ${ieeeAddr} is unavailable`);
+                await this.setOtaState(ieeeAddr, 'skipped');
+                return {status: 'skipped', device: ieeeAddr, msg: 'Device is unavailable'};
+            }
+            if (this.inProgress.has(ieeeAddr)) {
+                this.error(`Update or check already in progress for '${device.name}', skipping...`);
+                return {status: 'skipped', device: device.name, msg: 'Update or check already in progress'};
+            }
+            // do not attempt update for a device which has been deactivated or is unavailable
+            const skipReason = await this.getSkipReason(ieeeAddr.substr(2));
+            if (skipReason) {
+                this.warn(`Device ${ieeeAddr} is ${skipReason}, skipping...`);
+                await this.setOtaState(ieeeAddr, 'skipped');
+                return {status: 'skipped', device: device.name, msg: `Device is ${skipReason}`};
+            }
+            if (!device.mapped || !device.mapped.ota) {
+                await this.setOtaState(ieeeAddr, 'skipped');
+                return {status: 'skipped', device: device.name, msg: 'OTA is not supported'};
+            }
+        } catch (/** @type {any} */ error) {
+            const message = `Update of ${ieeeAddr} not started (${error && error.message ? error.message : 'no error message'})`;
+            this.error(message);
+            return {status: 'fail', device: ieeeAddr, msg: message};
+        }
+        // the forced image replaces the index of the converters, so nothing else may run meanwhile
+        if (repository.forced) {
+            this.warn(`Forced update of ${repository.forced} in progress, skipping '${device.name}'...`);
+            return {status: 'skipped', device: device.name, msg: 'A forced update is in progress'};
+        }
+        if (forceImage) {
+            const image = repository.getImage(forceImage);
+            if (!image) {
+                return {status: 'skipped', device: device.name, msg: `Image ${forceImage} not found in the OTA folder`};
+            }
+            if (image.manufacturerCode !== device.device.manufacturerID) {
+                return {status: 'skipped', device: device.name, msg: `Image ${forceImage} is for manufacturer ${image.manufacturerCode}, not ${device.device.manufacturerID}`};
+            }
+            if (this.inProgress.size > 0) {
+                return {status: 'skipped', device: device.name, msg: 'Forced updates are not possible while other updates or checks are running'};
+            }
+            this.warn(`Forcing image ${forceImage} (version ${image.fileVersion}) for '${device.name}'`);
+            repository.forceImage(image, device.device);
+        }
+        this.inProgress.add(ieeeAddr);
+        const result = {status: 'unknown', device: device.name};
         try {
+            if (backup) {
+                await this.adapter.callPluginMethod('createBackup', ['OTA']);
+            }
             this.info('Start firmware update for ' + device.name);
+            await this.setOtaState(ieeeAddr, 'updating', 0);
 
             const onProgress = (progress, remaining) => {
                 let message = `Update of '${device.name}' at ${progress}%`;
@@ -153,24 +277,179 @@ class Ota {
                     message += `, +- ${Math.round(remaining / 60)} minutes remaining`;
                 }
                 this.info(message);
+                // the progress callback of the converters does not wait for a promise
+                this.setOtaState(ieeeAddr, 'updating', progress, remaining ? Math.round(remaining / 60) : undefined)
+                    .catch(error => this.debug(`Unable to set the OTA progress of ${ieeeAddr}: ${error && error.message ? error.message : 'no error message'}`));
             };
 
             const from_ = await this.readSoftwareBuildIDAndDateCode(device.device, false);
-            const fileVersion = await zhc_ota.update(device.device, device.mapped.ota, false, onProgress)
+            const fileVersion = await zhc_ota.update(device.device, device.mapped.ota, false, onProgress);
             const to = await this.readSoftwareBuildIDAndDateCode(device.device, true);
+            await this.setFirmwareStates(device.device, {currentFileVersion: fileVersion, otaFileVersion: fileVersion, available: false}, to);
             const [fromS, toS] = [JSON.stringify(from_), JSON.stringify(to)];
             result.status = 'success';
             result.msg = `Finished update of '${device.name}'${to ? `, from '${fromS}' to '${toS}'` : ``}`;
             this.info(result.msg);
-            this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+            await this.setOtaState(ieeeAddr, 'success', 100, 0);
         } catch (error) {
             const message = `Update of '${device.name}' failed (${error.message})`;
             result.status = 'fail';
             result.msg = message;
             this.error(message);
-            this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+            try {
+                await this.setOtaState(ieeeAddr, 'failed');
+            } catch (/** @type {any} */ stateError) {
+                this.debug(`Unable to set the OTA state of ${ieeeAddr}: ${stateError && stateError.message ? stateError.message : 'no error message'}`);
+            }
+        }
+        if (forceImage) {
+            repository.releaseForcedImage();
+        }
+        this.inProgress.delete(ieeeAddr);
+        return result;
+    }
+
+    async startOtaCampaign(obj) {
+        try {
+            if (!this.campaign.active) {
+                await this.adapter.callPluginMethod('createBackup', ['OTA']);
+            }
+            const report = await this.campaign.start(obj.message);
+            this.adapter.sendTo(obj.from, obj.command, report, obj.callback);
+        } catch (/** @type {any} */ error) {
+            this.error(`Unable to start OTA campaign: ${error.message}`);
+            this.adapter.sendTo(obj.from, obj.command, {error: error.message}, obj.callback);
+        }
+    }
+
+    /**
+     * Lists the images of the local OTA folder and the paired devices they fit to.
+     * result: {folder, offline, images: [{fileName, manufacturerCode, imageType, fileVersion, ..., devices: [ieeeAddr]}]}
+     */
+    getOtaImages(obj) {
+        const repository = this.repository;
+        if (!repository) {
+            this.adapter.sendTo(obj.from, obj.command, {error: 'OTA is not configured'}, obj.callback);
+            return;
+        }
+        /** @type {{folder: string, offline: boolean | undefined, images: object[], error?: string}} */
+        const result = {folder: repository.folder, offline: repository.offline, images: []};
+        try {
+            const devices = this.zbController ? [...this.zbController.getClientIterator(false)] : [];
+            result.images = repository.refresh().map(image => Object.assign({}, image, {
+                devices: devices.filter(device => repository.getImagesForDevice(device).includes(image)).map(device => device.ieeeAddr),
+            }));
+        } catch (/** @type {any} */ error) {
+            result.error = `Unable to list OTA images: ${error && error.message ? error.message : 'no error message'}`;
+            this.error(result.error);
+        }
+        this.adapter.sendTo(obj.from, obj.command, result, obj.callback);
+    }
+
+    async stopOtaCampaign(obj) {
+        await this.campaign.stop();
+        this.adapter.sendTo(obj.from, obj.command, this.campaign.report || {}, obj.callback);
+    }
+
+    scheduleCheck(delay) {
+        const interval = Number(this.adapter.config.otaCheckInterval);
+        if (!interval || interval <= 0) {
+            return;
+        }
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+        }
+        this.checkTimer = setTimeout(async () => {
+            this.checkTimer = null;
+            await this.checkAllDevices();
+            if (this.zbController) {
+                this.scheduleCheck(interval * 60 * 60 * 1000);
+            }
+        }, delay);
+    }
+
+    // scheduled check: the devices are queried one after the other with a pause in between
+    async checkAllDevices() {
+        if (!this.zbController || this.checking) {
+            return;
+        }
+        if (this.campaign.active) {
+            this.debug('OTA campaign running, skipping scheduled firmware check');
+            return;
+        }
+        this.checking = true;
+        const delay = Number(this.adapter.config.otaCheckDelay);
+        let checked = 0;
+        let available = 0;
+        try {
+            for (const device of this.zbController.getClientIterator(false)) {
+                if (!this.zbController) {
+                    break;
+                }
+                const result = await this.checkDevice(device.ieeeAddr);
+                if (result === undefined) {
+                    continue;
+                }
+                checked++;
+                if (result) {
+                    available++;
+                }
+                await new Promise(resolve => setTimeout(resolve, (isNaN(delay) ? 10 : delay) * 1000));
+            }
+            this.info(`Scheduled firmware check finished: ${checked} devices checked, ${available} updates available`);
+        } catch (/** @type {any} */ error) {
+            this.error(`Scheduled firmware check failed: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.checking = false;
+    }
+
+    /**
+     * Checks one device for a firmware update and publishes the firmware states.
+     * Returns undefined if the device was not checked, otherwise whether an update is available.
+     */
+    async checkDevice(ieeeAddr) {
+        const device = await this.zbController.resolveEntity(ieeeAddr);
+        if (!device || !device.mapped || !device.mapped.ota || this.inProgress.has(ieeeAddr) || (this.repository && this.repository.forced)) {
+            return undefined;
+        }
+        if (await this.getSkipReason(ieeeAddr.substr(2))) {
+            return undefined;
+        }
+        this.inProgress.add(ieeeAddr);
+        let result = undefined;
+        try {
+            const available = await zhc_ota.isUpdateAvailable(device.device, device.mapped.ota, undefined, false);
+            const buildInfo = await this.readSoftwareBuildIDAndDateCode(device.device, false);
+            await this.setFirmwareStates(device.device, available, buildInfo);
+            result = Boolean(available.available);
+        } catch (/** @type {any} */ error) {
+            this.debug(`Scheduled firmware check for '${device.name}' failed: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.inProgress.delete(ieeeAddr);
+        return result;
+    }
+
+    async setFirmwareStates(device, available, buildInfo) {
+        if (!this.stController) {
+            return;
+        }
+        const devId = device.ieeeAddr.substr(2);
+        if (available) {
+            await this.stController.updateState(devId, `${firmwareChannel}.current`, available.currentFileVersion,
+                {name: 'Installed firmware file version', type: 'number', read: true, write: false, role: 'value'});
+            await this.stController.updateState(devId, `${firmwareChannel}.available`, available.otaFileVersion,
+                {name: 'Available firmware file version', type: 'number', read: true, write: false, role: 'value'});
+            await this.stController.updateState(devId, `${firmwareChannel}.update_available`, Boolean(available.available),
+                {name: 'Firmware update available', type: 'boolean', read: true, write: false, role: 'indicator'});
+            await this.stController.updateState(devId, `${firmwareChannel}.last_check`, Date.now(),
+                {name: 'Last firmware check', type: 'number', read: true, write: false, role: 'value.time'});
+        }
+        if (buildInfo) {
+            await this.stController.updateState(devId, `${firmwareChannel}.software_build_id`, buildInfo.softwareBuildID || '',
+                {name: 'Software build ID', type: 'string', read: true, write: false, role: 'text'});
+            await this.stController.updateState(devId, `${firmwareChannel}.date_code`, buildInfo.dateCode || '',
+                {name: 'Firmware date code', type: 'string', read: true, write: false, role: 'text'});
         }
-        this.inProgress.delete(device.device.ieeeAddr);
     }
 
     async readSoftwareBuildIDAndDateCode(device, update) {
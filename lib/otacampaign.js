@@ -0,0 +1,206 @@
+'use strict';
+
+const getZbId = require('./utils').getZbId;
+const zhc_ota = require('zigbee-herdsman-converters').ota;
+
+const WindowCheckInterval = 60 * 1000; // check every minute if the time window is open
+
+// devices can be given as ieee address, object id or full object id
+function toIeeeAddr(id) {
+    id = String(id);
+    if (id.startsWith('0x')) {
+        return id;
+    }
+    return id.includes('.') ? getZbId(id) : `0x${id}`;
+}
+
+// parses 'HH:MM' into minutes after midnight
+function parseTime(time) {
+    const match = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})$/) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : undefined;
+}
+
+/**
+ * Updates a list of devices one after the other (or a few in parallel) inside an
+ * allowed time window. The report of the last campaign is kept in info.otaCampaign.
+ */
+class OtaCampaign {
+    constructor(ota) {
+        this.ota = ota;
+        this.adapter = ota.adapter;
+        this.queue = [];
+        this.running = new Set();
+        this.concurrency = 1;
+        this.retries = 1;
+        /** @type {{started: number, finished?: number, window: object, concurrency: number, devices: Record<string, any>, summary?: Record<string, number>} | undefined} */
+        this.report = undefined;
+        this.windowTimer = null;
+    }
+
+    // the report entry of a device of the campaign
+    getEntry(ieeeAddr) {
+        if (!this.report || !this.report.devices[ieeeAddr]) {
+            throw new Error(`${ieeeAddr} is not part of the OTA campaign`);
+        }
+        return this.report.devices[ieeeAddr];
+    }
+
+    get active() {
+        return this.report !== undefined && this.report.finished === undefined;
+    }
+
+    /**
+     * options: {devices: [devId] | 'all', concurrency: number, window: {from: 'HH:MM', to: 'HH:MM'}, retries: number}
+     */
+    async start(options) {
+        if (this.active) {
+            throw new Error('an OTA campaign is already running');
+        }
+        const config = this.adapter.config;
+        this.concurrency = Math.max(1, Number(options.concurrency || config.otaConcurrency) || 1);
+        this.window = options.window || {from: config.otaWindowFrom, to: config.otaWindowTo};
+        this.retries = Number(options.retries) >= 0 ? Number(options.retries) : 1;
+        const devices = options.devices === 'all' ? await this.findUpdatableDevices() : (options.devices || []).map(toIeeeAddr);
+        this.report = {
+            started: Date.now(),
+            finished: undefined,
+            window: this.window,
+            concurrency: this.concurrency,
+            devices: {},
+        };
+        this.queue = [];
+        for (const ieeeAddr of devices) {
+            this.report.devices[ieeeAddr] = {status: 'queued', attempts: 0};
+            this.queue.push(ieeeAddr);
+            await this.ota.setOtaState(ieeeAddr, 'queued');
+        }
+        this.ota.info(`OTA campaign started for ${this.queue.length} devices`);
+        await this.publishReport();
+        this.next();
+        return this.report;
+    }
+
+    async stop() {
+        if (this.windowTimer) {
+            clearTimeout(this.windowTimer);
+            this.windowTimer = null;
+        }
+        for (const ieeeAddr of this.queue) {
+            this.getEntry(ieeeAddr).status = 'cancelled';
+            await this.ota.setOtaState(ieeeAddr, 'idle');
+        }
+        this.queue = [];
+        if (this.active && this.running.size === 0) {
+            await this.finish();
+        }
+    }
+
+    async findUpdatableDevices() {
+        const result = [];
+        for (const device of this.ota.zbController.getClientIterator(false)) {
+            const entity = await this.ota.zbController.resolveEntity(device.ieeeAddr);
+            if (!entity || !entity.mapped || !entity.mapped.ota) continue;
+            try {
+                const available = await zhc_ota.isUpdateAvailable(device, entity.mapped.ota, undefined, false);
+                if (available.available) {
+                    result.push(device.ieeeAddr);
+                }
+            } catch (/** @type {any} */ error) {
+                this.ota.debug(`Unable to check update for ${device.ieeeAddr}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+        return result;
+    }
+
+    isInWindow() {
+        const from = parseTime(this.window && this.window.from);
+        const to = parseTime(this.window && this.window.to);
+        if (from === undefined || to === undefined || from === to) {
+            return true;
+        }
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        // the window may span midnight, e.g. 23:00 - 04:00
+        return from < to ? (minutes >= from && minutes < to) : (minutes >= from || minutes < to);
+    }
+
+    next() {
+        if (!this.ota.zbController) {
+            return;
+        }
+        if (this.queue.length === 0) {
+            if (this.running.size === 0 && this.active) {
+                this.finish().catch(error => this.ota.error(`Unable to finish the OTA campaign: ${error && error.message ? error.message : 'no error message'}`));
+            }
+            return;
+        }
+        if (!this.isInWindow()) {
+            if (!this.windowTimer) {
+                this.ota.debug(`OTA campaign waiting for the time window ${this.window.from} - ${this.window.to}`);
+                this.windowTimer = setTimeout(() => {
+                    this.windowTimer = null;
+                    this.next();
+                }, WindowCheckInterval);
+            }
+            return;
+        }
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const ieeeAddr = this.queue.shift();
+            this.running.add(ieeeAddr);
+            this.update(ieeeAddr).catch(error => {
+                const entry = this.getEntry(ieeeAddr);
+                entry.status = 'failed';
+                entry.msg = `Update failed (${error && error.message ? error.message : 'no error message'})`;
+                entry.finished = Date.now();
+                this.ota.error(`OTA campaign: ${entry.msg} for ${ieeeAddr}`);
+            }).finally(() => {
+                this.running.delete(ieeeAddr);
+                this.next();
+            });
+        }
+    }
+
+    async update(ieeeAddr) {
+        const entry = this.getEntry(ieeeAddr);
+        entry.attempts++;
+        entry.status = 'updating';
+        entry.started = Date.now();
+        await this.publishReport();
+        const result = await this.ota.updateDevice(ieeeAddr);
+        entry.msg = result.msg;
+        if (result.status === 'success') {
+            entry.status = 'success';
+        } else if (result.status === 'fail' && entry.attempts <= this.retries) {
+            // try again at the end of the queue
+            entry.status = 'queued';
+            this.queue.push(ieeeAddr);
+            await this.ota.setOtaState(ieeeAddr, 'queued');
+        } else {
+            entry.status = result.status === 'skipped' ? 'skipped' : 'failed';
+        }
+        entry.finished = Date.now();
+        await this.publishReport();
+    }
+
+    async finish() {
+        const report = this.report;
+        if (!report) {
+            return;
+        }
+        report.finished = Date.now();
+        /** @type {Record<string, number>} */
+        const counts = {};
+        for (const entry of Object.values(report.devices)) {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        }
+        report.summary = counts;
+        this.ota.info(`OTA campaign finished: ${JSON.stringify(counts)}`);
+        await this.publishReport();
+    }
+
+    async publishReport() {
+        await this.adapter.setStateAsync('info.otaCampaign', JSON.stringify(this.report), true);
+    }
+}
+
+module.exports = OtaCampaign;
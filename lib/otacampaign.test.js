@@ -0,0 +1,120 @@
+'use strict';
+
+const {expect} = require('chai');
+const OtaCampaign = require('./otacampaign');
+
+const log = () => {};
+
+function createOta(results) {
+    const ota = {
+        adapter: {config: {}, setStateAsync: async (id, val) => ota.published = JSON.parse(val)},
+        zbController: {},
+        otaStates: {},
+        updated: /** @type {string[]} */ ([]),
+        setOtaState: async (ieeeAddr, state) => ota.otaStates[ieeeAddr] = state,
+        updateDevice: async ieeeAddr => {
+            ota.updated.push(ieeeAddr);
+            const result = results[ieeeAddr].shift();
+            if (result instanceof Error) throw result;
+            return result;
+        },
+        info: log, debug: log, warn: log, error: log,
+    };
+    return ota;
+}
+
+async function finished(campaign) {
+    while (campaign.active) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// 'HH:MM' of the current time shifted by the given minutes
+function timeIn(minutes) {
+    const date = new Date(Date.now() + minutes * 60 * 1000);
+    return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+describe('otacampaign', () => {
+    describe('start', () => {
+        it('updates the devices one after the other and retries a failed update at the end of the queue', async () => {
+            const ota = createOta({
+                '0x0001': [{status: 'fail', msg: 'timeout'}, {status: 'success', msg: 'updated'}],
+                '0x0002': [{status: 'success', msg: 'updated'}],
+                '0x0003': [{status: 'skipped', msg: 'no update available'}],
+            });
+            const campaign = new OtaCampaign(ota);
+            await campaign.start({devices: ['0x0001', 'zigbee.0.0002', '0003'], window: {}});
+            await finished(campaign);
+            expect(ota.updated).to.deep.equal(['0x0001', '0x0002', '0x0003', '0x0001']);
+            expect(ota.published.summary).to.deep.equal({success: 2, skipped: 1});
+            expect(ota.published.devices['0x0001']).to.include({status: 'success', attempts: 2, msg: 'updated'});
+            expect(ota.published.devices['0x0003']).to.include({status: 'skipped', attempts: 1});
+        });
+
+        it('marks a device as failed after its retries or if the update throws', async () => {
+            const ota = createOta({
+                '0x0001': [{status: 'fail', msg: 'timeout'}, {status: 'fail', msg: 'timeout'}],
+                '0x0002': [new Error('device not found')],
+            });
+            const campaign = new OtaCampaign(ota);
+            await campaign.start({devices: ['0x0001', '0x0002'], retries: 1, window: {}});
+            await finished(campaign);
+            expect(ota.published.devices['0x0001']).to.include({status: 'failed', attempts: 2, msg: 'timeout'});
+            expect(ota.published.devices['0x0002']).to.include({status: 'failed', msg: 'Update failed (device not found)'});
+            expect(ota.published.summary).to.deep.equal({failed: 2});
+        });
+
+        it('refuses a second campaign while one is running', async () => {
+            const campaign = new OtaCampaign(createOta({}));
+            campaign.next = () => {};
+            await campaign.start({devices: ['0x0001'], window: {}});
+            let error;
+            try {
+                await campaign.start({devices: ['0x0002'], window: {}});
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.an('error').with.property('message', 'an OTA campaign is already running');
+        });
+    });
+
+    describe('stop', () => {
+        it('cancels the queued devices and finishes the campaign', async () => {
+            const ota = createOta({});
+            const campaign = new OtaCampaign(ota);
+            campaign.next = () => {};
+            await campaign.start({devices: ['0x0001', '0x0002'], window: {}});
+            await campaign.stop();
+            expect(campaign.active).to.be.false;
+            expect(ota.published.summary).to.deep.equal({cancelled: 2});
+            expect(ota.otaStates).to.deep.equal({'0x0001': 'idle', '0x0002': 'idle'});
+        });
+    });
+
+    describe('isInWindow', () => {
+        const campaign = new OtaCampaign(createOta({}));
+
+        it('is always open without a valid window', () => {
+            for (const window of [undefined, {}, {from: '01:00'}, {from: '01:00', to: '01:00'}, {from: 'never', to: '02:00'}]) {
+                campaign.window = window;
+                expect(campaign.isInWindow(), JSON.stringify(window)).to.be.true;
+            }
+        });
+
+        it('checks the current time against the window', () => {
+            campaign.window = {from: timeIn(-60), to: timeIn(60)};
+            expect(campaign.isInWindow()).to.be.true;
+            campaign.window = {from: timeIn(60), to: timeIn(120)};
+            expect(campaign.isInWindow()).to.be.false;
+        });
+
+        it('handles a window across midnight', () => {
+            // a from after the to spans midnight, so these windows are open for 23 and 22 hours
+            campaign.window = {from: timeIn(-60), to: timeIn(-120)};
+            expect(campaign.isInWindow()).to.be.true;
+            campaign.window = {from: timeIn(60), to: timeIn(-60)};
+            expect(campaign.isInWindow()).to.be.false;
+        });
+    });
+});
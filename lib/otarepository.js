@@ -0,0 +1,181 @@
+'use strict';
+
+const fs = require('fs');
+const pathLib = require('path');
+const crypto = require('crypto');
+const zhc_ota = require('zigbee-herdsman-converters').ota;
+
+const repositoryFolder = 'ota';
+const indexFile = 'index.json';
+const forcedIndexFile = 'forced_index.json';
+const imageExtensions = /\.(ota|zigbee|ota\.signed|sbl-ota|bin)$/i;
+// fields of an index entry which can be added by hand and are kept when the index is rebuilt
+const userFields = ['modelId', 'manufacturerName', 'minFileVersion', 'maxFileVersion', 'releaseNotes'];
+// an empty main index, used instead of the online index of the converters in offline mode
+const emptyIndexUrl = 'data:application/json,[]';
+
+/**
+ * Firmware images dropped into the ota folder of the instance data dir. The folder is
+ * indexed and handed to the converters as override index, so these images are offered
+ * before the ones of the online repository.
+ */
+class OtaRepository {
+    constructor(ota, dbDir) {
+        this.ota = ota;
+        this.folder = pathLib.join(dbDir, repositoryFolder);
+        this.images = [];
+        this.signature = undefined;
+        this.forced = undefined;
+    }
+
+    init(offline) {
+        this.offline = Boolean(offline);
+        if (this.offline) {
+            // the converters read the urls from their exports with every lookup
+            Object.assign(zhc_ota, {ZIGBEE_OTA_LATEST_URL: emptyIndexUrl, ZIGBEE_OTA_PREVIOUS_URL: emptyIndexUrl});
+        }
+        try {
+            if (!fs.existsSync(this.folder)) {
+                fs.mkdirSync(this.folder);
+            }
+        } catch (/** @type {any} */ error) {
+            this.ota.error(`Cannot create OTA folder ${this.folder}: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.refresh();
+    }
+
+    listImageFiles() {
+        if (!fs.existsSync(this.folder)) {
+            return [];
+        }
+        return fs.readdirSync(this.folder)
+            .filter(filename => filename.match(imageExtensions))
+            .sort();
+    }
+
+    // rebuilds the index if files were added, changed or removed since the last build
+    refresh() {
+        const files = this.listImageFiles();
+        const signature = files.map(file => {
+            const stat = fs.statSync(pathLib.join(this.folder, file));
+            return `${file}:${stat.size}:${stat.mtimeMs}`;
+        }).join('|');
+        if (signature !== this.signature) {
+            this.buildIndex(files);
+            this.signature = signature;
+        }
+        return this.images;
+    }
+
+    readIndex() {
+        try {
+            const name = pathLib.join(this.folder, indexFile);
+            return fs.existsSync(name) ? JSON.parse(fs.readFileSync(name, {encoding: 'utf8'})) : [];
+        } catch (/** @type {any} */ error) {
+            this.ota.warn(`Cannot read OTA index: ${error && error.message ? error.message : 'no error message'}`);
+            return [];
+        }
+    }
+
+    parseImageFile(file) {
+        const data = fs.readFileSync(pathLib.join(this.folder, file));
+        const start = data.indexOf(zhc_ota.UPGRADE_FILE_IDENTIFIER);
+        if (start === -1) {
+            throw new Error('not a valid OTA file');
+        }
+        const header = zhc_ota.parseImage(data.subarray(start), true).header;
+        const entry = {
+            fileName: file,
+            url: file,
+            manufacturerCode: header.manufacturerCode,
+            imageType: header.imageType,
+            fileVersion: header.fileVersion,
+            fileSize: header.totalImageSize,
+            sha512: crypto.createHash('sha512').update(data).digest('hex'),
+            description: header.otaHeaderString.replace(/\0/g, '').trim(),
+        };
+        if (header.minimumHardwareVersion !== undefined) {
+            entry.hardwareVersionMin = header.minimumHardwareVersion;
+        }
+        if (header.maximumHardwareVersion !== undefined) {
+            entry.hardwareVersionMax = header.maximumHardwareVersion;
+        }
+        return entry;
+    }
+
+    buildIndex(files) {
+        const previous = {};
+        for (const entry of this.readIndex()) {
+            previous[entry.fileName] = entry;
+        }
+        const images = [];
+        for (const file of files) {
+            try {
+                const entry = this.parseImageFile(file);
+                for (const field of userFields) {
+                    if (previous[file] && previous[file][field] !== undefined) {
+                        entry[field] = previous[file][field];
+                    }
+                }
+                images.push(entry);
+            } catch (/** @type {any} */ error) {
+                this.ota.warn(`Ignoring OTA file ${file}: ${error && error.message ? error.message : 'no error message'}`);
+            }
+        }
+        // the converters take the first matching image, so the newest one has to come first
+        images.sort((a, b) => b.fileVersion - a.fileVersion);
+        this.images = images;
+        try {
+            fs.writeFileSync(pathLib.join(this.folder, indexFile), JSON.stringify(images, null, 2));
+        } catch (/** @type {any} */ error) {
+            this.ota.error(`Cannot write OTA index: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        this.ota.debug(`OTA index contains ${images.length} local images`);
+        this.configureConverters();
+    }
+
+    configureConverters(index) {
+        const name = index || (this.images.length ? indexFile : undefined);
+        zhc_ota.setConfiguration({
+            dataDir: this.folder,
+            overrideIndexLocation: name ? pathLib.join(this.folder, name) : undefined,
+        });
+    }
+
+    getImage(fileName) {
+        return this.refresh().find(image => image.fileName === fileName);
+    }
+
+    // local images which fit to the manufacturer and model of the device
+    getImagesForDevice(device) {
+        return this.refresh().filter(image => image.manufacturerCode === device.manufacturerID &&
+            (!image.modelId || image.modelId === device.modelID) &&
+            (!image.manufacturerName || image.manufacturerName.includes(device.manufacturerName)));
+    }
+
+    /**
+     * Offers only the given image, even if it is older than the installed firmware.
+     * Has to be undone with releaseForcedImage when the update is finished.
+     */
+    forceImage(image, device) {
+        const entry = Object.assign({}, image, {force: true, modelId: device.modelID});
+        delete entry.manufacturerName;
+        delete entry.minFileVersion;
+        delete entry.maxFileVersion;
+        fs.writeFileSync(pathLib.join(this.folder, forcedIndexFile), JSON.stringify([entry], null, 2));
+        this.forced = device.ieeeAddr;
+        this.configureConverters(forcedIndexFile);
+    }
+
+    releaseForcedImage() {
+        this.forced = undefined;
+        this.configureConverters();
+        try {
+            fs.unlinkSync(pathLib.join(this.folder, forcedIndexFile));
+        } catch (/** @type {any} */ error) {
+            this.ota.debug(`Cannot delete forced OTA index: ${error && error.message ? error.message : 'no error message'}`);
+        }
+    }
+}
+
+module.exports = OtaRepository;
@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+const OtaRepository = require('./otarepository');
+
+const log = {info: () => {}, debug: () => {}, warn: () => {}, error: () => {}};
+
+// an OTA file which has only the header, the header string is the description of the image
+function createImage(manufacturerCode, imageType, fileVersion, description) {
+    const data = Buffer.alloc(56);
+    data.writeUInt32LE(0x0BEEF11E, 0);
+    data.writeUInt16LE(0x0100, 4);
+    data.writeUInt16LE(56, 6);
+    data.writeUInt16LE(manufacturerCode, 10);
+    data.writeUInt16LE(imageType, 12);
+    data.writeUInt32LE(fileVersion, 14);
+    data.writeUInt16LE(2, 18);
+    data.write(description, 20, 'utf8');
+    data.writeUInt32LE(56, 52);
+    return data;
+}
+
+describe('otarepository', () => {
+    let dbDir;
+    let repository;
+
+    function addFile(file, data) {
+        fs.writeFileSync(path.join(repository.folder, file), data);
+    }
+
+    beforeEach(() => {
+        dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ota-'));
+        repository = new OtaRepository(log, dbDir);
+        fs.mkdirSync(repository.folder);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dbDir, {recursive: true, force: true});
+    });
+
+    describe('refresh', () => {
+        it('indexes the images with the newest first and ignores invalid files', () => {
+            addFile('old.ota', createImage(4476, 8449, 16, 'old image'));
+            addFile('new.zigbee', createImage(4476, 8449, 32, 'new image'));
+            addFile('broken.ota', Buffer.from('no OTA file'));
+            addFile('readme.txt', 'no image');
+            const images = repository.refresh();
+            expect(images.map(image => [image.fileName, image.fileVersion, image.description])).to.deep.equal([
+                ['new.zigbee', 32, 'new image'],
+                ['old.ota', 16, 'old image'],
+            ]);
+            expect(images[0]).to.include({manufacturerCode: 4476, imageType: 8449, fileSize: 56});
+            expect(JSON.parse(fs.readFileSync(path.join(repository.folder, 'index.json'), 'utf8'))).to.deep.equal(images);
+        });
+
+        it('keeps the fields added by hand when the index is rebuilt', () => {
+            addFile('lamp.ota', createImage(4476, 8449, 16, 'lamp'));
+            repository.refresh();
+            const index = JSON.parse(fs.readFileSync(path.join(repository.folder, 'index.json'), 'utf8'));
+            index[0].modelId = 'TRADFRI bulb E27';
+            index[0].description = 'changed';
+            fs.writeFileSync(path.join(repository.folder, 'index.json'), JSON.stringify(index));
+            addFile('lamp2.ota', createImage(4476, 8449, 32, 'lamp 2'));
+            const images = repository.refresh();
+            expect(images[1]).to.include({fileName: 'lamp.ota', modelId: 'TRADFRI bulb E27', description: 'lamp'});
+            expect(images[0]).not.to.have.property('modelId');
+        });
+    });
+
+    describe('getImagesForDevice', () => {
+        it('takes the images of the manufacturer which fit to the model and manufacturer name', () => {
+            addFile('any.ota', createImage(4476, 1, 1, 'any'));
+            addFile('model.ota', createImage(4476, 2, 2, 'model'));
+            addFile('other.ota', createImage(4107, 3, 3, 'other'));
+            repository.refresh();
+            const index = JSON.parse(fs.readFileSync(path.join(repository.folder, 'index.json'), 'utf8'));
+            index.find(image => image.fileName === 'model.ota').modelId = 'TRADFRI bulb E27';
+            index.find(image => image.fileName === 'any.ota').manufacturerName = ['IKEA of Sweden'];
+            fs.writeFileSync(path.join(repository.folder, 'index.json'), JSON.stringify(index));
+            // the index is only read again when the images change
+            addFile('other2.ota', createImage(4107, 3, 4, 'other'));
+            const device = {manufacturerID: 4476, modelID: 'TRADFRI bulb E27', manufacturerName: 'IKEA of Sweden'};
+            expect(repository.getImagesForDevice(device).map(image => image.fileName)).to.deep.equal(['model.ota', 'any.ota']);
+            expect(repository.getImagesForDevice({...device, modelID: 'TRADFRI remote control'}).map(image => image.fileName)).to.deep.equal(['any.ota']);
+            expect(repository.getImagesForDevice({...device, manufacturerName: 'Other'}).map(image => image.fileName)).to.deep.equal(['model.ota']);
+        });
+    });
+
+    describe('forceImage', () => {
+        it('offers only the forced image until it is released', () => {
+            addFile('lamp.ota', createImage(4476, 8449, 16, 'lamp'));
+            const image = repository.getImage('lamp.ota');
+            const forcedIndex = path.join(repository.folder, 'forced_index.json');
+            repository.forceImage({...image, manufacturerName: ['IKEA of Sweden'], minFileVersion: 1}, {ieeeAddr: '0x0001', modelID: 'TRADFRI bulb E27'});
+            expect(repository.forced).to.equal('0x0001');
+            const [entry] = JSON.parse(fs.readFileSync(forcedIndex, 'utf8'));
+            expect(entry).to.include({fileName: 'lamp.ota', force: true, modelId: 'TRADFRI bulb E27'});
+            expect(entry).not.to.have.any.keys('manufacturerName', 'minFileVersion');
+            repository.releaseForcedImage();
+            expect(repository.forced).to.be.undefined;
+            expect(fs.existsSync(forcedIndex)).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Per device and per model overrides of the generated states, stored with the key 'states'
+ * in the local overrides and keyed by the id of the state:
+ * {alias: state id, name, unit: converted unit, scale, offset, round: digits, invert: bool, hide: bool}
+ * A numeric value is converted to the unit first, then scaled, offset and rounded.
+ */
+
+// linear conversions between units: value * factor + offset
+const unitConversions = {
+    '°C': {'°F': {factor: 1.8, offset: 32}},
+    '°F': {'°C': {factor: 5 / 9, offset: -160 / 9}},
+    'W': {'kW': {factor: 0.001, offset: 0}},
+    'kW': {'W': {factor: 1000, offset: 0}},
+    'Wh': {'kWh': {factor: 0.001, offset: 0}},
+    'kWh': {'Wh': {factor: 1000, offset: 0}},
+};
+
+function getConversion(statedesc, override) {
+    let factor = 1;
+    let offset = 0;
+    if (override.unit && override.unit !== statedesc.unit) {
+        const conversion = (unitConversions[statedesc.unit] || {})[override.unit];
+        if (conversion) {
+            factor = conversion.factor;
+            offset = conversion.offset;
+        }
+    }
+    const scale = (override.scale !== undefined && override.scale !== '') ? Number(override.scale) : 1;
+    const calibration = (override.offset !== undefined && override.offset !== '') ? Number(override.offset) : 0;
+    return {factor: factor * scale, offset: offset * scale + calibration};
+}
+
+function roundValue(value, digits) {
+    if (digits === undefined || digits === '' || isNaN(digits)) return value;
+    const precision = Math.pow(10, Number(digits));
+    return Math.round(value * precision) / precision;
+}
+
+/**
+ * Checks an override against the state it is meant for, usedIds are the ids of the other states
+ * and the channels of the device.
+ * Returns a description of the problem or undefined.
+ */
+function validateStateOverride(statedesc, override, usedIds) {
+    if (override.alias !== undefined && override.alias !== '' && !/^[a-zA-Z0-9_-]+(\.[a-zA-Z0-9_-]+)*$/.test(override.alias)) {
+        return `alias ${override.alias} is not a valid state id`;
+    }
+    // a state can neither have the id of another state nor be placed in or above its channel
+    if (override.alias && override.alias !== statedesc.id && Array.isArray(usedIds) &&
+        usedIds.some(id => id === override.alias || id.startsWith(`${override.alias}.`) || override.alias.startsWith(`${id}.`))) {
+        return `alias ${override.alias} is already used by another state`;
+    }
+    // the options are read with the original ids and raw values when a command is sent
+    const optionKeys = ['alias', 'hide', 'unit', 'scale', 'offset', 'round', 'invert'].filter(key => override[key] !== undefined && override[key] !== '' && override[key] !== false);
+    if (isOptionState(statedesc) && optionKeys.length) {
+        return `${optionKeys.join(', ')} can not be used for options`;
+    }
+    const numeric = ['unit', 'scale', 'offset', 'round'].filter(key => override[key] !== undefined && override[key] !== '');
+    if (numeric.length && statedesc.type !== 'number') {
+        return `${numeric.join(', ')} can only be used for numbers`;
+    }
+    if (override.unit && override.unit !== statedesc.unit && !(unitConversions[statedesc.unit] || {})[override.unit]) {
+        return `no conversion from ${statedesc.unit || 'no unit'} to ${override.unit}`;
+    }
+    if (override.scale !== undefined && override.scale !== '' && (isNaN(override.scale) || Number(override.scale) === 0)) {
+        return 'scale has to be a number other than 0';
+    }
+    if (override.offset !== undefined && override.offset !== '' && isNaN(override.offset)) {
+        return 'offset has to be a number';
+    }
+    if (override.round !== undefined && override.round !== '' && !(Number.isInteger(Number(override.round)) && Number(override.round) >= 0 && Number(override.round) <= 10)) {
+        return 'round has to be a number of digits between 0 and 10';
+    }
+    if (override.invert && statedesc.type !== 'boolean') {
+        return 'invert can only be used for booleans';
+    }
+    return undefined;
+}
+
+function isOptionState(statedesc) {
+    return Boolean(statedesc.isOption || statedesc.inOptions);
+}
+
+function overrideState(statedesc, override) {
+    const state = Object.assign({}, statedesc);
+    if (override.alias) {
+        state.id = override.alias;
+        // the payload and the converters still use the original key
+        if (!state.prop) {
+            state.prop = statedesc.id;
+        }
+    }
+    if (override.name) {
+        state.name = override.name;
+        state.forceName = true;
+    }
+
+    let toState = undefined;
+    let fromState = undefined;
+    if (statedesc.type === 'number') {
+        const conversion = getConversion(statedesc, override);
+        if (conversion.factor !== 1 || conversion.offset !== 0 || (override.round !== undefined && override.round !== '')) {
+            toState = value => (typeof value === 'number') ? roundValue(value * conversion.factor + conversion.offset, override.round) : value;
+            fromState = value => (value - conversion.offset) / conversion.factor;
+            const limits = [statedesc.min, statedesc.max].map(limit => (limit !== undefined) ? toState(limit) : undefined);
+            // a negative scale swaps the limits
+            state.min = (conversion.factor < 0) ? limits[1] : limits[0];
+            state.max = (conversion.factor < 0) ? limits[0] : limits[1];
+        }
+        if (override.unit) {
+            state.unit = override.unit;
+        }
+    }
+    if (statedesc.type === 'boolean' && override.invert) {
+        toState = value => (typeof value === 'boolean') ? !value : value;
+        fromState = value => !value;
+    }
+
+    if (toState && fromState) {
+        const getter = statedesc.getter;
+        state.getter = payload => {
+            const value = getter ? getter(payload) : payload[statedesc.prop || statedesc.id];
+            // values with an own state id (stateid) are left as they are
+            return (value === undefined || value === null || typeof value === 'object') ? value : toState(value);
+        };
+        const setter = statedesc.setter;
+        state.setter = (value, options) => setter ? setter(fromState(value), options) : fromState(value);
+    }
+    return state;
+}
+
+/**
+ * Returns the states with the overrides applied, hidden states are left out.
+ * Options keep their id and value and are not hidden, they are collected with the raw value for the commands.
+ */
+function applyStateOverrides(states, overrides) {
+    if (!overrides || typeof overrides !== 'object' || Object.keys(overrides).length < 1 || !Array.isArray(states)) {
+        return states;
+    }
+    const result = [];
+    for (const statedesc of states) {
+        const override = statedesc ? overrides[statedesc.id] : undefined;
+        if (!override) {
+            result.push(statedesc);
+        } else if (isOptionState(statedesc)) {
+            result.push(overrideState(statedesc, {name: override.name}));
+        } else if (!override.hide) {
+            result.push(overrideState(statedesc, override));
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    unitConversions,
+    applyStateOverrides,
+    validateStateOverride,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const {expect} = require('chai');
+const {applyStateOverrides, validateStateOverride} = require('./stateOverrides');
+
+const temperature = {id: 'temperature', prop: 'temperature', type: 'number', unit: '°C', min: -20, max: 50, getter: payload => payload.temperature};
+const contact = {id: 'contact', type: 'boolean'};
+const option = {id: 'transition', type: 'number', isOption: true};
+
+describe('stateOverrides', () => {
+    describe('validateStateOverride', () => {
+        it('accepts valid overrides', () => {
+            expect(validateStateOverride(temperature, {alias: 'room.temp', unit: '°F', round: 1}, ['humidity'])).to.be.undefined;
+            expect(validateStateOverride(contact, {invert: true})).to.be.undefined;
+            expect(validateStateOverride(option, {name: 'Transition'})).to.be.undefined;
+        });
+
+        it('refuses invalid and used aliases', () => {
+            expect(validateStateOverride(temperature, {alias: 'room..temp'})).to.equal('alias room..temp is not a valid state id');
+            expect(validateStateOverride(temperature, {alias: 'humidity'}, ['humidity'])).to.equal('alias humidity is already used by another state');
+            expect(validateStateOverride(temperature, {alias: 'network.temp'}, ['network'])).to.equal('alias network.temp is already used by another state');
+            expect(validateStateOverride(temperature, {alias: 'level_config'}, ['level_config.on_level'])).to.equal('alias level_config is already used by another state');
+            expect(validateStateOverride(temperature, {alias: 'temperature'}, ['temperature'])).to.be.undefined;
+        });
+
+        it('refuses everything but the name for options', () => {
+            expect(validateStateOverride(option, {alias: 'fade'})).to.equal('alias can not be used for options');
+            expect(validateStateOverride({...option, isOption: undefined, inOptions: true}, {hide: true})).to.equal('hide can not be used for options');
+            expect(validateStateOverride(option, {scale: 10, offset: 1, round: 0})).to.equal('scale, offset, round can not be used for options');
+            expect(validateStateOverride({id: 'child_lock', type: 'boolean', inOptions: true}, {invert: true})).to.equal('invert can not be used for options');
+        });
+
+        it('checks the numeric and boolean properties', () => {
+            expect(validateStateOverride(contact, {scale: 2})).to.equal('scale can only be used for numbers');
+            expect(validateStateOverride(temperature, {unit: 'kW'})).to.equal('no conversion from °C to kW');
+            expect(validateStateOverride(temperature, {scale: 0})).to.equal('scale has to be a number other than 0');
+            expect(validateStateOverride(temperature, {offset: 'a'})).to.equal('offset has to be a number');
+            expect(validateStateOverride(temperature, {round: 11})).to.equal('round has to be a number of digits between 0 and 10');
+            expect(validateStateOverride(temperature, {invert: true})).to.equal('invert can only be used for booleans');
+        });
+    });
+
+    describe('applyStateOverrides', () => {
+        it('returns the states without overrides', () => {
+            const states = [temperature, contact];
+            expect(applyStateOverrides(states, {})).to.equal(states);
+            expect(applyStateOverrides(states, undefined)).to.equal(states);
+        });
+
+        it('renames a state and keeps the payload key', () => {
+            const [state] = applyStateOverrides([contact], {contact: {alias: 'window', name: 'Window'}});
+            expect(state).to.include({id: 'window', prop: 'contact', name: 'Window', forceName: true});
+            expect(contact.id).to.equal('contact');
+        });
+
+        it('converts, offsets and rounds numbers both ways', () => {
+            const [state] = applyStateOverrides([temperature], {temperature: {unit: '°F', offset: 1, round: 1}});
+            expect(state.unit).to.equal('°F');
+            expect(state.min).to.equal(-3);
+            expect(state.max).to.equal(123);
+            expect(state.getter({temperature: 21.5})).to.equal(71.7);
+            expect(state.setter(71.7)).to.be.closeTo(21.5, 0.001);
+        });
+
+        it('swaps the limits of a negative scale', () => {
+            const [state] = applyStateOverrides([temperature], {temperature: {scale: -1}});
+            expect(state.min).to.equal(-50);
+            expect(state.max).to.equal(20);
+        });
+
+        it('inverts booleans', () => {
+            const [state] = applyStateOverrides([contact], {contact: {invert: true}});
+            expect(state.getter({contact: true})).to.equal(false);
+            expect(state.setter(false)).to.equal(true);
+        });
+
+        it('hides states but keeps the id and visibility of options', () => {
+            const states = applyStateOverrides([temperature, option], {temperature: {hide: true}, transition: {alias: 'fade', hide: true}});
+            expect(states.map(state => state.id)).to.deep.equal(['transition']);
+        });
+
+        it('changes only the name of options', () => {
+            const setter = value => value * 10;
+            const [state] = applyStateOverrides([{...option, setter}], {transition: {name: 'Fade', scale: 2, offset: 1}});
+            expect(state).to.include({id: 'transition', name: 'Fade', setter});
+        });
+    });
+});
@@ -93,6 +93,27 @@ const states = {
         read: true,
         type: 'boolean'
     },
+    last_seen: {
+        id: 'last_seen',
+        prop: 'last_seen',
+        name: 'Last seen',
+        icon: undefined,
+        role: 'value.time',
+        write: false,
+        read: true,
+        type: 'number',
+    },
+    expected_interval: {
+        id: 'expected_interval',
+        prop: 'expected_interval',
+        name: 'Expected reporting interval',
+        icon: undefined,
+        role: 'value.interval',
+        write: false,
+        read: true,
+        type: 'number',
+        unit: 's',
+    },
     device_query: { // button to trigger device read
         id: 'device_query',
         prop: 'device_query',
@@ -122,6 +143,28 @@ const states = {
         read: true,
         type: 'string',
     },
+    members_available: {
+        id: 'members_available',
+        prop: 'members_available',
+        name: 'Available group members',
+        icon: undefined,
+        role: 'value',
+        write: false,
+        read: true,
+        type: 'number',
+    },
+    scene_recall: {
+        id: 'scene_recall',
+        prop: 'scene_recall',
+        name: 'Recall scene',
+        icon: undefined,
+        role: 'level',
+        write: true,
+        read: false,
+        type: 'number',
+        min: 0,
+        max: 255,
+    },
     checking: { // press button for checking
         id: 'checking',
         name: 'Start checking process',
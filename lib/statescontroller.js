@@ -7,6 +7,8 @@ const getZbId = require('./utils').getZbId;
 const fs = require('fs');
 const axios = require('axios');
 const localConfig = require('./localConfig');
+const {applyStateOverrides} = require('./stateOverrides');
+const {loadMappingTemplates} = require('./mappingTemplates');
 //const { deviceAddCustomCluster } = require('zigbee-herdsman-converters/lib/modernExtend');
 //const { setDefaultAutoSelectFamilyAttemptTimeout } = require('net');
 //const { runInThisContext } = require('vm');
@@ -32,6 +34,7 @@ class StatesController extends EventEmitter {
         this.ImagesToDownload = [];
         this.stashedErrors = {};
         this.stashedUnknownModels = [];
+        this.auxiliaryChannels = new Set();
     }
 
     info(message, data) {
@@ -93,7 +96,12 @@ class StatesController extends EventEmitter {
         }
         else {
             const pre = statesMapping.devices.length;
-            await statesMapping.addExposeToDevices(device, this, model);
+            // lists of the model may be expanded to one state per item, composites may get a JSON state
+            const options = {
+                expandLists: this.localConfig.getOverrideWithKey(model, 'expand_lists', true),
+                compositeJson: this.localConfig.getOverrideWithKey(model, 'composite_json', true),
+            };
+            await statesMapping.addExposeToDevices(device, this, model, options);
             const post = statesMapping.devices.length;
             //this.warn('expose for ' + model + ' '+ pre + '->'+post);
         }
@@ -243,7 +251,7 @@ class StatesController extends EventEmitter {
         }
     }
 
-    async getDevStates(deviceId, model) {
+    async getDevStates(deviceId, model, noOverrides) {
         try {
             let states;
             let stateModel;
@@ -269,6 +277,9 @@ class StatesController extends EventEmitter {
                         states = states(entity);
                     }
                 }
+                if (!noOverrides) {
+                    states = applyStateOverrides(states, this.localConfig.getStateOverrides(`${deviceId}`.replace('0x', ''), model));
+                }
             }
             return {states, stateModel};
         } catch (error) {
@@ -375,6 +386,12 @@ class StatesController extends EventEmitter {
         this.adapter.extendObject(id, {common: {name: objName}});
     }
 
+    // states in these channels are maintained by the plugins, not by the
+    // device definition - they are never treated as orphaned states.
+    registerAuxiliaryChannel(channel) {
+        this.auxiliaryChannels.add(channel);
+    }
+
     verifyDeviceName(id, model ,name) {
         const savedId = id.replace(`${this.adapter.namespace}.`, '');
         return this.localConfig.NameForId(id, model, name);
@@ -421,6 +438,9 @@ class StatesController extends EventEmitter {
                     } else {
                         statename = arr[1];
                     }
+                    if (this.auxiliaryChannels.has(statename.split('.')[0])) {
+                        return;
+                    }
                     if (commonStates.find(statedesc => statename === statedesc.id) === undefined &&
                         devStates.states.find(statedesc => statename === statedesc.id) === undefined
                     ) {
@@ -504,8 +524,8 @@ class StatesController extends EventEmitter {
                 const stobj = await this.adapter.getObjectAsync(stateId);
                 let hasChanges = false;
                 if (stobj) {
-                    // update state - not change name and role (user can it changed)
-                    if (stobj.common.name) {
+                    // update state - not change name and role (user can it changed), except for a name from the state overrides
+                    if (stobj.common.name && !(common && common.forceName)) {
                         delete new_common.name;
                     } else {
                         new_common.name = `${new_name} ${new_common.name}`;
@@ -817,6 +837,12 @@ class StatesController extends EventEmitter {
                     continue;
                 }
             }
+            // scenes can only be recalled on devices with a scenes server cluster
+            if (statedesc.id === 'scene_recall') {
+                if (!dev.endpoints.some(ep => ep.supportsInputCluster('genScenes'))) {
+                    continue;
+                }
+            }
             // lazy states
             if (statedesc.lazy) {
                 continue;
@@ -833,17 +859,45 @@ class StatesController extends EventEmitter {
                 min: statedesc.min,
                 max: statedesc.max,
                 states: statedesc.states,
+                forceName: statedesc.forceName,
             };
+            if (statedesc.legacyId && !states.some(st => st && st.id === statedesc.legacyId)) {
+                await this.migrateLegacyState(devId, statedesc, common);
+            }
             this.updateState(devId, statedesc.id, undefined, common);
         }
         this.deleteOrphanedDeviceStates(dev.ieeeAddr, model, false, undefined, true);
     }
 
+    /**
+     * Moves a state which got a new id (statedesc.legacyId -> statedesc.id) to the new id: the value, the name
+     * and the custom settings (e.g. of history adapters) are taken over, the old state is deleted.
+     * Recorded history, aliases and scripts still refer to the old id.
+     */
+    async migrateLegacyState(devId, statedesc, common) {
+        const oldId = `${devId}.${statedesc.legacyId}`;
+        const newId = `${devId}.${statedesc.id}`;
+        try {
+            const oldObj = await this.adapter.getObjectAsync(oldId);
+            if (!oldObj || oldObj.type !== 'state' || await this.adapter.getObjectAsync(newId)) {
+                return;
+            }
+            const oldState = await this.adapter.getStateAsync(oldId);
+            await this.updateState(devId, statedesc.id, oldState ? oldState.val : undefined, common);
+            await this.adapter.extendObjectAsync(newId, {common: {name: oldObj.common.name, custom: oldObj.common.custom}});
+            await this.adapter.delObjectAsync(oldId);
+            this.warn(`State ${oldId} moved to ${newId}, history, aliases and scripts using the old id have to be changed`);
+        } catch (/** @type {any} */ error) {
+            this.error(`Unable to move state ${oldId} to ${newId}: ${error && error.message ? error.message : 'no error message'}`);
+        }
+    }
+
     async getExposes() {
         await this.localConfig.init();
         await this.applyLegacyDevices();
         try {
-            statesMapping.fillStatesWithExposes(this);
+            const templates = loadMappingTemplates(this.adapter.expandFileName('mappings').replace('.', '_'), this);
+            statesMapping.fillStatesWithExposes(this, templates);
         }
         catch (error) {
             this.error(`Error applying exposes: ${error && error.message ? error.message : 'no error message'} ${error && error.stack ? error.stack : ''}`);
@@ -914,6 +968,7 @@ class StatesController extends EventEmitter {
                         role: statedesc.role,
                         min: statedesc.min,
                         max: statedesc.max,
+                        forceName: statedesc.forceName,
                     };
 
                     if (typeof value === 'object' && value.hasOwnProperty('stateid')) {
@@ -142,6 +142,31 @@ function getModelRegEx( model) {
     return stripModel;
 }
 
+// wifi channels (2.4 GHz, 22 MHz wide) overlapping the given zigbee channel (2 MHz wide)
+function getOverlappingWifiChannels(zigbeeChannel, wifiChannels) {
+    const zigbeeFreq = 2405 + 5 * (zigbeeChannel - 11);
+    return wifiChannels.filter(wifiChannel => {
+        const wifiFreq = (wifiChannel == 14 ? 2484 : 2407 + 5 * wifiChannel);
+        return Math.abs(zigbeeFreq - wifiFreq) < 12;
+    });
+}
+
+// the extended pan id in the config is written msb first, the nv backup stores it lsb first
+function reverseHex(hex) {
+    return (hex.match(/../g) || []).reverse().join('');
+}
+
+// network parameters of a zigbee-herdsman nv backup, written as in the config
+function getNvBackupNetwork(nvBackup) {
+    return {
+        panID: parseInt(nvBackup.pan_id, 16),
+        extPanID: reverseHex(String(nvBackup.extended_pan_id).toLowerCase()),
+        channel: nvBackup.channel,
+        precfgkey: nvBackup.network_key ? String(nvBackup.network_key.key).toLowerCase() : undefined,
+        coordinator: nvBackup.coordinator_ieee,
+    };
+}
+
 function getEntityInfo(entity) {
     if (entity) {
         return `Type: ${entity.type} Name: ${entity.name}`;
@@ -159,6 +184,8 @@ exports.decimalToHex            = decimalToHex;
 exports.getZbId                 = getZbId;
 exports.getAdId                 = getAdId;
 exports.getModelRegEx           = getModelRegEx;
+exports.reverseHex              = reverseHex;
+exports.getNvBackupNetwork      = getNvBackupNetwork;
 exports.isRouter                = device => (device.type === 'Router' || (typeof device.powerSource == 'string' && device.powerSource.startsWith('Mains'))) && !forceEndDevice.includes(device.modelID);
 exports.isBatteryPowered        = device => device.powerSource && device.powerSource === 'Battery';
 exports.isXiaomiDevice          = device =>
@@ -168,3 +195,4 @@ exports.isXiaomiDevice          = device =>
 exports.isIkeaTradfriDevice     = device => ikeaTradfriManufacturerID.includes(device.manufacturerID);
 exports.getDeviceIcon           = getDeviceIcon;
 exports.getEntityInfo           = getEntityInfo;
+exports.getOverlappingWifiChannels = getOverlappingWifiChannels;
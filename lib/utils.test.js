@@ -0,0 +1,29 @@
+'use strict';
+
+const {expect} = require('chai');
+const utils = require('./utils');
+
+describe('utils', () => {
+    describe('getNvBackupNetwork', () => {
+        it('writes the extended pan id msb first as in the config', () => {
+            expect(utils.reverseHex('0807060504030201')).to.equal('0102030405060708');
+            expect(utils.getNvBackupNetwork({
+                pan_id: '1a62',
+                extended_pan_id: '0807060504030201',
+                channel: 15,
+                network_key: {key: '01030507090B0D0F00020406080A0C0D'},
+                coordinator_ieee: '00124b0000000001',
+            })).to.deep.equal({
+                panID: 0x1a62,
+                extPanID: '0102030405060708',
+                channel: 15,
+                precfgkey: '01030507090b0d0f00020406080a0c0d',
+                coordinator: '00124b0000000001',
+            });
+        });
+
+        it('leaves the network key out if the backup has none', () => {
+            expect(utils.getNvBackupNetwork({pan_id: '1a62', extended_pan_id: 'DDDDDDDDDDDDDDDD', channel: 11}).precfgkey).to.be.undefined;
+        });
+    });
+});
@@ -19,6 +19,11 @@ const Hours25 = 1000 * 60 * 60 * 25;
 const MinAvailabilityTimeout = 300; // ping every 5 minutes with few devices
 const MaxAvailabilityTimeout = 1800; // ping every 30 minutes with many devices;
 const AverageTimeBetweenPings = 45; // on average, plan for 30 seconds between pings.
+const IntervalSamples = 10; // number of message intervals used to learn the reporting interval
+const MinLearnedSamples = 3; // learned interval is used with at least 3 samples
+const MinIntervalSample = 10 * 1000; // shorter gaps are part of the same report
+const IntervalFactor = 3; // unavailable after 3 times the longest interval without a message
+const LastSeenThrottle = 60 * 1000; // publish last_seen at most once a minute
 
 /**
  * This extensions pings devices to check if they are online.
@@ -47,6 +52,148 @@ class DeviceAvailability extends BaseExtension {
         this.name = 'DeviceAvailability';
         this.elevate_debug = false;
         this.isStarted = false;
+        this.models = {};
+        this.reasons = {};
+        this.intervals = {};
+    }
+
+    // remembers the gaps between messages of a device, short gaps are ignored
+    learnInterval(device) {
+        const now = Date.now();
+        const interval = this.intervals[device.ieeeAddr] || {samples: []};
+        if (interval.last && now - interval.last >= MinIntervalSample) {
+            interval.samples.push(now - interval.last);
+            interval.samples = interval.samples.slice(-IntervalSamples);
+        }
+        if (!interval.last || now - interval.last >= MinIntervalSample) {
+            interval.last = now;
+        }
+        this.intervals[device.ieeeAddr] = interval;
+    }
+
+    /**
+     * The expected time between two messages in ms. Event driven sensors send bursts and stay quiet in between,
+     * so the longest learned message interval is used. It is never shorter than the longest maximum reporting
+     * interval or the poll control check-in interval configured on the device.
+     */
+    getExpectedInterval(device) {
+        let configured = undefined;
+        let maxReportInterval = 0;
+        for (const endpoint of device.endpoints || []) {
+            for (const reporting of endpoint.configuredReportings || []) {
+                if (reporting.maximumReportInterval > 0 && reporting.maximumReportInterval < 0xFFFF) {
+                    maxReportInterval = Math.max(maxReportInterval, reporting.maximumReportInterval);
+                }
+            }
+        }
+        if (maxReportInterval > 0) {
+            configured = {interval: utils.secondsToMilliseconds(maxReportInterval), source: 'reporting'};
+        }
+        if (device.checkinInterval > 0 && (!configured || utils.secondsToMilliseconds(device.checkinInterval) > configured.interval)) {
+            configured = {interval: utils.secondsToMilliseconds(device.checkinInterval), source: 'checkin'};
+        }
+        const interval = this.intervals[device.ieeeAddr];
+        if (interval && interval.samples.length >= MinLearnedSamples) {
+            const learned = Math.max(...interval.samples);
+            if (!configured || learned >= configured.interval) {
+                return {interval: learned, source: 'learned'};
+            }
+        }
+        return configured;
+    }
+
+    async publishLastSeen(device, force) {
+        const interval = this.intervals[device.ieeeAddr] || {samples: []};
+        const now = Date.now();
+        if (!force && interval.published && now - interval.published < LastSeenThrottle) {
+            return;
+        }
+        interval.published = now;
+        this.intervals[device.ieeeAddr] = interval;
+        const model = this.models[device.ieeeAddr];
+        if (!model) {
+            return;
+        }
+        const payload = {last_seen: device.lastSeen || now};
+        const expected = this.getExpectedInterval(device);
+        if (expected) {
+            payload.expected_interval = Math.round(expected.interval / 1000);
+        }
+        this.zigbee.emit('publish', device.ieeeAddr.substr(2), model, payload);
+    }
+
+    // seeds the learned interval with the value stored before the restart
+    async restoreExpectedInterval(device) {
+        try {
+            const state = await this.zigbee.adapter.getStateAsync(`${device.ieeeAddr.substr(2)}.expected_interval`);
+            if (state && state.val > 0 && !this.intervals[device.ieeeAddr]) {
+                this.intervals[device.ieeeAddr] = {samples: new Array(MinLearnedSamples).fill(utils.secondsToMilliseconds(state.val)), last: device.lastSeen};
+            }
+        } catch (error) {
+            this.debug(`unable to read expected interval of ${device.ieeeAddr}`);
+        }
+    }
+
+    /**
+     * The availability policy is stored with the key 'availability' in the local overrides,
+     * per device (by_id) or per model (by_model). The device policy wins.
+     * policy: {timeout: seconds, ping: bool, passive: bool, grace: seconds}
+     */
+    getPolicy(device) {
+        const localConfig = this.zigbee.adapter.stController.localConfig;
+        const byDevice = localConfig.getOverrideWithKey(device.ieeeAddr.substr(2), 'availability', false);
+        if (byDevice && typeof byDevice === 'object') {
+            return {policy: byDevice, source: 'device'};
+        }
+        const model = this.models[device.ieeeAddr];
+        const byModel = model ? localConfig.getOverrideWithKey(model, 'availability', true) : undefined;
+        if (byModel && typeof byModel === 'object') {
+            return {policy: byModel, source: 'model'};
+        }
+        return {policy: {}, source: 'default'};
+    }
+
+    getTimeout(device) {
+        const timeout = Number(this.getPolicy(device).policy.timeout);
+        return timeout > 0 ? timeout : this.availability_timeout;
+    }
+
+    rememberModel(device, entity) {
+        if (entity && entity.mapped && entity.mapped.model) {
+            this.models[device.ieeeAddr] = entity.mapped.model;
+        }
+    }
+
+    getAvailabilityInfo(device) {
+        const {policy, source} = this.getPolicy(device);
+        return {
+            policy,
+            source,
+            pingable: this.isPingable(device),
+            timeout: this.getTimeout(device),
+            expectedInterval: this.getExpectedInterval(device),
+            available: this.state[device.ieeeAddr],
+            reason: this.reasons[device.ieeeAddr],
+        };
+    }
+
+    // called when the policy of a device changed
+    async updateAvailabilityPolicy(device) {
+        if (!this.isStarted || this.forcedNonPingable[device.ieeeAddr]) return;
+        if (this.timers[device.ieeeAddr]) {
+            clearTimeout(this.timers[device.ieeeAddr]);
+            clearInterval(this.timers[device.ieeeAddr]);
+        }
+        if (this.isPingable(device)) {
+            this.setTimerPingable(device, 1);
+        } else {
+            this.setIntervalNotPingable(device);
+        }
+    }
+
+    setIntervalNotPingable(device) {
+        this.timers[device.ieeeAddr] = setInterval(() =>
+            this.handleIntervalNotPingable(device), utils.secondsToMilliseconds(Math.min(this.getTimeout(device), this.availability_timeout)));
     }
 
     setOptions(options) {
@@ -69,6 +216,13 @@ class DeviceAvailability extends BaseExtension {
     }
 
     isPingable(device) {
+        const policy = this.getPolicy(device).policy;
+        if (policy.passive) {
+            return false;
+        }
+        if (typeof policy.ping === 'boolean') {
+            return policy.ping;
+        }
 
         if (this.active_ping) {
             if (this.forced_ping && forcedPingable.find(d => d && d.hasOwnProperty('zigbeeModel') && d.zigbeeModel.includes(device.modelID))) {
@@ -89,6 +243,7 @@ class DeviceAvailability extends BaseExtension {
         if (!this.isStarted) return;
         this.debug(`register device Ping for ${JSON.stringify(device.ieeeAddr)}`);
         this.forcedNonPingable[device.ieeeAddr] = false;
+        this.rememberModel(device, entity);
         //        this.warn(`Called registerDevicePing for '${device}' of '${entity}'`);
         if (!this.isPingable(device)) {
             return;
@@ -142,13 +297,14 @@ class DeviceAvailability extends BaseExtension {
         this.isStarted = true;
         //        this.warn('onZigbeeStarted called');
         for (const device of clients) {
+            this.rememberModel(device, await this.zigbee.resolveEntity(device));
             if (this.isPingable(device)) {
                 //                this.setTimerPingable(device);
             } else {
                 //                this.warn(`Setting '${device.ieeeAddr}'  as available - battery driven`);
+                await this.restoreExpectedInterval(device);
                 this.publishAvailability(device, true);
-                this.timers[device.ieeeAddr] = setInterval(() =>
-                    this.handleIntervalNotPingable(device), utils.secondsToMilliseconds(this.availability_timeout));
+                this.setIntervalNotPingable(device);
             }
         }
     }
@@ -171,11 +327,16 @@ class DeviceAvailability extends BaseExtension {
                 //this.warn(`Pinging '${ieeeAddr}' (${device.modelID})`)
                 await device.ping();
                 this.publishAvailability(device, true);
+                this.publishLastSeen(device);
                 //this.warn(`Successfully pinged ${ieeeAddr} (${device.modelID})`);
                 this.setTimerPingable(device, 1);
                 this.ping_counters[device.ieeeAddr].failed = 0;
             } catch (error) {
-                this.publishAvailability(device, false);
+                const grace = Number(this.getPolicy(device).policy.grace) || 0;
+                if (!device.lastSeen || Date.now() - device.lastSeen > utils.secondsToMilliseconds(grace)) {
+                    this.reasons[ieeeAddr] = {ts: Date.now(), reason: `no response to ping (${pingCount.failed + 1} attempts)`};
+                    this.publishAvailability(device, false);
+                }
                 if (pingCount.failed++ <= this.max_ping) {
                     if (pingCount.failed < 2 && pingCount.reported < this.max_ping) {
                         this.warn(`Failed to ping ${ieeeAddr} ${device.modelID}`);
@@ -202,7 +363,20 @@ class DeviceAvailability extends BaseExtension {
         const ago = Date.now() - entity.device.lastSeen;
         this.debug(`Non-pingable device ${entity.device.ieeeAddr} ${entity.device.modelID} was last seen '${ago / 1000}' seconds ago.`);
 
-        if (ago > Hours25) {
+        const policy = this.getPolicy(device).policy;
+        // an explicit timeout wins, then a multiple of the expected reporting interval, otherwise 25 hours
+        const expected = this.getExpectedInterval(device);
+        let limit = Hours25;
+        if (Number(policy.timeout) > 0) {
+            limit = utils.secondsToMilliseconds(Number(policy.timeout));
+        } else if (expected) {
+            limit = Math.max(expected.interval * IntervalFactor, utils.secondsToMilliseconds(MinAvailabilityTimeout));
+        }
+        limit += utils.secondsToMilliseconds(Number(policy.grace) || 0);
+        if (ago > limit) {
+            if (this.state[device.ieeeAddr] !== false) {
+                this.reasons[device.ieeeAddr] = {ts: Date.now(), reason: `not seen for ${Math.round(ago / 60000)} minutes (limit ${Math.round(limit / 60000)} minutes)`};
+            }
             this.publishAvailability(entity.device, false);
         }
     }
@@ -216,7 +390,7 @@ class DeviceAvailability extends BaseExtension {
             clearTimeout(this.timers[device.ieeeAddr]);
         }
         this.timers[device.ieeeAddr] = setTimeout(async () =>
-            await this.handleIntervalPingable(device), utils.secondsToMilliseconds(this.availability_timeout * factor));
+            await this.handleIntervalPingable(device), utils.secondsToMilliseconds(this.getTimeout(device) * factor));
     }
 
     async stop() {
@@ -251,9 +425,13 @@ class DeviceAvailability extends BaseExtension {
         const entity = await this.zigbee.resolveEntity(device);
         if (entity && entity.mapped) {
             const ieeeAddr = device.ieeeAddr;
+            this.rememberModel(device, entity);
             if (this.state.hasOwnProperty(ieeeAddr) && !this.state[ieeeAddr] && available) {
                 this.onReconnect(device);
             }
+            if (available) {
+                delete this.reasons[ieeeAddr];
+            }
 
             if (this.state[ieeeAddr] !== available || force) {
                 this.state[ieeeAddr] = available;
@@ -273,6 +451,10 @@ class DeviceAvailability extends BaseExtension {
         }
 
         this.publishAvailability(device, true);
+        if (!this.isPingable(device)) {
+            this.learnInterval(device);
+        }
+        this.publishLastSeen(device);
 
         if (this.isPingable(device)) {
             // When a zigbee message from a device is received we know the device is still alive.
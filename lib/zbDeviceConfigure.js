@@ -150,6 +150,8 @@ class DeviceConfigure extends BaseExtension {
 
                 device.meta.configured = zigbeeHerdsmanConverters.getConfigureKey(mappedDevice);
                 device.save();
+                // the configure sets the reporting of the converter, the local overrides go on top of it
+                await this.zigbee.callExtensionMethod('applyReportingOverrides', [device, mappedDevice]);
                 this.info(`DeviceConfigure successful ${device.ieeeAddr} ${device.modelID}`);
                 this.delayedConfigureAttempt(device, true);
                 return '';
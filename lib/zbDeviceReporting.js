@@ -0,0 +1,149 @@
+'use strict';
+
+const ZigbeeHerdsman = require('zigbee-herdsman');
+const BaseExtension = require('./zbBaseExtension');
+
+const ReportingKey = 'reporting';
+
+class DeviceReporting extends BaseExtension {
+    constructor(zigbee, options) {
+        super(zigbee, options);
+        this.name = 'DeviceReporting';
+    }
+
+    setOptions(options) {
+        return typeof options === 'object';
+    }
+
+    /**
+     * The reporting overrides are stored with the key 'reporting' in the local overrides,
+     * per device (by_id) or per model (by_model), keyed by '<cluster>.<attribute>':
+     * {min: seconds, max: seconds, change: reportable change, endpoint: optional endpoint id}
+     * The entry of the device wins over the entry of the model.
+     */
+    getReportingOverrides(device, model) {
+        const localConfig = this.zigbee.adapter.stController.localConfig;
+        const result = {};
+        const sources = {
+            model: model ? localConfig.getOverrideWithKey(model, ReportingKey, true) : undefined,
+            device: localConfig.getOverrideWithKey(device.ieeeAddr.substr(2), ReportingKey, false),
+        };
+        for (const source in sources) {
+            if (sources[source] && typeof sources[source] === 'object') {
+                for (const key in sources[source]) {
+                    result[key] = Object.assign({source}, sources[source][key]);
+                }
+            }
+        }
+        return result;
+    }
+
+    // the endpoints which serve the cluster of an override
+    getOverrideEndpoints(device, cluster, override) {
+        return device.endpoints.filter(ep => ep.supportsInputCluster(cluster) &&
+            (override.endpoint === undefined || ep.ID === Number(override.endpoint)));
+    }
+
+    getAttributeId(definition, attribute) {
+        try {
+            return definition.getAttribute(attribute).ID;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    async onZigbeeEvent(data, mappedDevice) {
+        // devices with a configure of the converter get the overrides from the configure extension after
+        // the configure, which would overwrite them otherwise. Only the other ones are handled here.
+        if (data.status === 'successful' && data.device && !(mappedDevice && mappedDevice.configure)) {
+            await this.applyReportingOverrides(data.device, mappedDevice);
+        }
+    }
+
+    async applyReportingOverrides(device, mappedDevice) {
+        const errors = [];
+        try {
+            const overrides = this.getReportingOverrides(device, mappedDevice ? mappedDevice.model : undefined);
+            for (const key in overrides) {
+                const [cluster, attribute] = key.split('.');
+                const override = overrides[key];
+                for (const endpoint of this.getOverrideEndpoints(device, cluster, override)) {
+                    try {
+                        await endpoint.configureReporting(cluster, [{
+                            attribute,
+                            minimumReportInterval: Number(override.min),
+                            maximumReportInterval: Number(override.max),
+                            reportableChange: Number(override.change) || 0,
+                        }]);
+                        this.debug(`Reporting of ${key} on ${device.ieeeAddr}/${endpoint.ID} set to ${override.min}-${override.max}s, change ${override.change}`);
+                    } catch (/** @type {any} */ error) {
+                        errors.push(`${endpoint.ID}/${key}: ${error && error.message ? error.message : 'no error message'}`);
+                    }
+                }
+            }
+            if (errors.length) {
+                this.warn(`Failed to apply reporting overrides to ${device.ieeeAddr}: ${errors.join(', ')}`);
+            }
+        } catch (/** @type {any} */ error) {
+            this.sendError(error);
+            this.error(`Failed to apply reporting overrides to ${device.ieeeAddr} (${error && error.message ? error.message : 'no error message'})`);
+            errors.push(error && error.message ? error.message : 'no error message');
+        }
+        return errors;
+    }
+
+    /**
+     * Reads the reporting configuration (readReportConfig) of the attributes the device was configured
+     * to report and of the attributes with an override.
+     * result: [{endpoint, cluster, attribute, min, max, change, status, error, override}]
+     */
+    async readReportingConfig(device, mappedDevice) {
+        const overrides = this.getReportingOverrides(device, mappedDevice ? mappedDevice.model : undefined);
+        const result = [];
+        for (const endpoint of device.endpoints) {
+            const attributes = {};
+            const add = (cluster, attribute) => {
+                attributes[cluster] = attributes[cluster] || new Set();
+                attributes[cluster].add(attribute);
+            };
+            for (const reporting of endpoint.configuredReportings) {
+                add(reporting.cluster.name, reporting.attribute.name);
+            }
+            for (const key in overrides) {
+                const [cluster, attribute] = key.split('.');
+                if (this.getOverrideEndpoints(device, cluster, overrides[key]).includes(endpoint)) {
+                    add(cluster, attribute);
+                }
+            }
+            for (const cluster in attributes) {
+                /** @type {{endpoint: number, cluster: string, attribute: string, override: object, status?: string | number, min?: number, max?: number, change?: number, error?: string}[]} */
+                const entries = [...attributes[cluster]].map(attribute =>
+                    ({endpoint: endpoint.ID, cluster, attribute, override: overrides[`${cluster}.${attribute}`]}));
+                try {
+                    const definition = ZigbeeHerdsman.Zcl.Utils.getCluster(cluster, device.manufacturerID, device.customClusters);
+                    const known = entries.filter(entry => this.getAttributeId(definition, entry.attribute) !== undefined);
+                    const frame = await endpoint.zclCommand(cluster, 'readReportConfig',
+                        known.map(entry => ({direction: 0, attrId: this.getAttributeId(definition, entry.attribute)})), {});
+                    for (const record of frame && Array.isArray(frame.payload) ? frame.payload : []) {
+                        const entry = known.find(entry => this.getAttributeId(definition, entry.attribute) === record.attrId);
+                        if (!entry) continue;
+                        entry.status = ZigbeeHerdsman.Zcl.Status[record.status] || record.status;
+                        if (record.status === ZigbeeHerdsman.Zcl.Status.SUCCESS) {
+                            entry.min = record.minRepIntval;
+                            entry.max = record.maxRepIntval;
+                            entry.change = record.repChange;
+                        }
+                    }
+                } catch (/** @type {any} */ error) {
+                    for (const entry of entries) {
+                        entry.error = error && error.message ? error.message : 'no error message';
+                    }
+                }
+                result.push(...entries);
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = DeviceReporting;
@@ -0,0 +1,77 @@
+'use strict';
+
+const {expect} = require('chai');
+const DeviceReporting = require('./zbDeviceReporting');
+
+function createReporting(byId, byModel) {
+    const localConfig = {
+        getOverrideWithKey: (target, key, isGlobal) => ((isGlobal ? byModel : byId)[target] || {})[key],
+    };
+    const log = () => {};
+    return new DeviceReporting({adapter: {stController: {localConfig}}, info: log, debug: log, warn: log, error: log}, {});
+}
+
+function createEndpoint(ID, clusters, configured) {
+    return {
+        ID,
+        supportsInputCluster: cluster => clusters.includes(cluster),
+        configureReporting: async (cluster, items) => {
+            if (configured instanceof Error) throw configured;
+            configured.push({endpoint: ID, cluster, ...items[0]});
+        },
+    };
+}
+
+describe('zbDeviceReporting', () => {
+    describe('getReportingOverrides', () => {
+        const device = {ieeeAddr: '0x00124b0000000001'};
+
+        it('takes the entries of the device over the ones of the model', () => {
+            const reporting = createReporting(
+                {'00124b0000000001': {reporting: {'genOnOff.onOff': {min: 1, max: 60}}}},
+                {'TS011F': {reporting: {'genOnOff.onOff': {min: 10, max: 600}, 'msTemperatureMeasurement.measuredValue': {min: 30, max: 300, change: 10}}}},
+            );
+            expect(reporting.getReportingOverrides(device, 'TS011F')).to.deep.equal({
+                'genOnOff.onOff': {source: 'device', min: 1, max: 60},
+                'msTemperatureMeasurement.measuredValue': {source: 'model', min: 30, max: 300, change: 10},
+            });
+        });
+
+        it('leaves out the model entries without a model', () => {
+            const reporting = createReporting({}, {'TS011F': {reporting: {'genOnOff.onOff': {min: 10, max: 600}}}});
+            expect(reporting.getReportingOverrides(device, undefined)).to.deep.equal({});
+            expect(reporting.getReportingOverrides(device, 'TS011F')).to.deep.equal({'genOnOff.onOff': {source: 'model', min: 10, max: 600}});
+        });
+
+        it('ignores entries which are no objects', () => {
+            const reporting = createReporting({'00124b0000000001': {reporting: 'invalid'}}, {});
+            expect(reporting.getReportingOverrides(device, 'TS011F')).to.deep.equal({});
+        });
+    });
+
+    describe('applyReportingOverrides', () => {
+        it('configures the endpoints which serve the cluster or the given endpoint', async () => {
+            const configured = [];
+            const reporting = createReporting({'0001': {reporting: {
+                'genOnOff.onOff': {min: 1, max: 60},
+                'haElectricalMeasurement.activePower': {min: 5, max: 300, change: '2', endpoint: '2'},
+            }}}, {});
+            const device = {ieeeAddr: '0x0001', endpoints: [
+                createEndpoint(1, ['genOnOff', 'haElectricalMeasurement'], configured),
+                createEndpoint(2, ['genOnOff', 'haElectricalMeasurement'], configured),
+            ]};
+            expect(await reporting.applyReportingOverrides(device, undefined)).to.deep.equal([]);
+            expect(configured).to.deep.equal([
+                {endpoint: 1, cluster: 'genOnOff', attribute: 'onOff', minimumReportInterval: 1, maximumReportInterval: 60, reportableChange: 0},
+                {endpoint: 2, cluster: 'genOnOff', attribute: 'onOff', minimumReportInterval: 1, maximumReportInterval: 60, reportableChange: 0},
+                {endpoint: 2, cluster: 'haElectricalMeasurement', attribute: 'activePower', minimumReportInterval: 5, maximumReportInterval: 300, reportableChange: 2},
+            ]);
+        });
+
+        it('returns the failed endpoints', async () => {
+            const reporting = createReporting({'0001': {reporting: {'genOnOff.onOff': {min: 1, max: 60}}}}, {});
+            const device = {ieeeAddr: '0x0001', endpoints: [createEndpoint(1, ['genOnOff'], new Error('UNSUPPORTED_ATTRIBUTE'))]};
+            expect(await reporting.applyReportingOverrides(device, undefined)).to.deep.equal(['1/genOnOff.onOff: UNSUPPORTED_ATTRIBUTE']);
+        });
+    });
+});
@@ -9,6 +9,7 @@ const EventEmitter = require('events').EventEmitter;
 const safeJsonStringify = require('./json');
 const DeviceAvailabilityExt = require('./zbDeviceAvailability');
 const DeviceConfigureExt = require('./zbDeviceConfigure');
+const DeviceReportingExt = require('./zbDeviceReporting');
 const DeviceEventExt = require('./zbDeviceEvent');
 const DelayedActionExt = require('./zbDelayedAction');
 const Groups = require('./groups');
@@ -30,7 +31,8 @@ const groupConverters = [
     zigbeeHerdsmanConverters.toZigbee.light_colortemp_step,
     zigbeeHerdsmanConverters.toZigbee.light_colortemp_move,
     zigbeeHerdsmanConverters.toZigbee.light_hue_saturation_move,
-    zigbeeHerdsmanConverters.toZigbee.light_hue_saturation_step
+    zigbeeHerdsmanConverters.toZigbee.light_hue_saturation_step,
+    zigbeeHerdsmanConverters.toZigbee.scene_recall
 
 
     /*   zigbeeHerdsmanConverters.toZigbeeConverters.light_onoff_brightness,
@@ -66,9 +68,11 @@ class ZigbeeController extends EventEmitter {
         this.adapter = adapter;
         this._permitJoinTime = 0;
         this.herdsmanStarted = false;
+        this.stopping = false;
         this.extensions = [
             new DeviceAvailabilityExt(this, {}),
             new DeviceConfigureExt(this, {}),
+            new DeviceReportingExt(this, {}),
             new DeviceEventExt(this, {}),
             new DelayedActionExt(this, {}),
         ];
@@ -145,16 +149,19 @@ class ZigbeeController extends EventEmitter {
             this.herdsman.on('deviceInterview', this.handleDeviceInterview.bind(this));
             this.herdsman.on('deviceJoined', this.handleDeviceJoined.bind(this));
             this.herdsman.on('deviceLeave', this.handleDeviceLeave.bind(this));
+            this.herdsman.on('lastSeenChanged', this.handleLastSeenChanged.bind(this));
             this.herdsman.on('message', this.handleMessage.bind(this));
             this.herdsman.on('permitJoinChanged', this.handlePermitJoinChanged.bind(this));
 
             this.info('Starting Zigbee-Herdsman');
+            this.stopping = false;
             await this.herdsman.start();
             this.herdsmanStarted = true;
             this.info(`Zigbee-Herdsman started successfully with Coordinator firmware version: ${JSON.stringify(await this.herdsman.getCoordinatorVersion())}`);
 
             // debug info from herdsman getNetworkParameters
             const debNetworkParam = JSON.parse(JSON.stringify(await this.herdsman.getNetworkParameters()));
+            this.coordinatorNetwork = debNetworkParam;
             const extendedPanIDDebug = typeof debNetworkParam.extendedPanID === 'string' ? debNetworkParam.extendedPanID.replace('0x', '') : debNetworkParam.extendedPanID;
 
             let extPanIDDebug = '';
@@ -167,6 +174,7 @@ class ZigbeeController extends EventEmitter {
         } catch (e) {
             try {
                 const debNetworkParam = JSON.parse(JSON.stringify(await this.herdsman.getNetworkParameters()));
+                this.coordinatorNetwork = debNetworkParam;
                 const extendedPanIDDebug = typeof debNetworkParam.extendedPanID === 'string' ? debNetworkParam.extendedPanID.replace('0x', '') : debNetworkParam.extendedPanID;
 
                 let extPanIDDebug = '';
@@ -177,6 +185,7 @@ class ZigbeeController extends EventEmitter {
                 }
                 this.warn(`Network parameters in Config     : panID=${this.herdsmanLogSettings.panID} channel=${this.herdsmanLogSettings.channel} extendedPanID=${this.herdsmanLogSettings.extendedPanID}`)
                 this.warn(`Network parameters on Coordinator: panID=${debNetworkParam.panID} channel=${debNetworkParam.channel} extendedPanID=${extPanIDDebug}`);
+                this.warn('Use the network migration in the adapter settings to adopt the coordinator or backup values');
             }
             catch (error) {
                 this.warn(`Unable to obtain herdsman settings`)
@@ -631,6 +640,7 @@ class ZigbeeController extends EventEmitter {
 
     // Stop controller
     async stop() {
+        this.stopping = true;
         // Call extensions
         try {
             await this.callExtensionMethod('stop', []);
@@ -760,8 +770,16 @@ class ZigbeeController extends EventEmitter {
         }
     }
 
+    handleLastSeenChanged(message) {
+        // known devices which join again do not get a deviceJoined event
+        if (message.reason === 'deviceJoined' && message.device.interviewCompleted) {
+            this.adapter.diagnostics.record(message.device.ieeeAddr, 'rejoin');
+        }
+    }
+
     async handleDeviceAnnounce(message) {
         this.debug('handleDeviceAnnounce', message);
+        this.adapter.diagnostics.record(message.device.ieeeAddr, 'announce');
         const entity = await this.resolveEntity(message.device || message.ieeeAddr);
         const friendlyName = entity.name;
         if (this.warnOnDeviceAnnouncement) {
@@ -870,76 +888,92 @@ class ZigbeeController extends EventEmitter {
         );
     }
 
-    async getMap(callback) {
-        try {
-            this.info('Collecting Map Data');
-            const devices = this.herdsman.getDevices(true);
-            const lqis = [];
-            const routing = [];
-            const errors = [];
+    async collectMapData(device, lqis, routing, errors) {
+        let resolved = await this.resolveEntity(device, 0);
+        if (!resolved) {
+            resolved = { name:'unresolved device', device:device }
+            this.warn('resolve Entity failed for ' + device.ieeeAddr)
+        }
+        let result;
 
-            await Promise.all(devices.filter((d) => d.type !== 'EndDevice').map(async device =>
-            {
-                let resolved = await this.resolveEntity(device, 0);
-                if (!resolved) {
-                    resolved = { name:'unresolved device', device:device }
-                    this.warn('resolve Entity failed for ' + device.ieeeAddr)
-                }
-                let result;
+        try {
+            result = await device.lqi();
+        } catch (error) {
+            errors.push(`Failed to execute LQI for '${resolved ? resolved.name : 'unresolved device'} (${resolved ? resolved.device.modelID : 'unknown'}') : ${this.filterHerdsmanError(error.message)}.`);
+            lqis.push({
+                parent: 'undefined',
+                networkAddress: 0,
+                ieeeAddr: device.ieeeAddr,
+                lqi: 'undefined',
+                relationship: 0,
+                depth: 0,
+                status: 'offline',
+            });
+        }
 
-                try {
-                    result = await device.lqi();
-                } catch (error) {
-                    errors.push(`Failed to execute LQI for '${resolved ? resolved.name : 'unresolved device'} (${resolved ? resolved.device.modelID : 'unknown'}') : ${this.filterHerdsmanError(error.message)}.`);
+        if (result !== undefined) {
+            for (const dev of result.neighbors) {
+                if (dev !== undefined && dev.ieeeAddr !== '0xffffffffffffffff') {
                     lqis.push({
-                        parent: 'undefined',
-                        networkAddress: 0,
-                        ieeeAddr: device.ieeeAddr,
-                        lqi: 'undefined',
-                        relationship: 0,
-                        depth: 0,
-                        status: 'offline',
+                        parent: (resolved ? resolved.device.ieeeAddr : undefined),
+                        networkAddress: dev.networkAddress,
+                        ieeeAddr: dev.ieeeAddr,
+                        lqi: dev.linkquality,
+                        relationship: dev.relationship,
+                        depth: dev.depth,
+                        status: dev.linkquality > 0 ? 'online' : 'offline',
                     });
                 }
+            }
+        }
 
-                if (result !== undefined) {
-                    for (const dev of result.neighbors) {
-                        if (dev !== undefined && dev.ieeeAddr !== '0xffffffffffffffff') {
-                            lqis.push({
-                                parent: (resolved ? resolved.device.ieeeAddr : undefined),
-                                networkAddress: dev.networkAddress,
-                                ieeeAddr: dev.ieeeAddr,
-                                lqi: dev.linkquality,
-                                relationship: dev.relationship,
-                                depth: dev.depth,
-                                status: dev.linkquality > 0 ? 'online' : 'offline',
-                            });
-                        }
-                    }
-                }
+        try {
+            result = await device.routingTable();
+        } catch (error) {
+            if (error) {
+                errors.push(`Failed to collect routing table for '${resolved ? resolved.name : 'unresolved device'} (${resolved ? resolved.device.modelID : 'unknown'}') : ${this.filterHerdsmanError(error.message)}`);
+            }
+        }
 
-                try {
-                    result = await device.routingTable();
-                } catch (error) {
-                    if (error) {
-                        errors.push(`Failed to collect routing table for '${resolved ? resolved.name : 'unresolved device'} (${resolved ? resolved.device.modelID : 'unknown'}') : ${this.filterHerdsmanError(error.message)}`);
-                    }
+        if (result !== undefined) {
+            if (result.table !== undefined) {
+                for (const dev of result.table) {
+                    routing.push({
+                        source: resolved.device.ieeeAddr,
+                        destination: dev.destinationAddress,
+                        nextHop: dev.nextHop,
+                        status: dev.status,
+                    });
                 }
+            }
+        }
+    }
 
-                if (result !== undefined) {
-                    if (result.table !== undefined) {
-                        for (const dev of result.table) {
-                            routing.push({
-                                source: resolved.device.ieeeAddr,
-                                destination: dev.destinationAddress,
-                                nextHop: dev.nextHop,
-                                status: dev.status,
-                            });
-                        }
+    // options.delay: if set, the routers are queried one after the other with
+    // the given delay (ms) between them instead of all at once.
+    async getMap(callback, options) {
+        const delay = options && options.delay > 0 ? options.delay : 0;
+        try {
+            this.info('Collecting Map Data');
+            const devices = this.herdsman.getDevices(true);
+            const lqis = [];
+            const routing = [];
+            const errors = [];
+            const routers = devices.filter((d) => d.type !== 'EndDevice');
+
+            if (delay) {
+                for (const device of routers) {
+                    // a slow collection is not continued after the adapter is stopped
+                    if (this.stopping) {
+                        this.info('Map data collection cancelled');
+                        return;
                     }
+                    await this.collectMapData(device, lqis, routing, errors);
+                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
+            } else {
+                await Promise.all(routers.map(device => this.collectMapData(device, lqis, routing, errors)));
             }
-            ));
 
             callback && callback({lqis, routing, errors});
             if (errors.length) {
@@ -955,6 +989,35 @@ class ZigbeeController extends EventEmitter {
         }
     }
 
+    /**
+     * Reads the binding table of a device (ZDO Mgmt_Bind), the device returns only a few entries per request.
+     * herdsman has no public method for it, so the request is sent through its adapter.
+     * @returns {Promise<import('zigbee-herdsman/dist/zspec/zdo/definition/tstypes').BindingTableEntry[]>}
+     */
+    async getBindingTable(device) {
+        if (!this.herdsman) {
+            throw new Error('zigbee-herdsman is not started');
+        }
+        const adapter = this.herdsman['adapter'];
+        const entries = [];
+        let size = 0;
+        do {
+            const payload = ZDO.Buffalo.buildRequest(adapter.hasZdoMessageOverhead, ZDO.ClusterId.BINDING_TABLE_REQUEST, entries.length);
+            /** @type {import('zigbee-herdsman/dist/zspec/zdo/definition/tstypes').ResponseMap[ZDO.ClusterId.BINDING_TABLE_RESPONSE]} */
+            const response = await adapter.sendZdo(device.ieeeAddr, device.networkAddress, ZDO.ClusterId.BINDING_TABLE_REQUEST, payload, false);
+            if (!ZDO.Buffalo.checkStatus(response)) {
+                throw new ZDO.StatusError(response[0]);
+            }
+            const table = response[1];
+            size = table.bindingTableEntries;
+            if (!table.entryList.length) {
+                break;
+            }
+            entries.push(...table.entryList);
+        } while (entries.length < size);
+        return entries;
+    }
+
 
     async publish(deviceID, cid, cmd, zclData, cfg, ep, type, callback, zclSeqNum) {
         const entity = await this.resolveEntity(deviceID, ep);
@@ -1199,6 +1262,54 @@ class ZigbeeController extends EventEmitter {
         return result;
 
     }
+
+    /**
+     * Moves the running network to another channel with a network update broadcast.
+     * herdsman only offers this through start() with a changed channel, which needs a restart and loses
+     * the check of the devices below. Controller.changeChannel(oldChannel, newChannel, nwkUpdateID) is private
+     * in zigbee-herdsman 3.2.7 (pinned in package.json), check it when updating zigbee-herdsman.
+     */
+    async changeChannel(channel) {
+        const herdsman = this.herdsman;
+        if (!herdsman) {
+            throw new Error('zigbee-herdsman is not started');
+        }
+        if (typeof herdsman['changeChannel'] !== 'function') {
+            throw new Error('the channel change is not supported by this zigbee-herdsman version, change the channel in the adapter settings');
+        }
+        /** @type {{followed: object[], failed: object[], unverified: object[], from?: number, to?: number, error?: string}} */
+        const result = {followed: [], failed: [], unverified: []};
+        const params = await herdsman.getNetworkParameters();
+        result.from = params.channel;
+        result.to = channel;
+        if (params.channel === channel) {
+            result.error = `network is already on channel ${channel}`;
+            return result;
+        }
+        await herdsman['changeChannel'](params.channel, channel, params.nwkUpdateID);
+        try {
+            // record the new channel in nvbackup.json
+            await herdsman.backup();
+        } catch (/** @type {any} */ error) {
+            this.warn(`Unable to write backup after channel change: ${error && error.message ? error.message : 'no error message'}`);
+        }
+        for (const device of this.getClientIterator(false)) {
+            const entry = {ieeeAddr: device.ieeeAddr, model: device.modelID};
+            if (!utils.isRouter(device)) {
+                // sleepy end devices follow when they poll their parent
+                result.unverified.push(entry);
+                continue;
+            }
+            try {
+                await device.ping(true);
+                result.followed.push(entry);
+            } catch (error) {
+                result.failed.push(entry);
+            }
+        }
+        this.info(`Channel changed from ${result.from} to ${channel}: ${result.followed.length} devices followed, ${result.failed.length} did not respond`);
+        return result;
+    }
 }
 
 module.exports = ZigbeeController;
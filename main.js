@@ -27,13 +27,15 @@ const DeveloperPlugin = require('./lib/developer');
 const BindingPlugin = require('./lib/binding');
 const OtaPlugin = require('./lib/ota');
 const BackupPlugin = require('./lib/backup');
+const NetworkMigrationPlugin = require('./lib/networkmigration');
+const ChannelMonitorPlugin = require('./lib/channelmonitor');
+const DiagnosticsPlugin = require('./lib/diagnostics');
+const ExternalConvertersPlugin = require('./lib/externalConverters');
 const ZigbeeController = require('./lib/zigbeecontroller');
 const StatesController = require('./lib/statescontroller');
 const ExcludePlugin = require('./lib/exclude');
-const zigbeeHerdsmanConverters = require('zigbee-herdsman-converters');
 const zigbeeHerdsmanConvertersPackage = require('zigbee-herdsman-converters/package.json')
 const zigbeeHerdsmanPackage = require('zigbee-herdsman/package.json')
-const vm = require('vm');
 const util = require('util');
 const dmZigbee  = require('./lib/devicemgmt.js');
 
@@ -79,6 +81,10 @@ class Zigbee extends utils.Adapter {
         this.stController.on('changed', this.publishFromState.bind(this));
 
         this.deviceManagement = new dmZigbee(this);
+        // fed with the traffic of the devices, see onZigbeeEvent, publishFromState and filterError
+        this.diagnostics = new DiagnosticsPlugin(this);
+        // loads the external converters in onReady, before the states are generated
+        this.externalConverters = new ExternalConvertersPlugin(this);
 
         this.plugins = [
             new SerialListPlugin(this),
@@ -90,6 +96,10 @@ class Zigbee extends utils.Adapter {
             new ExcludePlugin(this),
             new OtaPlugin(this),
             new BackupPlugin(this),
+            new NetworkMigrationPlugin(this),
+            new ChannelMonitorPlugin(this),
+            this.diagnostics,
+            this.externalConverters,
         ];
     }
 
@@ -145,7 +155,10 @@ class Zigbee extends utils.Adapter {
         }
     }
 
-    filterError(errormessage, message, error) {
+    filterError(errormessage, message, error, ieeeAddr) {
+        if (ieeeAddr) {
+            this.diagnostics.record(ieeeAddr, 'failed', {code: error ? error.code : undefined, message: error ? error.message : undefined});
+        }
         if (error != null && error.code == undefined) {
             let em = error.stack.match(/failed \((.+?)\) at/);
             em = em || error.stack.match(/failed \((.+?)\)/);
@@ -195,7 +208,7 @@ class Zigbee extends utils.Adapter {
         }
 
         // external converters
-        this.applyExternalConverters();
+        await this.externalConverters.load();
         // get devices from exposes
         this.stController.getExposes();
 
@@ -220,164 +233,6 @@ class Zigbee extends utils.Adapter {
         this.doConnect();
     }
 
-    sandboxAdd(sandbox, item, module) {
-        const multipleItems = item.split(',');
-        if (multipleItems.length > 1) {
-            for(const singleItem of multipleItems) {
-                this.log.warn(`trying to add "${singleItem.trim()} = require(${module})[${singleItem.trim()}]" to sandbox`)
-                sandbox[singleItem.trim()] = require(module)[singleItem.trim()];
-            }
-        }
-        else {
-            this.log.warn(`trying to add "${item} = require(${module})" to sandbox`)
-            sandbox[item] = require(module);
-        }
-    }
-
-    SandboxRequire(sandbox, items) {
-        if (!items) return true;
-        let converterLoaded = true;
-        for (const item of items) {
-            const modulePath = item[2].replace(/['"]/gm, '');
-
-            let zhcm1 = modulePath.match(/^zigbee-herdsman-converters\//);
-            if (zhcm1) {
-                const i2 = modulePath.replace(/^zigbee-herdsman-converters\//, `../zigbee-herdsman-converters/`);
-                try {
-                    this.sandboxAdd(sandbox, item[1], i2);
-                }
-                catch (error) {
-                    this.log.error(`Sandbox error: ${(error && error.message ? error.message : 'no error message given')}`);
-                }
-                continue;
-            }
-            zhcm1 = modulePath.match(/^..\//);
-            if (zhcm1) {
-                const i2 = modulePath.replace(/^..\//, `../zigbee-herdsman-converters/`);
-                try {
-                    this.sandboxAdd(sandbox, item[1], i2);
-                }
-                catch (error) {
-                    this.log.error(`Sandbox error: ${(error && error.message ? error.message : 'no error message given')}`);
-                    converterLoaded = false;
-                }
-                continue;
-            }
-            try {
-                this.sandboxAdd(sandbox, item[1], modulePath);
-            }
-            catch (error) {
-                this.log.error(`Sandbox error: ${(error && error.message ? error.message : 'no error message given')}`);
-                converterLoaded = false;
-            }
-
-        }
-        return converterLoaded;
-    }
-
-
-    * getExternalDefinition() {
-        if (this.config.external === undefined) {
-            return;
-        }
-        const extfiles = this.config.external.split(';');
-        for (const moduleName of extfiles) {
-            if (!moduleName) continue;
-            const sandbox = {
-                require,
-                module: {},
-            };
-            const mN = (fs.existsSync(moduleName) ? moduleName : this.expandFileName(moduleName).replace('.', '_'));
-            if (!fs.existsSync(mN)) {
-                this.log.warn(`External converter not loaded - neither ${moduleName} nor ${mN} exist.`);
-            }
-            else {
-                const converterCode = fs.readFileSync(mN, {encoding: 'utf8'}).toString();
-                let converterLoaded = true;
-                let modifiedCode = converterCode.replace(/\s+\/\/.+/gm, ''); // remove all lines starting with // (with the exception of the first.)
-                //fs.writeFileSync(mN+'.tmp1', modifiedCode)
-                modifiedCode = modifiedCode.replace(/^\/\/.+/gm, ''); // remove the fist line if it starts with //
-                //fs.writeFileSync(mN+'.tmp2', modifiedCode)
-
-                converterLoaded &= this.SandboxRequire(sandbox,[...modifiedCode.matchAll(/import\s+\*\s+as\s+(\S+)\s+from\s+(\S+);/gm)]);
-                modifiedCode = modifiedCode.replace(/import\s+\*\s+as\s+\S+\s+from\s+\S+;/gm, '')
-                //fs.writeFileSync(mN+'.tmp3', modifiedCode)
-                converterLoaded &= this.SandboxRequire(sandbox,[...modifiedCode.matchAll(/import\s+\{(.+)\}\s+from\s+(\S+);/gm)]);
-                modifiedCode = modifiedCode.replace(/import\s+\{.+\}\s+from\s+\S+;/gm, '');
-
-                converterLoaded &= this.SandboxRequire(sandbox,[...modifiedCode.matchAll(/import\s+(.+)\s+from\s+(\S+);/gm)]);
-                modifiedCode = modifiedCode.replace(/import\s+.+\s+from\s+\S+;/gm, '');
-                //fs.writeFileSync(mN+'.tmp4', modifiedCode)
-                converterLoaded &= this.SandboxRequire(sandbox,[...modifiedCode.matchAll(/const\s+\{(.+)\}\s+=\s+require\((.+)\)/gm)]);
-                modifiedCode = modifiedCode.replace(/const\s+\{.+\}\s+=\s+require\(.+\)/gm, '');
-                //fs.writeFileSync(mN+'.tmp5', modifiedCode)
-                converterLoaded &= this.SandboxRequire(sandbox,[...modifiedCode.matchAll(/const\s+(\S+)\s+=\s+require\((.+)\)/gm)]);
-                modifiedCode = modifiedCode.replace(/const\s+\S+\s+=\s+require\(.+\)/gm, '');
-                //fs.writeFileSync(mN+'.tmp6', modifiedCode)
-
-                for(const component of modifiedCode.matchAll(/const (.+):(.+)=/gm)) {
-                    modifiedCode = modifiedCode.replace(component[0], `const ${component[1]} = `);
-                }
-                modifiedCode = modifiedCode.replace(/export .+;/gm, '');
-
-                fs.writeFileSync(mN+'.tmp', modifiedCode)
-
-                if (converterLoaded) {
-                    try {
-                        this.log.warn('Trying to run sandbox for ' + mN);
-                        vm.runInNewContext(modifiedCode, sandbox);
-                        const converter = sandbox.module.exports;
-
-                        if (Array.isArray(converter)) for (const item of converter) {
-                            this.log.info('Model ' + item.model + ' defined in external converter ' + mN);
-                            yield item;
-                        }
-                        else {
-                            this.log.info('Model ' + converter.model + ' defined in external converter ' + mN);
-                            yield converter;
-                        }
-                    }
-                    catch (e) {
-                        this.log.error(`Unable to apply converter from module: ${mN} - the code does not run: ${e}`);
-                    }
-                }
-                else
-                    this.log.info(`Ignoring converter from module: ${mN} - see warn messages for reason`);
-
-            }
-        }
-    }
-
-    applyExternalConverters() {
-        for (const definition of this.getExternalDefinition()) {
-            const toAdd = {...definition};
-            delete toAdd['homeassistant'];
-            try {
-                if (zigbeeHerdsmanConverters.hasOwnProperty('addExternalDefinition')) {
-                    zigbeeHerdsmanConverters.addExternalDefinition(toAdd);
-                    this.log.info('added external converter using addExternalDefinition')
-                }
-                else if (zigbeeHerdsmanConverters.hasOwnProperty('addDefinition')) {
-                    zigbeeHerdsmanConverters.addDefinition(toAdd);
-                    this.log.info('added external converter using addDefinition')
-                }
-
-                /*
-                for (const zigbeeModel of toAdd.zigbeeModel)
-                {
-                    try {
-                        zigbeeHerdsmanConverters.addToExternalDefinitionsLookup(zigbeeModel, toAdd.toAdd);
-                    } catch (e) {
-                        this.log.error(`unable to apply external converter ${JSON.stringify(toAdd)} for device ${zigbeeModel}: ${e && e.message ? e.message : 'no error message available'}`);
-                    }
-                }
-                    */
-            } catch (e) {
-                this.log.error(`unable to apply external converter for ${JSON.stringify(toAdd.model)}: ${e && e.message ? e.message : 'no error message available'}`);
-            }
-        }
-    }
-
     async doConnect() {
         let debugversion = '';
         try {
@@ -564,6 +419,7 @@ class Zigbee extends utils.Adapter {
         const meta = {device};
 
         const has_elevated_debug = this.stController.checkDebugDevice(devId);
+        this.diagnostics.record(device.ieeeAddr, 'in', {linkquality: message.linkquality});
 
         if (has_elevated_debug) {
             const shortMessage = {};
@@ -875,7 +731,13 @@ class Zigbee extends utils.Adapter {
                     return;
                 }
 
-                const preparedValue = (stateDesc.setter) ? stateDesc.setter(value, options) : value;
+                let preparedValue;
+                try {
+                    preparedValue = (stateDesc.setter) ? stateDesc.setter(value, options) : value;
+                } catch (/** @type {any} */ error) {
+                    this.log.warn(`Unable to set ${stateDesc.id} of ${deviceId} to ${value}: ${error.message}`);
+                    return;
+                }
                 const preparedOptions = (stateDesc.setterOpt) ? stateDesc.setterOpt(value, options) : {};
 
                 let syncStateList = [];
@@ -930,8 +792,14 @@ class Zigbee extends utils.Adapter {
                     }
                 }
 
+                // the diagnostics count the commands sent to devices, not to groups
+                const ieeeAddr = !isGroup && entity && entity.device ? entity.device.ieeeAddr : undefined;
                 try {
+                    const started = Date.now();
                     const result = await converter.convertSet(target, key, preparedValue, meta);
+                    if (ieeeAddr) {
+                        this.diagnostics.record(ieeeAddr, 'out', {rtt: Date.now() - started});
+                    }
                     if (has_elevated_debug)
                         this.log.warn(`ELEVATED O05: convert result ${safeJsonStringify(result)} for device ${deviceId}`);
                     else
@@ -947,11 +815,11 @@ class Zigbee extends utils.Adapter {
                         if (has_elevated_debug)
                             this.log.error(`ELEVATED OE2: Error convert result for ${key} with ${safeJsonStringify(preparedValue)} is undefined on device ${deviceId}.`);
 
-                } catch (error) {
+                } catch (/** @type {any} */ error) {
                     if (has_elevated_debug)
                         this.log.error(`ELEVATED OE3: caught error ${safeJsonStringify(error)} when setting value for device ${deviceId}.`);
                     this.filterError(`Error ${error.code} on send command to ${deviceId}.` +
-                        ` Error: ${error.stack}`, `Send command to ${deviceId} failed with`, error);
+                        ` Error: ${error.stack}`, `Send command to ${deviceId} failed with`, error, ieeeAddr);
                 }
             });
         } catch (err) {